@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// ddg.js — single entry point for the demo-data-generator tooling.
+// Usage: ddg <command> [options]   (ddg help for the list of commands)
+
+const { parseArgs } = require("./lib/args");
+
+const COMMANDS = {
+  build: () => require("./lib/commands/build"),
+  lint: () => require("./lib/commands/lint"),
+  deploy: () => require("./lib/commands/deploy"),
+  "mock-server": () => require("./lib/commands/mockServer"),
+  job: () => require("./lib/commands/job"),
+  "export-workbook": () => require("./lib/commands/exportWorkbook"),
+  "export-ocel": () => require("./lib/commands/exportOcel"),
+  "discover-variants": () => require("./lib/commands/discoverVariants"),
+  "import-bpmn": () => require("./lib/commands/importBpmn"),
+  "import-ocel": () => require("./lib/commands/importOcel"),
+  preview: () => require("./lib/commands/preview"),
+};
+
+function printHelp() {
+  console.log(`Usage: ddg <command> [options]
+
+Commands:
+  build         build final.json from the input workbook in one process
+  lint          check every sheet of the workbook against the others
+  deploy        build, upload the config and start a demo-data job
+  mock-server   run a local stand-in for the demo-data-generator API
+  job wait      poll a demo-data job until it finishes
+  export-workbook  regenerate the input workbook from final.json or a dataset
+  export-ocel   write final.json as an OCEL 2.0 JSON skeleton with a sample log
+  discover-variants  derive Variant_ sheets from an event log CSV
+  import-bpmn   derive Variant_ sheets from the paths of a BPMN 2.0 model
+  import-ocel   bootstrap the input workbook from an OCEL 2.0 log
+  preview       simulate a small sample log from final.json offline
+
+Run "ddg <command> --help" for the options of a command.`);
+}
+
+(async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!command || command === "help" || command === "--help") {
+    printHelp();
+    return;
+  }
+  const load = COMMANDS[command];
+  if (!load) {
+    console.error(`❌ Unknown command "${command}".`);
+    printHelp();
+    process.exit(1);
+  }
+  try {
+    const code = await load().run(parseArgs(rest));
+    process.exitCode = code || 0;
+  } catch (e) {
+    console.error("❌ Error:", e.message);
+    process.exit(1);
+  }
+})();
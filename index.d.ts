@@ -0,0 +1,581 @@
+// Type declarations for the ddgautomation library entry point (index.js).
+
+export type TimeUnit = "SECONDS" | "MINUTES" | "HOURS" | "DAYS" | (string & {});
+export type Cardinality = "HAS_ONE" | "HAS_MANY";
+/** how an event touches an object (PE2_Qualifiers) */
+export type E2OQualifier = "creates" | "reads" | "updates" | "closes";
+
+// ---------- final.json shape ----------
+
+export interface DataSetConfig {
+  id: string;
+  name: string;
+  ddgType: "OBJECT_CENTRIC";
+  dataPool: string;
+  dataModel: string;
+}
+
+export interface General {
+  startDate: number;
+  endDate: number;
+  timeUnit: TimeUnit;
+  nCases: number;
+}
+
+/** activity properties from the PE2 property columns */
+export interface ActivityProperties {
+  /** default step length in the General timeUnit */
+  duration?: number;
+  /** cost per execution */
+  cost?: number;
+  resource?: string;
+  department?: string;
+  manual?: boolean;
+}
+
+export interface EventDefinition {
+  id: string;
+  name: string;
+  automation: number | null;
+  properties?: ActivityProperties;
+}
+
+export interface ObjectDefinition {
+  id: string;
+  name: string;
+}
+
+export interface DimensionItem {
+  id: string;
+  value: string;
+  stdDistribution: number | null;
+  variants: unknown[];
+  distributions: { distributionItemId: string; value: number | null }[];
+  attributesMetadata: { metadataItemId: string; value: string | null }[];
+}
+
+export interface DistributionItem {
+  id: string;
+  type: "VARIANT" | "ATTRIBUTE";
+  referencedId: string | null;
+  referencedItemId: string | null;
+  alias: string;
+}
+
+export interface AttributeMetadataItem {
+  id: string;
+  columnName: string;
+}
+
+/** AttributeTypes type; STRING attributes take CaseTable_ items, the others are drawn */
+export type AttributeType = "STRING" | "INTEGER" | "DECIMAL" | "DATE" | "BOOLEAN" | "CURRENCY";
+
+/** how the values of a typed attribute are drawn */
+export interface AttributeGeneration {
+  /** numbers: a timing distribution; dates: UNIFORM */
+  type?: TimingDistribution;
+  /** dates: epoch millis */
+  min?: number;
+  max?: number;
+  mean?: number;
+  std?: number;
+  decimals?: number;
+  /** currency code, e.g. "EUR" */
+  currency?: string;
+  /** booleans: share of true */
+  probability?: number;
+}
+
+export interface AttributeDefinition {
+  id: string;
+  name: string;
+  defaultItem: boolean;
+  items: DimensionItem[];
+  distributionItems: DistributionItem[];
+  attributeMetadataItems: AttributeMetadataItem[];
+  /** present when the workbook has an AttributeTypes sheet */
+  type?: AttributeType;
+  generation?: AttributeGeneration;
+}
+
+export interface Dimension extends AttributeDefinition {
+  referencedId: string;
+}
+
+export interface VariantItem {
+  id: string;
+  referencedId: string;
+  activityId: string | null;
+  automation: number;
+  startDate: number;
+  endDate: number;
+  referencedName: string;
+  timing?: VariantTiming;
+}
+
+export type TimingDistribution = "FIXED" | "UNIFORM" | "NORMAL" | "LOGNORMAL";
+
+/** Duration distribution of a variant step, in the General timeUnit. */
+export interface VariantTiming {
+  type: TimingDistribution;
+  min?: number;
+  max?: number;
+  mean?: number;
+  std?: number;
+}
+
+export interface VariantDefinition {
+  id: string;
+  name: string;
+  /** Share of the cases; workbook builds normalize the variants to add up to 100. */
+  frequency: number;
+  items: VariantItem[];
+}
+
+export interface RandomConfigItem {
+  id: string;
+  referencedId: string;
+  activityId: string | null;
+  referencedName: string;
+  /** Relative chance of drawing this activity. */
+  weight: number;
+  automation: number;
+}
+
+/** A RandomConfig sheet entry: random paths drawn from the listed PE2 activities. */
+export interface RandomConfig {
+  id: string;
+  name: string;
+  frequency: number;
+  /** Number of random paths to generate. */
+  nVariants: number;
+  minLength: number;
+  maxLength: number;
+  items: RandomConfigItem[];
+}
+
+export interface OcpmEvent {
+  id: string;
+  name: string;
+  objects: { id: string; ocpmObjectId: string; type: Cardinality; rangeMin: number; rangeMax: number; qualifier?: E2OQualifier }[];
+}
+
+export interface OcpmObject {
+  id: string;
+  name: string;
+  items: unknown[];
+  relations: {
+    id: string;
+    sourceEntityId: string;
+    targetEntityId: string;
+    cardinality: Cardinality;
+    /** targets per source, when the O2O edge list gives them */
+    rangeMin?: number;
+    rangeMax?: number;
+  }[];
+}
+
+export interface OcpmAttribute {
+  id: string;
+  name: string;
+  targetObjects: string[];
+  available: boolean;
+}
+
+export interface DdgConfig {
+  lastStepSaved: "ocpmRelations";
+  dataSetConfig: DataSetConfig;
+  general: General;
+  entitiesDefinitions: {
+    activities: null;
+    events: EventDefinition[];
+    attributes: AttributeDefinition[];
+    objects: ObjectDefinition[];
+  };
+  variants: { items: VariantDefinition[]; randomConfigs: RandomConfig[] };
+  caseTableCreator: { dimensionList: Dimension[]; selectedDimensions: Dimension[] };
+  ocpmRelations: { events: OcpmEvent[]; objects: OcpmObject[]; attributes: OcpmAttribute[] };
+}
+
+/** Per-stage documents, as written to <stage>.json by the workbook stages. */
+export interface StageParts {
+  entities: { general: General | null; entitiesDefinitions: DdgConfig["entitiesDefinitions"] };
+  variants: { variants: { items: VariantDefinition[] }; randomConfigs: RandomConfig[] };
+  caseTable: { caseTableCreator: DdgConfig["caseTableCreator"] };
+  eventObjects: { ocpmRelations: { events: OcpmEvent[] } };
+  objectObjects: { ocpmRelations: { events: []; objects: OcpmObject[] } };
+  attributeObjects: { ocpmRelations: { attributes: OcpmAttribute[] } };
+}
+
+// ---------- Builder model ----------
+
+export class ObjectType {
+  readonly id: string;
+  readonly name: string;
+}
+
+export class EventType {
+  readonly id: string;
+  readonly name: string;
+  automation: number | null;
+  readonly properties: ActivityProperties | null;
+  readonly objects: E2ORelation[];
+}
+
+export class Attribute {
+  readonly id: string;
+  readonly name: string;
+  readonly type: AttributeType | null;
+  readonly generation: AttributeGeneration | null;
+  readonly targets: A2ORelation[];
+}
+
+export interface AttributeOptions {
+  objects?: ObjectType[];
+  type?: Lowercase<AttributeType> | AttributeType;
+  distribution?: Lowercase<TimingDistribution> | TimingDistribution;
+  /** numbers, or YYYYMMDD for dates (default: the General period) */
+  min?: number | string;
+  max?: number | string;
+  mean?: number;
+  std?: number;
+  decimals?: number;
+  currency?: string;
+  probability?: number;
+}
+
+export class E2ORelation {
+  readonly id: string;
+  readonly event: EventType;
+  readonly object: ObjectType;
+  readonly type: Cardinality;
+  readonly rangeMin: number;
+  readonly rangeMax: number;
+  readonly qualifier: E2OQualifier | null;
+}
+
+export class O2ORelation {
+  readonly id: string;
+  /** the ocpmRelations.objects entry the relation is attached to */
+  readonly owner: EventType | ObjectType;
+  /** the owner when it is an event, else null */
+  readonly event: EventType | null;
+  readonly source: ObjectType;
+  readonly target: ObjectType;
+  readonly cardinality: Cardinality;
+  readonly rangeMin?: number;
+  readonly rangeMax?: number;
+}
+
+export class A2ORelation {
+  readonly attribute: Attribute;
+  readonly object: ObjectType;
+}
+
+export interface StepOptions {
+  /** Offset in the General timeUnit; values under 1 become 1. */
+  start?: number;
+  /** default: start + the event type's duration property, else start + 1 */
+  end?: number;
+  /** Percentage 0..100 (default 80). */
+  automation?: number;
+  /** Duration distribution; type is case-insensitive (e.g. "normal"). */
+  timing?: { type?: Lowercase<TimingDistribution> | TimingDistribution; min?: number; max?: number; mean?: number; std?: number };
+}
+
+export class Variant {
+  readonly id: string;
+  readonly name: string;
+  frequency: number;
+  readonly items: VariantItem[];
+  step(event: EventType, opts?: StepOptions): this;
+}
+
+export class RandomPaths {
+  readonly id: string;
+  readonly name: string;
+  frequency: number;
+  nVariants: number;
+  minLength: number;
+  /** null: as many as there are activities */
+  maxLength: number | null;
+  /** Add an event type to draw from; automation is a percentage 0..100 (default 80). Without any, all are drawn. */
+  activity(event: EventType, opts?: { weight?: number; automation?: number }): this;
+  toJSON(): RandomConfig;
+}
+
+export type DistributionKey = Variant | CaseTableDimension | { dimension: CaseTableDimension; value: string };
+
+export interface DimensionItemOptions {
+  std?: number | null;
+  distributions?: { by: DistributionKey; value: number }[];
+  metadata?: Record<string, string | number | null>;
+}
+
+export class CaseTableDimension {
+  readonly id: string;
+  readonly name: string;
+  readonly attribute: Attribute;
+  addItem(value: string, opts?: DimensionItemOptions): this;
+  toJSON(): Dimension;
+}
+
+export type IdStrategy = "random" | "stable";
+
+export interface DatasetOptions {
+  id?: string;
+  name?: string;
+  dataPool?: string;
+  dataModel?: string;
+  /** "stable" derives UUIDv5 IDs from idNamespace + kind + name (default: "random"). */
+  idStrategy?: IdStrategy;
+  /** Text or UUID; defaults to name. */
+  idNamespace?: string;
+}
+
+export interface GeneralOptions {
+  /** Date, epoch millis or YYYYMMDD (as in the General sheet). */
+  startDate: Date | number | string;
+  endDate: Date | number | string;
+  timeUnit?: TimeUnit;
+  nCases?: number;
+}
+
+export class Dataset {
+  constructor(opts?: DatasetOptions);
+  readonly dataSetConfig: Omit<DataSetConfig, "ddgType">;
+  readonly objectTypes: ObjectType[];
+  readonly eventTypes: EventType[];
+  readonly attributes: Attribute[];
+  readonly variants: Variant[];
+  readonly randomConfigs: RandomPaths[];
+  readonly dimensions: CaseTableDimension[];
+  readonly objectRelations: O2ORelation[];
+
+  newId(kind: string, ...nameParts: (string | number)[]): string;
+  setGeneral(opts: GeneralOptions): this;
+  addObjectType(name: string): ObjectType;
+  addEventType(name: string, opts?: { automation?: number | null; properties?: ActivityProperties }): EventType;
+  addAttribute(name: string, opts?: AttributeOptions): Attribute;
+  addVariant(name: string, opts?: { frequency?: number }): Variant;
+  addRandomConfig(name: string, opts?: { frequency?: number; nVariants?: number; minLength?: number; maxLength?: number | null }): RandomPaths;
+  addDimension(attribute: Attribute): CaseTableDimension;
+  linkEvent(event: EventType, object: ObjectType, opts?: { min?: number; max?: number; type?: Cardinality; qualifier?: E2OQualifier }): E2ORelation;
+  relateObjects(
+    owner: EventType | ObjectType,
+    source: ObjectType,
+    target: ObjectType,
+    opts?: { cardinality?: Cardinality; min?: number; max?: number }
+  ): O2ORelation;
+  linkAttribute(attribute: Attribute, object: ObjectType): A2ORelation;
+  toParts(): StageParts;
+  toConfig(): DdgConfig;
+}
+
+// ---------- Pipeline ----------
+
+export type StepName =
+  | "entities"
+  | "variants"
+  | "caseTable"
+  | "eventObjects"
+  | "objectObjects"
+  | "attributeObjects"
+  | "compose";
+
+export type IdGenerator = ((kind: string, ...nameParts: (string | number)[]) => string) & {
+  strategy: IdStrategy;
+  namespace?: string;
+};
+
+export interface PipelineOptions {
+  steps?: StepName[];
+  from?: string;
+  emitIntermediates?: string;
+  dataSet?: Omit<DataSetConfig, "ddgType">;
+  ids?: IdGenerator;
+}
+
+export function createIds(opts?: { strategy?: IdStrategy; namespace?: string }): IdGenerator;
+
+export function composeConfig(parts: Partial<StageParts>, dataSet: Omit<DataSetConfig, "ddgType">): DdgConfig;
+export function runPipeline(workbook: unknown, opts?: PipelineOptions): { model: Partial<StageParts>; config: DdgConfig | null };
+export interface ProjectConfig {
+  /** Absolute path of the ddg.config.json read, or null for the defaults. */
+  file: string | null;
+  paths: {
+    input: string;
+    output: string;
+    intermediates: string | null;
+    deployReport: string | null;
+    jobReport: string | null;
+  };
+  /** canonical role → aliases, e.g. { PE2: ["Ereignisse"] } */
+  sheets: Record<string, string[]>;
+  prefixes: Record<string, string[]>;
+  headers: Record<string, string[]>;
+}
+
+/** Reads ddg.config.json (or the given file); the defaults when there is none. */
+export function loadProjectConfig(file?: string): ProjectConfig;
+
+/**
+ * Reads an .xlsx/.ods workbook, a directory of CSV files or a .json document of
+ * tables; with a project config its sheet and header aliases are renamed to the
+ * canonical names.
+ */
+export function loadWorkbook(filePath: string, project?: ProjectConfig): unknown;
+/** Writes a workbook as .xlsx/.ods, .json tables or (no extension) a CSV directory; returns the full path. */
+export function saveWorkbook(workbook: unknown, target: string): string;
+/** Regenerates the input sheets from a config; warnings list what the sheets cannot express. */
+export function configToWorkbook(config: DdgConfig): { workbook: unknown; warnings: string[] };
+
+export interface OcelRelationship {
+  objectId: string;
+  qualifier: string;
+}
+
+export interface OcelType {
+  name: string;
+  attributes: { name: string; type: "string" | "integer" | "float" | "boolean" | "time" }[];
+}
+
+/** OCEL 2.0 JSON log */
+export interface OcelLog {
+  objectTypes: OcelType[];
+  eventTypes: OcelType[];
+  objects: { id: string; type: string; attributes: { name: string; time: string; value: unknown }[]; relationships: OcelRelationship[] }[];
+  events: { id: string; type: string; time: string; attributes: { name: string; value: unknown }[]; relationships: OcelRelationship[] }[];
+}
+
+/** The model as an OCEL 2.0 skeleton: its types plus (unless sample is false) one sample case per variant. */
+export function configToOcel(config: DdgConfig, opts?: { sample?: boolean }): { ocel: OcelLog; warnings: string[] };
+export function writeStreamedJson(filePath: string, obj: unknown): Promise<void>;
+
+export type SyncKind = "objects" | "events" | "attributes" | "variants" | "randomConfigs" | "dimensions" | "relations";
+
+export interface SyncSummary {
+  added: Record<SyncKind, string[]>;
+  changed: Record<SyncKind, string[]>;
+  removed: Record<SyncKind, string[]>;
+  /** true when the general settings differ */
+  general: boolean;
+}
+
+/** Reuse the remote IDs of everything in `remote` that matches `local` by name. */
+export function mergeWithRemote(local: DdgConfig, remote: DdgConfig | null): { config: DdgConfig; summary: SyncSummary };
+
+// ---------- Lint ----------
+
+export interface LintFinding {
+  sheet: string;
+  /** A1 address, or null for sheet-level findings such as a missing sheet. */
+  cell: string | null;
+  severity: "error" | "warning";
+  /** Stable rule code, e.g. "variant/unknown-activity". */
+  code: string;
+  message: string;
+}
+
+export function lintWorkbook(workbook: unknown): LintFinding[];
+
+// ---------- API client ----------
+
+export interface DdgClientOptions {
+  /** DDG domain incl. protocol, e.g. https://ddg-practice.try.celonis.cloud */
+  domain: string;
+  /** Bearer token; only ever logged redacted. */
+  token: string;
+  /** Refuse domains whose host does not end with this suffix. */
+  allowHost?: string;
+  /** Retries on 5xx and network errors of GET, PUT and DELETE (default 3); POSTs only when the connection was refused. */
+  retries?: number;
+  /** First retry delay in ms, doubled per attempt (default 500). */
+  backoffMs?: number;
+  log?: (message: string) => void;
+  fetch?: typeof fetch;
+}
+
+export interface DataSetParams {
+  dataPool: string;
+  dataModel: string;
+  space: string;
+  genpackage: string;
+  analysis: string;
+}
+
+export interface DataSetSummary {
+  id: string;
+  name: string;
+  [key: string]: unknown;
+}
+
+export class DdgClient {
+  constructor(opts: DdgClientOptions);
+  readonly domain: string;
+  readonly redactedToken: string;
+  request(method: string, path: string, opts?: { json?: unknown; body?: unknown; headers?: Record<string, string> }): Promise<any>;
+  listDataSets(): Promise<DataSetSummary[]>;
+  findDataSetByName(name: string): Promise<DataSetSummary | null>;
+  createDataSet(name: string, params: DataSetParams): Promise<DataSetSummary>;
+  resolveDataSet(name: string, params: DataSetParams): Promise<{ id: string; created: boolean; dataSet: DataSetSummary }>;
+  getConfig(dataSetId: string): Promise<DdgConfig>;
+  uploadConfig(dataSetId: string, config: string | Uint8Array | DdgConfig): Promise<unknown>;
+  startJob(dataSetId: string): Promise<{ id: string; [key: string]: unknown }>;
+  getJob(jobId: string): Promise<{ id: string; status?: string; [key: string]: unknown }>;
+}
+
+export interface JobReport {
+  jobId: string;
+  outcome: "succeeded" | "failed" | "timeout";
+  status: string;
+  startedAt: string;
+  finishedAt: string;
+  durationMs: number;
+  polls: number;
+  statusHistory: { status: string; atMs: number }[];
+  failure: { message: string; [key: string]: unknown } | null;
+  job: unknown;
+}
+
+export function waitForJob(
+  client: DdgClient,
+  jobId: string,
+  opts?: {
+    timeoutMs?: number;
+    intervalMs?: number;
+    onProgress?: (p: { status: string; elapsedMs: number; poll: number }) => void;
+  }
+): Promise<JobReport>;
+
+export class ApiError extends Error {
+  readonly method: string;
+  readonly url: string;
+  /** HTTP status, 0 when no response was received. */
+  readonly status: number;
+  /** Parsed JSON body, raw text, or null. */
+  readonly body: unknown;
+}
+export class AuthError extends ApiError {}
+export class NotFoundError extends ApiError {}
+export class ServerError extends ApiError {}
+export class NetworkError extends ApiError {}
+export function errorForStatus(status: number): typeof ApiError;
+
+export interface MockServerOptions {
+  port?: number;
+  host?: string;
+  token?: string;
+  failures?: { method?: string; path?: string; status?: number; times?: number }[];
+  /** Status polls a job stays RUNNING for (default 2). */
+  jobPolls?: number;
+  /** Final job status (default "SUCCESS"). */
+  jobOutcome?: string;
+  log?: (line: string) => void;
+}
+
+export function startMockServer(opts?: MockServerOptions): Promise<{
+  url: string;
+  state: { dataSets: DataSetSummary[]; configs: Record<string, DdgConfig>; jobs: unknown[] };
+  close(): Promise<void>;
+}>;
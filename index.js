@@ -0,0 +1,38 @@
+// index.js — library entry point.
+// Build configs from code with the model classes, or run the workbook
+// pipeline programmatically.
+
+const model = require("./lib/model");
+const { composeConfig } = require("./lib/compose");
+const { runPipeline } = require("./lib/pipeline");
+const { loadWorkbook, saveWorkbook } = require("./lib/workbook");
+const { writeStreamedJson } = require("./lib/io");
+const { lintWorkbook } = require("./lib/lint");
+const { createIds } = require("./lib/ids");
+const { DdgClient } = require("./lib/api/client");
+const apiErrors = require("./lib/api/errors");
+const { startMockServer } = require("./lib/api/mockServer");
+const { waitForJob } = require("./lib/api/jobs");
+const { mergeWithRemote } = require("./lib/sync");
+const { configToWorkbook } = require("./lib/exportWorkbook");
+const { configToOcel } = require("./lib/ocel");
+const { loadProjectConfig } = require("./lib/projectConfig");
+
+module.exports = {
+  ...model,
+  composeConfig,
+  runPipeline,
+  loadWorkbook,
+  saveWorkbook,
+  writeStreamedJson,
+  lintWorkbook,
+  createIds,
+  DdgClient,
+  ...apiErrors,
+  startMockServer,
+  waitForJob,
+  mergeWithRemote,
+  configToWorkbook,
+  configToOcel,
+  loadProjectConfig,
+};
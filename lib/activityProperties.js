@@ -0,0 +1,67 @@
+// lib/activityProperties.js
+// Activity-level facts in PE2 columns next to activity and automation, so
+// they do not have to be repeated in every Variant_ sheet:
+//
+//   activity     | automation | duration | cost | resource | department | manual | Order
+//   Create Order | 0.5        | 2        | 1.5  | Clerk    | Sales      | no     | 1
+//
+// duration is the default step length in General time units (a Variant_ step
+// without an end runs that long), cost the cost per execution, resource and
+// department free text, and manual a yes/no flag. The values land on each
+// entitiesDefinitions.events entry as `properties`. Shared by the entities
+// stage, the eventObjects stage (which skips these columns) and the linter.
+
+// Property → accepted header spellings (compared lowercase, alphanumerics only)
+const PROPERTIES = {
+  duration: ["duration", "defaultduration"],
+  cost: ["cost", "costperexecution"],
+  resource: ["resource"],
+  department: ["department"],
+  manual: ["manual", "ismanual"],
+};
+
+const NUMBERS = ["duration", "cost"];
+const FLAGS = {
+  yes: true, y: true, true: true, 1: true, x: true, manual: true,
+  no: false, n: false, false: false, 0: false, automated: false,
+};
+
+const fold = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+/** The property a PE2 header names, or null. */
+function propertyOf(header) {
+  const h = fold(header);
+  return Object.keys(PROPERTIES).find((key) => PROPERTIES[key].includes(h)) || null;
+}
+
+/**
+ * readProperties(record) -> { properties, problems }
+ * record: header → value (a PE2 row keyed by its header row); other headers
+ *   are ignored.
+ * properties: { duration, cost, resource, department, manual } with only the
+ *   readable, non-blank values; problems: { code, header, message } with the
+ *   lint codes of lib/lint.js (the stages leave the value out).
+ */
+function readProperties(record) {
+  const properties = {};
+  const problems = [];
+  for (const [header, raw] of Object.entries(record || {})) {
+    const key = propertyOf(header);
+    if (!key || isBlank(raw)) continue;
+    if (NUMBERS.includes(key)) {
+      const n = Number(raw);
+      if (Number.isFinite(n) && n >= 0) properties[key] = n;
+      else problems.push({ code: "pe2/invalid-property", header, message: `${key} "${raw}" is not a number ≥ 0.` });
+    } else if (key === "manual") {
+      const flag = typeof raw === "boolean" ? raw : FLAGS[fold(raw)];
+      if (flag !== undefined) properties.manual = flag;
+      else problems.push({ code: "pe2/invalid-property", header, message: `manual "${raw}" is neither yes nor no.` });
+    } else {
+      properties[key] = String(raw).trim();
+    }
+  }
+  return { properties, problems };
+}
+
+module.exports = { propertyOf, readProperties, ACTIVITY_PROPERTIES: PROPERTIES };
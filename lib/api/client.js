@@ -0,0 +1,214 @@
+// lib/api/client.js
+// Node client for the demo-data-generator REST API: the calls main.yml used
+// to make with curl + jq (list/create dataset, GET config, upload config,
+// start a demo-data job).
+
+const fs = require("fs");
+const path = require("path");
+const { ApiError, NetworkError, ServerError, errorForStatus } = require("./errors");
+const { redactToken, redactSecrets, createRedactingLogger } = require("./redact");
+
+const API_BASE = "/demo-data-generator/api";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Safe to repeat: the server may have acted on a call that timed out
+const IDEMPOTENT = ["GET", "PUT", "DELETE"];
+
+// Connection errors that prove the request never reached the server
+const NOT_SENT = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+const notSent = (e) => NOT_SENT.includes(e && (e.code || (e.cause && e.cause.code)));
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+function assertAllowedHost(domain, allowHost) {
+  if (!allowHost) return;
+  const host = new URL(domain).hostname;
+  if (!host.endsWith(allowHost)) {
+    throw new Error(`Refusing to call ${host}: host does not end with "${allowHost}".`);
+  }
+}
+
+class DdgClient {
+  /**
+   * @param {object} opts
+   * @param {string} opts.domain       e.g. https://ddg-practice.try.celonis.cloud
+   * @param {string} opts.token        bearer token (never logged in clear)
+   * @param {string} [opts.allowHost]  only allow domains whose host ends with this suffix
+   * @param {number} [opts.retries]    retries on 5xx / network errors of GET, PUT and DELETE (default 3)
+   * @param {number} [opts.backoffMs]  first retry delay, doubled per attempt (default 500)
+   * @param {Function} [opts.log]      log sink (messages are redacted before they reach it)
+   * @param {Function} [opts.fetch]    fetch implementation (default: global fetch)
+   */
+  constructor({ domain, token, allowHost, retries = 3, backoffMs = 500, log = console.log, fetch: fetchImpl } = {}) {
+    if (!domain) throw new Error("DdgClient: domain is required.");
+    if (!token) throw new Error("DdgClient: token is required.");
+    assertAllowedHost(domain, allowHost);
+    this.domain = String(domain).replace(/\/+$/, "");
+    this.token = token;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.log = createRedactingLogger([token], log);
+    this.fetch = fetchImpl || globalThis.fetch;
+    if (!this.fetch) throw new Error("DdgClient: no fetch implementation available (Node 18+ required).");
+  }
+
+  get redactedToken() {
+    return redactToken(this.token);
+  }
+
+  url(p) {
+    return `${this.domain}${API_BASE}${p}`;
+  }
+
+  // One HTTP call with retry + exponential backoff on 5xx and network errors.
+  // POSTs are only retried when the connection was refused (never sent): a
+  // repeated POST could create a second dataset or start a second job.
+  async request(method, p, { json, body, headers = {} } = {}) {
+    const idempotent = IDEMPOTENT.includes(method);
+    const url = this.url(p);
+    const init = {
+      method,
+      headers: { accept: "application/json", Authorization: `Bearer ${this.token}`, ...headers },
+    };
+    if (json !== undefined) {
+      init.headers["content-type"] = "application/json";
+      init.body = JSON.stringify(json);
+    } else if (body !== undefined) {
+      init.body = body;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        this.log(`→ ${method} ${url}`);
+        res = await this.fetch(url, init);
+      } catch (e) {
+        if ((idempotent || notSent(e)) && attempt < this.retries) {
+          const wait = this.backoffMs * 2 ** attempt;
+          this.log(`  network error (${e.message}); retrying in ${wait} ms`);
+          await sleep(wait);
+          continue;
+        }
+        throw new NetworkError(redactSecrets(`${method} ${url} failed: ${e.message}`, [this.token]), { method, url });
+      }
+
+      const text = await res.text();
+      const parsed = parseBody(text);
+      this.log(`← ${res.status} ${method} ${url}`);
+
+      if (res.status >= 500 && idempotent && attempt < this.retries) {
+        const wait = this.backoffMs * 2 ** attempt;
+        this.log(`  server error ${res.status}; retrying in ${wait} ms`);
+        await sleep(wait);
+        continue;
+      }
+      if (res.status < 200 || res.status >= 300) {
+        const ErrorClass = errorForStatus(res.status);
+        const snippet = typeof parsed === "string" ? parsed : JSON.stringify(parsed);
+        const message = `${method} ${url} failed with HTTP ${res.status}: ${String(snippet ?? "").slice(0, 500)}`;
+        throw new ErrorClass(redactSecrets(message, [this.token]), {
+          method,
+          url,
+          status: res.status,
+          body: parsed,
+        });
+      }
+      return parsed;
+    }
+  }
+
+  // ---------- Datasets ----------
+
+  async listDataSets() {
+    const list = await this.request("GET", "/demo-data-set");
+    return Array.isArray(list) ? list : [];
+  }
+
+  async findDataSetByName(name) {
+    const list = await this.listDataSets();
+    return list.find((d) => d && d.name === name) || null;
+  }
+
+  /**
+   * params: { dataPool, dataModel, space, genpackage, analysis }
+   * A 5xx or lost connection may still have created the dataset, so it is
+   * looked up by name before the POST is repeated.
+   */
+  async createDataSet(name, params) {
+    let created;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        created = await this.request("POST", "/demo-data-set", {
+          json: { name, ddgType: "OBJECT_CENTRIC", params },
+        });
+        break;
+      } catch (e) {
+        if (!(e instanceof ServerError || e instanceof NetworkError) || attempt >= this.retries) throw e;
+        const existing = await this.findDataSetByName(name);
+        if (existing) {
+          this.log(`  dataset "${name}" was created despite the error; using it`);
+          return existing;
+        }
+        const wait = this.backoffMs * 2 ** attempt;
+        this.log(`  dataset "${name}" not created; retrying in ${wait} ms`);
+        await sleep(wait);
+      }
+    }
+    if (!created || !created.id) {
+      throw new ApiError("Create dataset response has no id", { method: "POST", url: this.url("/demo-data-set"), status: 200, body: created });
+    }
+    return created;
+  }
+
+  // Find the dataset by name, or create it; { id, created }
+  async resolveDataSet(name, params) {
+    const existing = await this.findDataSetByName(name);
+    if (existing) return { id: existing.id, created: false, dataSet: existing };
+    const created = await this.createDataSet(name, params);
+    return { id: created.id, created: true, dataSet: created };
+  }
+
+  // ---------- Config ----------
+
+  async getConfig(dataSetId) {
+    return this.request("GET", `/demo-data-set/${encodeURIComponent(dataSetId)}/config/`);
+  }
+
+  /** config: final.json path, Buffer/string contents, or a config object */
+  async uploadConfig(dataSetId, config) {
+    let contents;
+    let fileName = "final.json";
+    if (typeof config === "string" && fs.existsSync(config)) {
+      contents = fs.readFileSync(config);
+      fileName = path.basename(config);
+    } else if (Buffer.isBuffer(config) || typeof config === "string") {
+      contents = config;
+    } else {
+      contents = JSON.stringify(config);
+    }
+    const form = new FormData();
+    form.append("file", new Blob([contents], { type: "application/json" }), fileName);
+    return this.request("POST", `/demo-data-set/${encodeURIComponent(dataSetId)}/config-file/upload`, { body: form });
+  }
+
+  // ---------- Jobs ----------
+
+  async startJob(dataSetId) {
+    return this.request("POST", "/demo-data-job", { json: { demoDataSetId: dataSetId } });
+  }
+
+  async getJob(jobId) {
+    return this.request("GET", `/demo-data-job/${encodeURIComponent(jobId)}`);
+  }
+}
+
+module.exports = { DdgClient, API_BASE };
@@ -0,0 +1,36 @@
+// lib/api/errors.js
+// Typed errors for demo-data-generator API calls. Every error carries the
+// request method/url, the HTTP status (0 when no response was received) and
+// the parsed response body.
+
+class ApiError extends Error {
+  constructor(message, { method, url, status = 0, body = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// 401 / 403: missing, expired or insufficient token
+class AuthError extends ApiError {}
+
+// 404: dataset, config or job does not exist
+class NotFoundError extends ApiError {}
+
+// 5xx after all retries were used up
+class ServerError extends ApiError {}
+
+// No HTTP response at all (DNS, connection reset, timeout)
+class NetworkError extends ApiError {}
+
+function errorForStatus(status) {
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status >= 500) return ServerError;
+  return ApiError;
+}
+
+module.exports = { ApiError, AuthError, NotFoundError, ServerError, NetworkError, errorForStatus };
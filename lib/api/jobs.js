@@ -0,0 +1,88 @@
+// lib/api/jobs.js
+// Polls a demo-data job until it finishes and builds a machine-readable
+// report (outcome, status history, timings, failure details).
+
+const SUCCESS_STATUSES = ["SUCCESS", "SUCCEEDED", "COMPLETED", "FINISHED", "DONE"];
+const FAILURE_STATUSES = ["FAILED", "FAILURE", "ERROR", "CANCELLED", "CANCELED", "ABORTED"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function jobStatus(job) {
+  const raw = job && (job.status ?? job.state ?? job.jobStatus);
+  return raw ? String(raw).toUpperCase() : "UNKNOWN";
+}
+
+// Whatever the API tells us about why a job failed
+function failureDetails(job, status) {
+  const details = {};
+  if (job && typeof job === "object") {
+    for (const key of ["message", "error", "errorMessage", "failureReason", "reason", "details", "logs"]) {
+      if (job[key] !== undefined && job[key] !== null) details[key] = job[key];
+    }
+  }
+  // one readable line first, the raw fields after it
+  const summary = ["message", "errorMessage", "failureReason", "reason", "error"]
+    .map((k) => details[k])
+    .find((v) => typeof v === "string" && v.trim());
+  return { ...details, message: summary || `Job ended with status ${status}` };
+}
+
+/**
+ * waitForJob(client, jobId, opts) -> report
+ * - opts.timeoutMs: give up after this long (default 30 min)
+ * - opts.intervalMs: delay between polls (default 10 s)
+ * - opts.onProgress({ status, elapsedMs, poll }): called after every poll
+ * report.outcome is "succeeded", "failed" or "timeout".
+ */
+async function waitForJob(client, jobId, { timeoutMs = 30 * 60 * 1000, intervalMs = 10000, onProgress = () => {} } = {}) {
+  const started = Date.now();
+  const report = {
+    jobId,
+    outcome: null,
+    status: null,
+    startedAt: new Date(started).toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    polls: 0,
+    statusHistory: [],
+    failure: null,
+    job: null,
+  };
+
+  for (;;) {
+    const job = await client.getJob(jobId);
+    const status = jobStatus(job);
+    const elapsedMs = Date.now() - started;
+    report.polls++;
+    report.status = status;
+    report.job = job;
+
+    const last = report.statusHistory[report.statusHistory.length - 1];
+    if (!last || last.status !== status) report.statusHistory.push({ status, atMs: elapsedMs });
+    onProgress({ status, elapsedMs, poll: report.polls });
+
+    if (SUCCESS_STATUSES.includes(status)) report.outcome = "succeeded";
+    else if (FAILURE_STATUSES.includes(status)) {
+      report.outcome = "failed";
+      report.failure = failureDetails(job, status);
+    } else if (elapsedMs + intervalMs > timeoutMs) {
+      report.outcome = "timeout";
+      report.failure = { message: `Job still ${status} after ${Math.round(elapsedMs / 1000)} s (timeout ${Math.round(timeoutMs / 1000)} s)` };
+    }
+
+    if (report.outcome) {
+      report.finishedAt = new Date().toISOString();
+      report.durationMs = Date.now() - started;
+      return report;
+    }
+    await sleep(intervalMs);
+  }
+}
+
+// Exit code for a job report: 0 succeeded, 1 failed, 2 timed out
+function exitCodeFor(report) {
+  if (report.outcome === "succeeded") return 0;
+  return report.outcome === "timeout" ? 2 : 1;
+}
+
+module.exports = { waitForJob, jobStatus, exitCodeFor, SUCCESS_STATUSES, FAILURE_STATUSES };
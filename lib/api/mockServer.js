@@ -0,0 +1,152 @@
+// lib/api/mockServer.js
+// In-memory stand-in for the demo-data-generator API, so deploy flows can be
+// exercised offline:  ddg mock-server --port 8787 --token test
+//
+// Extra endpoints for driving it:
+//   GET  /__mock/state   datasets, configs and jobs currently stored
+//   POST /__mock/fail    { method, path, status, times } makes matching calls fail
+//
+// Jobs report RUNNING for `jobPolls` status requests, then `jobOutcome`.
+
+const http = require("http");
+const { randomUUID } = require("crypto");
+const { API_BASE } = require("./client");
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// Extract the "file" part of a multipart/form-data body
+function multipartFile(buf, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!m) return null;
+  const boundary = `--${m[1] || m[2]}`;
+  for (const part of buf.toString("utf8").split(boundary)) {
+    if (!/name="file"/i.test(part)) continue;
+    const start = part.indexOf("\r\n\r\n");
+    if (start === -1) continue;
+    return part.slice(start + 4).replace(/\r\n$/, "");
+  }
+  return null;
+}
+
+function createMockServer({ token = "test-token", failures = [], jobPolls = 2, jobOutcome = "SUCCESS", log = () => {} } = {}) {
+  const state = { dataSets: [], configs: {}, jobs: [] };
+  const pendingFailures = failures.map((f) => ({ times: 1, ...f }));
+
+  function send(res, status, body) {
+    const text = body === undefined ? "" : JSON.stringify(body);
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(text);
+  }
+
+  function injectedFailure(method, p) {
+    const f = pendingFailures.find((x) => x.times > 0 && (!x.method || x.method === method) && p.includes(x.path || ""));
+    if (!f) return null;
+    f.times--;
+    return f;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const p = url.pathname;
+      const body = await readBody(req);
+      log(`${req.method} ${p}`);
+
+      // ---- control endpoints ----
+      if (p === "/__mock/state") return send(res, 200, state);
+      if (p === "/__mock/fail" && req.method === "POST") {
+        pendingFailures.push({ times: 1, ...JSON.parse(body.toString("utf8") || "{}") });
+        return send(res, 204);
+      }
+
+      if (!p.startsWith(API_BASE)) return send(res, 404, { message: "Not found" });
+      if (req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { message: "Unauthorized" });
+
+      const failure = injectedFailure(req.method, p);
+      if (failure) return send(res, failure.status || 500, { message: "Injected failure" });
+
+      const route = p.slice(API_BASE.length);
+      let m;
+
+      if (route === "/demo-data-set" && req.method === "GET") return send(res, 200, state.dataSets);
+
+      if (route === "/demo-data-set" && req.method === "POST") {
+        const payload = JSON.parse(body.toString("utf8") || "{}");
+        if (!payload.name) return send(res, 400, { message: "name is required" });
+        const dataSet = { id: randomUUID(), ...payload };
+        state.dataSets.push(dataSet);
+        return send(res, 201, dataSet);
+      }
+
+      if ((m = /^\/demo-data-set\/([^/]+)\/config\/?$/.exec(route)) && req.method === "GET") {
+        const config = state.configs[m[1]];
+        return config ? send(res, 200, config) : send(res, 404, { message: "No config" });
+      }
+
+      if ((m = /^\/demo-data-set\/([^/]+)\/config-file\/upload$/.exec(route)) && req.method === "POST") {
+        if (!state.dataSets.some((d) => d.id === m[1])) return send(res, 404, { message: "Unknown dataset" });
+        const file = multipartFile(body, req.headers["content-type"]);
+        if (file === null) return send(res, 400, { message: "file part missing" });
+        try {
+          state.configs[m[1]] = JSON.parse(file);
+        } catch (e) {
+          return send(res, 400, { message: `file is not JSON: ${e.message}` });
+        }
+        return send(res, 200, { id: m[1], status: "UPLOADED" });
+      }
+
+      if (route === "/demo-data-job" && req.method === "POST") {
+        const payload = JSON.parse(body.toString("utf8") || "{}");
+        if (!state.dataSets.some((d) => d.id === payload.demoDataSetId)) {
+          return send(res, 404, { message: "Unknown dataset" });
+        }
+        const job = { id: randomUUID(), demoDataSetId: payload.demoDataSetId, status: "RUNNING", createdAt: Date.now(), polls: 0 };
+        state.jobs.push(job);
+        return send(res, 201, job);
+      }
+
+      if ((m = /^\/demo-data-job\/([^/]+)$/.exec(route)) && req.method === "GET") {
+        const job = state.jobs.find((j) => j.id === m[1]);
+        if (!job) return send(res, 404, { message: "Unknown job" });
+        job.polls++;
+        if (job.status === "RUNNING" && job.polls > jobPolls) {
+          job.status = jobOutcome;
+          if (jobOutcome === "FAILED") job.errorMessage = "Mock job failed";
+        }
+        return send(res, 200, job);
+      }
+
+      return send(res, 404, { message: `No mock route for ${req.method} ${route}` });
+    } catch (e) {
+      send(res, 500, { message: e.message });
+    }
+  });
+
+  return { server, state };
+}
+
+// Resolves with { url, server, state, close() } once listening
+function startMockServer({ port = 0, host = "127.0.0.1", ...opts } = {}) {
+  const { server, state } = createMockServer(opts);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const addr = server.address();
+      resolve({
+        url: `http://${host}:${addr.port}`,
+        server,
+        state,
+        close: () => new Promise((r) => server.close(() => r())),
+      });
+    });
+  });
+}
+
+module.exports = { createMockServer, startMockServer };
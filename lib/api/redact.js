@@ -0,0 +1,25 @@
+// lib/api/redact.js
+// Keeps bearer tokens out of logs: "abcdef...wxyz", as the workflow prints them.
+
+function redactToken(token) {
+  if (!token) return "";
+  const s = String(token);
+  if (s.length <= 12) return "***REDACTED***";
+  return `${s.slice(0, 6)}...${s.slice(-4)}`;
+}
+
+// Replace every occurrence of the secrets (and any "Bearer <value>") in text
+function redactSecrets(text, secrets = []) {
+  let out = String(text);
+  for (const secret of secrets) {
+    if (!secret) continue;
+    out = out.split(String(secret)).join(redactToken(secret));
+  }
+  return out.replace(/(Bearer)\s+(?!\*\*\*)([A-Za-z0-9._~+/=-]+)/gi, (m, b, t) => `${b} ${redactToken(t)}`);
+}
+
+function createRedactingLogger(secrets, sink = console.log) {
+  return (...parts) => sink(redactSecrets(parts.join(" "), secrets));
+}
+
+module.exports = { redactToken, redactSecrets, createRedactingLogger };
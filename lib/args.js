@@ -0,0 +1,28 @@
+// lib/args.js
+// Minimal --flag parser shared by the ddg CLI and the legacy scripts.
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      const val = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+      args[key] = val;
+    } else {
+      args._.push(a);
+    }
+  }
+  return args;
+}
+
+/** Value of a numeric option (≥ 0), or undefined when it was not given. */
+function numberArg(args, key) {
+  const value = args[key];
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (value === true || !Number.isFinite(n) || n < 0) throw new Error(`--${key} must be a number ≥ 0.`);
+  return n;
+}
+
+module.exports = { parseArgs, numberArg };
@@ -0,0 +1,174 @@
+// lib/attributeTypes.js
+// Typed attributes. The optional AttributeTypes sheet gives an A2O attribute a
+// type and, instead of enumerated CaseTable_ items, how its values are drawn:
+//
+//   attribute  | type     | distribution | min      | max      | mean | std | decimals | currency | probability
+//   Priority   | integer  | uniform      | 1        | 5        |      |     |          |          |
+//   Weight     | decimal  | normal       | 0        |          | 12   | 4   | 1        |          |
+//   NetValue   | currency | lognormal    |          | 5000     | 250  | 80  |          | EUR      |
+//   DueDate    | date     |              | 20240101 | 20241231 |      |     |          |          |
+//   Express    | boolean  |              |          |          |      |     |          |          | 0.2
+//
+// Numbers take the distributions of lib/timing.js (min/max alone mean
+// uniform); decimals defaults to 2 (integer: 0). Dates are drawn uniformly
+// between min and max (YYYYMMDD, default: the General period) and come out as
+// epoch milliseconds; booleans are true with `probability` (default 0.5).
+// string, the default, keeps its CaseTable_ items. The attribute entry gets
+// `type` and `generation`. Shared by the entities stage (which throws on the
+// first problem but attribute/ignored-parameter) and the linter.
+
+const { parseTiming, PARAMETERS } = require("./timing");
+
+const ATTRIBUTE_TYPES_SHEET = "AttributeTypes";
+const TYPES = ["string", "integer", "decimal", "date", "boolean", "currency"];
+
+// Column roles → accepted header spellings (compared lowercase, alphanumerics only)
+const HEADERS = {
+  attribute: ["attribute", "name"],
+  type: ["type", "datatype"],
+  distribution: ["distribution", "dist"],
+  min: ["min", "minimum"],
+  max: ["max", "maximum"],
+  mean: ["mean", "avg", "average"],
+  std: ["std", "sd", "stddev", "sigma"],
+  decimals: ["decimals", "digits"],
+  currency: ["currency"],
+  probability: ["probability", "share"],
+};
+
+// lib/timing.js codes → AttributeTypes codes
+const TIMING_CODES = {
+  "variant/unknown-distribution": "attribute/unknown-distribution",
+  "variant/missing-timing-parameter": "attribute/missing-parameter",
+  "variant/invalid-timing": "attribute/invalid-parameter",
+};
+
+const fold = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+function columnsOf(headerRow) {
+  const cols = {};
+  (headerRow || []).forEach((h, c) => {
+    for (const [key, names] of Object.entries(HEADERS)) {
+      if (cols[key] === undefined && names.includes(fold(h))) cols[key] = c;
+    }
+  });
+  return cols;
+}
+
+// YYYYMMDD → local midnight in epoch millis, or null (as General Start/End)
+function ymdToMillis(v) {
+  const s = String(v ?? "").trim();
+  if (!/^\d{8}$/.test(s)) return null;
+  const y = Number(s.slice(0, 4)), m = Number(s.slice(4, 6)), d = Number(s.slice(6, 8));
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d ? date.getTime() : null;
+}
+
+/**
+ * parseAttributeType(raw, period) -> { type, generation, problems }
+ * raw: { type, distribution, min, max, mean, std, decimals, currency, probability }
+ * period: { startDate, endDate } in epoch millis, the default date range.
+ * type: one of TYPES in upper case (STRING when blank) or null when unknown;
+ * generation: the value parameters (null for strings); problems: { code, key,
+ * message } with the lint codes of lib/lint.js and key the column concerned.
+ */
+function parseAttributeType(raw, period = {}) {
+  const problems = [];
+  const type = isBlank(raw.type) ? "string" : fold(raw.type);
+  if (!TYPES.includes(type)) {
+    problems.push({ code: "attribute/unknown-type", key: "type", message: `Type "${raw.type}" is not one of ${TYPES.join(", ")}.` });
+    return { type: null, generation: null, problems };
+  }
+  const given = (keys) => keys.filter((k) => !isBlank(raw[k]));
+
+  if (type === "string") {
+    const extra = given(["distribution", "min", "max", "mean", "std", "decimals", "currency", "probability"]);
+    if (extra.length) problems.push({ code: "attribute/ignored-parameter", key: extra[0], message: `string attributes take their values from CaseTable_; ${extra.join(", ")} is ignored.` });
+    return { type: "STRING", generation: null, problems };
+  }
+
+  if (type === "boolean") {
+    const p = isBlank(raw.probability) ? 0.5 : Number(raw.probability);
+    if (!Number.isFinite(p) || p < 0 || p > 1) {
+      problems.push({ code: "attribute/invalid-parameter", key: "probability", message: `probability "${raw.probability}" is not between 0 and 1.` });
+    }
+    return { type: "BOOLEAN", generation: { probability: p }, problems };
+  }
+
+  if (type === "date") {
+    if (!isBlank(raw.distribution) && fold(raw.distribution) !== "uniform") {
+      problems.push({ code: "attribute/unknown-distribution", key: "distribution", message: `Dates are drawn uniformly; distribution "${raw.distribution}" is not supported.` });
+    }
+    const bound = (key, fallback) => {
+      if (isBlank(raw[key])) return fallback ?? null;
+      const millis = ymdToMillis(raw[key]);
+      if (millis === null) problems.push({ code: "attribute/invalid-parameter", key, message: `${key} "${raw[key]}" is not a YYYYMMDD date.` });
+      return millis;
+    };
+    const min = bound("min", period.startDate);
+    const max = bound("max", period.endDate);
+    if (min === null || max === null) {
+      if (!problems.length) problems.push({ code: "attribute/missing-parameter", key: "min", message: "date needs min and max (or General Start and End)." });
+    } else if (min > max) {
+      problems.push({ code: "attribute/invalid-parameter", key: "max", message: `min ${isBlank(raw.min) ? "(General Start)" : raw.min} is after max ${isBlank(raw.max) ? "(General End)" : raw.max}.` });
+    }
+    return { type: "DATE", generation: { type: "UNIFORM", min, max }, problems };
+  }
+
+  // integer, decimal, currency
+  const { timing, problems: timingProblems } = parseTiming({
+    distribution: raw.distribution,
+    min: raw.min,
+    max: raw.max,
+    mean: raw.mean,
+    std: raw.std,
+  });
+  // timing messages start with the parameter they are about, else concern the distribution
+  for (const p of timingProblems) {
+    const key = PARAMETERS.find((k) => p.message.startsWith(`${k} `)) || "distribution";
+    problems.push({ code: TIMING_CODES[p.code] || p.code, key, message: p.message });
+  }
+  if ((!timing && !timingProblems.length) || (timing && timing.type === "FIXED" && timing.mean === undefined)) {
+    problems.push({ code: "attribute/missing-parameter", key: "mean", message: `${type} needs min/max, or a distribution with its parameters (fixed: mean).` });
+  }
+  let decimals = type === "integer" ? 0 : 2;
+  if (!isBlank(raw.decimals)) {
+    const n = Number(raw.decimals);
+    if (!Number.isInteger(n) || n < 0 || (type === "integer" && n !== 0)) {
+      problems.push({ code: "attribute/invalid-parameter", key: "decimals", message: `decimals "${raw.decimals}" is not a whole number ≥ 0${type === "integer" ? " (integer: 0)" : ""}.` });
+    } else decimals = n;
+  }
+  const generation = { ...(timing || {}), decimals };
+  if (type === "currency" && !isBlank(raw.currency)) generation.currency = String(raw.currency).trim().toUpperCase();
+  return { type: type.toUpperCase(), generation, problems };
+}
+
+/**
+ * parseAttributeTypeRows(rows, period) -> { types, problems }
+ * rows: the AttributeTypes sheet as arrays (header row first).
+ * types: [{ attribute, type, generation, row, cols }] for every row with an
+ *   attribute, type null when unknown; problems: { code, row, col, message },
+ *   0-based into rows.
+ */
+function parseAttributeTypeRows(rows, period = {}) {
+  const types = [];
+  const problems = [];
+  const cols = columnsOf(rows[0]);
+  if (cols.attribute === undefined || cols.type === undefined) {
+    problems.push({ code: "attribute/missing-column", row: 0, col: 0, message: 'AttributeTypes needs an "attribute" and a "type" column.' });
+    return { types, problems };
+  }
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r] || [];
+    if (isBlank(row[cols.attribute])) continue;
+    const raw = {};
+    for (const [key, c] of Object.entries(cols)) raw[key] = row[c];
+    const parsed = parseAttributeType(raw, period);
+    for (const { key, ...p } of parsed.problems) problems.push({ ...p, row: r, col: cols[key] ?? cols.type });
+    types.push({ attribute: String(row[cols.attribute]).trim(), type: parsed.type, generation: parsed.generation, row: r, cols });
+  }
+  return { types, problems };
+}
+
+module.exports = { parseAttributeType, parseAttributeTypeRows, ATTRIBUTE_TYPES_SHEET, ATTRIBUTE_TYPES: TYPES, ATTRIBUTE_TYPE_HEADERS: HEADERS };
@@ -0,0 +1,161 @@
+// lib/batch.js
+// ddg build --manifest datasets.json: builds (and with --deploy, deploys)
+// every dataset listed in a manifest, one after the other, and ends with a
+// summary table of what succeeded or failed and why.
+//
+// {
+//   "defaults": { "dataPool": "ddgtest", "ids": "stable" },
+//   "datasets": [
+//     { "workbook": "sales.xlsx", "name": "Sales", "dataModel": "sales",
+//       "space": "demo", "genpackage": "salesPkg", "analysis": "Sales" },
+//     { "workbook": "https://docs.google.com/spreadsheets/d/<id>/edit", "name": "P2P" }
+//   ]
+// }
+
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJson } = require("./io");
+
+// Options that belong to the batch itself, not to the per-dataset build
+const BATCH_OPTIONS = ["manifest", "out-dir", "deploy", "skip-lint", "_"];
+
+// ---------- Helpers ----------
+
+// File-system friendly directory name for a dataset
+const dirName = (name) => String(name).trim().replace(/[^A-Za-z0-9._-]+/g, "_") || "dataset";
+
+const isUrl = (s) => /^https?:\/\//i.test(String(s));
+
+// Same normalization as the workflow: a Google Sheets link → its xlsx export
+function exportUrl(url) {
+  const m = /^https:\/\/docs\.google\.com\/spreadsheets\/d\/([^/]+)/.exec(url);
+  return m ? `https://docs.google.com/spreadsheets/d/${m[1]}/export?format=xlsx` : url;
+}
+
+async function downloadWorkbook(url, dest) {
+  const res = await fetch(exportUrl(url));
+  if (!res.ok) throw new Error(`Downloading ${url} failed: HTTP ${res.status}`);
+  const bytes = Buffer.from(await res.arrayBuffer());
+  if (!bytes.length) throw new Error(`Downloading ${url} gave an empty file.`);
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.writeFileSync(dest, bytes);
+  return dest;
+}
+
+/** Manifest entries with defaults applied; throws on a malformed manifest. */
+function readManifest(file) {
+  const doc = readJson(file);
+  const datasets = Array.isArray(doc) ? doc : doc && doc.datasets;
+  if (!Array.isArray(datasets) || !datasets.length) {
+    throw new Error(`${file}: expected a "datasets" array with at least one entry.`);
+  }
+  const defaults = (!Array.isArray(doc) && doc.defaults) || {};
+  const seen = new Set();
+  return datasets.map((entry, i) => {
+    const merged = { ...defaults, ...entry };
+    const workbook = merged.workbook || merged.input;
+    if (!merged.name) throw new Error(`${file}: datasets[${i}] has no "name".`);
+    if (!workbook) throw new Error(`${file}: datasets[${i}] ("${merged.name}") has no "workbook".`);
+    if (seen.has(merged.name)) throw new Error(`${file}: dataset name "${merged.name}" is listed twice.`);
+    seen.add(merged.name);
+    const { workbook: _w, input: _i, ...options } = merged;
+    return { name: String(merged.name), workbook: String(workbook), options };
+  });
+}
+
+function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+function printTable(results) {
+  const width = Math.max(7, ...results.map((r) => r.name.length));
+  console.log(`\n${"Dataset".padEnd(width)}  ${"Status".padEnd(12)}  ${"Time".padStart(7)}  Details`);
+  for (const r of results) {
+    const status = r.ok ? `✅ ${r.status}` : `❌ ${r.status}`;
+    console.log(`${r.name.padEnd(width)}  ${status.padEnd(12)}  ${formatDuration(r.durationMs).padStart(7)}  ${r.ok ? r.output : r.error}`);
+  }
+}
+
+// ---------- One dataset ----------
+
+async function runEntry(entry, { args, manifestDir, outDir }) {
+  const dir = path.join(outDir, dirName(entry.name));
+  const input = isUrl(entry.workbook)
+    ? await downloadWorkbook(entry.workbook, path.join(dir, "input.xlsx"))
+    : path.resolve(manifestDir, entry.workbook);
+
+  const global = Object.fromEntries(Object.entries(args).filter(([k]) => !BATCH_OPTIONS.includes(k)));
+  const entryArgs = {
+    ...global,
+    ...entry.options,
+    name: entry.name,
+    input,
+    out: entry.options.out ? path.resolve(manifestDir, entry.options.out) : path.join(dir, "final.json"),
+    _: [],
+  };
+  if (global["emit-intermediates"]) entryArgs["emit-intermediates"] = path.join(dir, "intermediates");
+  // per dataset, or every entry would overwrite the report paths of ddg.config.json
+  entryArgs.report = path.join(dir, "deploy.json");
+  entryArgs["job-report"] = path.join(dir, "job-report.json");
+
+  if (!args["skip-lint"]) {
+    const { loadWorkbook } = require("./workbook");
+    const { loadProjectConfig } = require("./projectConfig");
+    const { lintWorkbook, summarize } = require("./lint");
+    const findings = lintWorkbook(loadWorkbook(input, loadProjectConfig(args["project-config"])));
+    const { errors } = summarize(findings);
+    if (errors) {
+      const first = findings.find((f) => f.severity === "error");
+      return { status: "lint", error: `${errors} lint error(s), first: ${first.sheet}${first.cell ? `!${first.cell}` : ""} ${first.code}` };
+    }
+  }
+
+  if (args.deploy) {
+    const code = await require("./commands/deploy").run(entryArgs);
+    if (code !== 0) return { status: "job", error: `deploy exited with code ${code} (see ${entryArgs["job-report"]})` };
+    return { status: entryArgs.plan ? "planned" : "deployed", output: entryArgs.out };
+  }
+  const { buildConfig } = require("./commands/build");
+  const config = await buildConfig(entryArgs, process.env.NEW_ID || "dummy");
+  return { status: "built", output: config ? entryArgs.out : "(compose step not selected)" };
+}
+
+/**
+ * runManifest(args) -> exit code (1 when any dataset failed)
+ * args: the ddg build options; --manifest, --out-dir (default: datasets),
+ * --deploy and --skip-lint belong to the batch, the rest applies to every
+ * dataset unless the manifest entry overrides it.
+ */
+async function runManifest(args) {
+  const manifestFile = path.resolve(String(args.manifest));
+  const manifestDir = path.dirname(manifestFile);
+  const outDir = path.resolve(args["out-dir"] || "datasets");
+  const entries = readManifest(manifestFile);
+
+  const results = [];
+  for (const [i, entry] of entries.entries()) {
+    console.log(`\n▶ [${i + 1}/${entries.length}] ${entry.name}`);
+    const started = Date.now();
+    let result;
+    try {
+      result = await runEntry(entry, { args, manifestDir, outDir });
+    } catch (e) {
+      result = { status: "failed", error: e.message.split("\n")[0] };
+    }
+    results.push({ name: entry.name, ok: !result.error, ...result, durationMs: Date.now() - started });
+  }
+
+  printTable(results);
+  const failed = results.filter((r) => !r.ok).length;
+  const reportPath = writeJson(path.join(outDir, "batch-report.json"), {
+    manifest: manifestFile,
+    deploy: Boolean(args.deploy),
+    succeeded: results.length - failed,
+    failed,
+    datasets: results,
+  });
+  console.log(`\n${failed ? "❌" : "✅"} ${results.length - failed}/${results.length} dataset(s) succeeded. Report: ${reportPath}`);
+  return failed ? 1 : 0;
+}
+
+module.exports = { runManifest, readManifest, exportUrl };
@@ -0,0 +1,261 @@
+// lib/bpmn.js
+// Turns a BPMN 2.0 process into variants: every path from the start event to
+// an end event is enumerated, exclusive gateways branching with their flow
+// probabilities and parallel gateways running their branches side by side
+// (same start offset) until the matching join. Loops are followed at most
+// maxLoops extra times; paths that would loop more often are cut.
+//
+// Flow probabilities come from a side file (by flow id or name) or from the
+// diagram: a text annotation associated with the flow, its documentation or
+// its name, written as "70%", "p=0.7" or "probability: 0.7".
+
+const { parseXml, findAll, childrenOf } = require("./xml");
+
+const TASKS = [
+  "task", "userTask", "serviceTask", "manualTask", "scriptTask", "sendTask",
+  "receiveTask", "businessRuleTask", "callActivity", "subProcess", "adHocSubProcess", "transaction",
+];
+const EXCLUSIVE = ["exclusiveGateway", "eventBasedGateway", "complexGateway"];
+const PASS_THROUGH = ["intermediateCatchEvent", "intermediateThrowEvent"];
+
+const EPSILON = 1e-9;
+
+// ---------- Reading ----------
+
+/** Probability (0..1) written in a text, or null. */
+function probabilityIn(text) {
+  const s = String(text ?? "");
+  const percent = /(\d+(?:[.,]\d+)?)\s*%/.exec(s);
+  if (percent) return Number(percent[1].replace(",", ".")) / 100;
+  const labeled = /\b(?:p|prob|probability)\s*[=:]\s*(\d*[.,]?\d+)/i.exec(s);
+  if (labeled) {
+    const n = Number(labeled[1].replace(",", "."));
+    return n > 1 ? n / 100 : n;
+  }
+  return null;
+}
+
+function pickProcess(doc, processId) {
+  const processes = findAll(doc, "process");
+  if (processId) {
+    const hit = processes.find((p) => p.attrs.id === processId);
+    if (!hit) throw new Error(`No process "${processId}" (found: ${processes.map((p) => p.attrs.id).join(", ")}).`);
+    return hit;
+  }
+  const runnable = processes.filter((p) => childrenOf(p, "startEvent").length);
+  if (!runnable.length) throw new Error("The BPMN file has no process with a start event.");
+  if (runnable.length > 1) {
+    throw new Error(`The BPMN file has several processes (${runnable.map((p) => p.attrs.id).join(", ")}); pick one with --process.`);
+  }
+  return runnable[0];
+}
+
+/**
+ * readBpmn(xmlText, { processId }) -> { nodes, flows, start, warnings }
+ * nodes: Map id → { id, type, name, incoming: [flow], outgoing: [flow] }
+ * flows: Map id → { id, name, source, target, texts: [annotation/documentation text] }
+ */
+function readBpmn(xmlText, { processId } = {}) {
+  const doc = parseXml(xmlText);
+  if (doc.local !== "definitions") throw new Error(`Not a BPMN 2.0 file (root element <${doc.name}>).`);
+  const process = pickProcess(doc, processId);
+  const warnings = [];
+
+  const nodes = new Map();
+  const flows = new Map();
+  for (const el of process.children) {
+    if (el.local === "sequenceFlow") {
+      const texts = childrenOf(el, "documentation").map((d) => d.text);
+      flows.set(el.attrs.id, { id: el.attrs.id, name: el.attrs.name || "", source: el.attrs.sourceRef, target: el.attrs.targetRef, texts });
+    } else if (
+      TASKS.includes(el.local) || EXCLUSIVE.includes(el.local) || PASS_THROUGH.includes(el.local) ||
+      ["startEvent", "endEvent", "parallelGateway", "inclusiveGateway"].includes(el.local)
+    ) {
+      nodes.set(el.attrs.id, { id: el.attrs.id, type: el.local, name: (el.attrs.name || "").trim(), incoming: [], outgoing: [] });
+    } else if (el.local === "boundaryEvent") {
+      warnings.push(`Boundary event ${el.attrs.id} is ignored.`);
+    }
+  }
+
+  // Annotations live in the process or the collaboration
+  const annotations = new Map(findAll(doc, "textAnnotation").map((a) => [a.attrs.id, childrenOf(a, "text").map((t) => t.text).join(" ")]));
+  for (const assoc of findAll(doc, "association")) {
+    const { sourceRef, targetRef } = assoc.attrs;
+    if (flows.has(sourceRef) && annotations.has(targetRef)) flows.get(sourceRef).texts.unshift(annotations.get(targetRef));
+    if (flows.has(targetRef) && annotations.has(sourceRef)) flows.get(targetRef).texts.unshift(annotations.get(sourceRef));
+  }
+
+  for (const flow of flows.values()) {
+    const from = nodes.get(flow.source);
+    const to = nodes.get(flow.target);
+    if (!from || !to) throw new Error(`Sequence flow ${flow.id} connects unknown element(s) ${flow.source} → ${flow.target}.`);
+    from.outgoing.push(flow);
+    to.incoming.push(flow);
+  }
+
+  const starts = [...nodes.values()].filter((n) => n.type === "startEvent");
+  if (starts.length !== 1) throw new Error(`Expected one start event in process ${process.attrs.id}, found ${starts.length}.`);
+  return { nodes, flows, start: starts[0], warnings };
+}
+
+// ---------- Paths ----------
+
+/**
+ * enumeratePaths(model, options) -> { paths, cut, warnings }
+ * options:
+ * - probabilities: { <flow id or name>: 0..1 or "70%" } (side file, wins over the diagram)
+ * - activities: { <task id or name>: PE2 activity name }
+ * - durations: { <task id or name>: offset units } (default: duration)
+ * - duration: default task duration (default 1)
+ * - maxLoops: how often a path may come back to the same element (default 1)
+ * - maxPaths: stop with an error beyond this many paths (default 1000)
+ * paths: [{ steps: [{ activity, start, end }], p }]; cut is the probability
+ * of the paths dropped by the loop bound.
+ */
+function enumeratePaths(model, options = {}) {
+  const { probabilities = {}, activities = {}, durations = {}, duration = 1, maxLoops = 1, maxPaths = 1000 } = options;
+  const warnings = [...model.warnings];
+  const warned = new Set();
+  const warnOnce = (key, message) => {
+    if (!warned.has(key)) warnings.push(message);
+    warned.add(key);
+  };
+  const byIdOrName = (map, el) => map[el.id] ?? (el.name ? map[el.name] : undefined);
+  let cut = 0;
+  let count = 0;
+
+  // Outgoing flows of an exclusive split with their probabilities (sum 1)
+  function branchProbabilities(node) {
+    const given = node.outgoing.map((f) => {
+      const fromSide = byIdOrName(probabilities, f);
+      if (fromSide !== undefined) {
+        const n = typeof fromSide === "number" ? fromSide : probabilityIn(fromSide) ?? Number(fromSide);
+        return n > 1 ? n / 100 : n;
+      }
+      for (const text of f.texts) {
+        const p = probabilityIn(text);
+        if (p !== null) return p;
+      }
+      return probabilityIn(f.name);
+    });
+    const known = given.filter((p) => p !== null && Number.isFinite(p));
+    const sum = known.reduce((a, b) => a + b, 0);
+    const unknown = given.length - known.length;
+    let ps;
+    if (unknown && sum < 1 - EPSILON) {
+      ps = given.map((p) => (p === null ? (1 - sum) / unknown : p));
+    } else {
+      ps = given.map((p) => (p === null ? 0 : p));
+      const total = ps.reduce((a, b) => a + b, 0);
+      if (Math.abs(total - 1) > 1e-6) {
+        warnOnce(`sum:${node.id}`, `Probabilities leaving ${node.name || node.id} add up to ${Number(total.toFixed(4))}; they are scaled to 1.`);
+        ps = ps.map((p) => (total > 0 ? p / total : 1 / ps.length));
+      }
+    }
+    return node.outgoing.map((flow, i) => ({ flow, p: ps[i] }));
+  }
+
+  // Arriving at an element: returns partial paths { steps, p, t, visits, join };
+  // scale is the probability of reaching the parallel split a branch starts at
+  function enter(id, state) {
+    const node = model.nodes.get(id);
+    const seen = (state.visits.get(id) || 0) + 1;
+    if (seen > maxLoops + 1) {
+      cut += state.p * state.scale;
+      return [];
+    }
+    const visits = new Map(state.visits).set(id, seen);
+    const here = { ...state, visits };
+
+    if (node.type === "parallelGateway" && node.incoming.length > 1) return [{ ...here, join: id }];
+    if (node.type === "endEvent") return [{ ...here, join: null }];
+    if (TASKS.includes(node.type)) {
+      const d = Number(byIdOrName(durations, node) ?? duration);
+      const activity = String(byIdOrName(activities, node) ?? (node.name || node.id));
+      return leave(node, { ...here, steps: [...here.steps, { activity, start: here.t, end: here.t + d }], t: here.t + d });
+    }
+    return leave(node, here);
+  }
+
+  // Leaving an element through its outgoing flows
+  function leave(node, state) {
+    if (!node.outgoing.length) return [{ ...state, join: null }];
+    if (node.outgoing.length === 1) return enter(node.outgoing[0].target, state);
+    if (node.type === "parallelGateway") return parallel(node, state);
+
+    if (node.type === "inclusiveGateway") warnOnce(`incl:${node.id}`, `Inclusive gateway ${node.name || node.id} is treated as exclusive.`);
+    else if (!EXCLUSIVE.includes(node.type)) {
+      warnOnce(`implicit:${node.id}`, `${node.name || node.id} has several outgoing flows without a gateway; treated as exclusive.`);
+    }
+    return branchProbabilities(node)
+      .filter(({ p }) => p > 0)
+      .flatMap(({ flow, p }) => enter(flow.target, { ...state, p: state.p * p }));
+  }
+
+  // Parallel split: every combination of the branches' alternatives, merged at the join
+  function parallel(node, state) {
+    const branches = node.outgoing.map((flow) => enter(flow.target, { ...state, steps: [], p: 1, scale: state.p * state.scale }));
+    if (branches.some((b) => !b.length)) return [];
+    const joins = new Set(branches.flat().map((b) => b.join));
+    if (joins.size > 1) {
+      throw new Error(`The branches of parallel gateway ${node.name || node.id} do not meet at one join.`);
+    }
+    const [join] = joins;
+
+    let combos = [[]];
+    for (const alternatives of branches) {
+      combos = combos.flatMap((combo) => alternatives.map((alt) => [...combo, alt]));
+      if (combos.length > maxPaths) throw new Error(`More than ${maxPaths} paths; raise --max-paths or lower --max-loops.`);
+    }
+
+    return combos.flatMap((combo) => {
+      const visits = new Map(state.visits);
+      for (const alt of combo) for (const [id, n] of alt.visits) visits.set(id, Math.max(visits.get(id) || 0, n));
+      const merged = {
+        steps: [...state.steps, ...combo.flatMap((alt) => alt.steps).sort((a, b) => a.start - b.start)],
+        p: state.p * combo.reduce((acc, alt) => acc * alt.p, 1),
+        t: Math.max(...combo.map((alt) => alt.t)),
+        visits,
+        scale: state.scale,
+      };
+      return join ? leave(model.nodes.get(join), merged) : [{ ...merged, join: null }];
+    });
+  }
+
+  const partials = enter(model.start.id, { steps: [], p: 1, t: 1, visits: new Map(), scale: 1 });
+  const paths = partials.map((partial) => {
+    if (partial.join) throw new Error(`Parallel join ${partial.join} has no matching split.`);
+    if (++count > maxPaths) throw new Error(`More than ${maxPaths} paths; raise --max-paths or lower --max-loops.`);
+    return { steps: partial.steps, p: partial.p };
+  });
+  return { paths, cut, warnings };
+}
+
+/**
+ * bpmnVariants(xmlText, options) -> { variants, cut, warnings }
+ * Paths with the same activity sequence are merged; variants are named
+ * Path1, Path2, ... by probability and their frequency is the share (0..100)
+ * among the paths kept. options: readBpmn's and enumeratePaths'.
+ */
+function bpmnVariants(xmlText, options = {}) {
+  const { paths, cut, warnings } = enumeratePaths(readBpmn(xmlText, options), options);
+  const merged = new Map();
+  for (const path of paths) {
+    if (!path.steps.length) continue;
+    const key = JSON.stringify(path.steps.map((s) => s.activity));
+    if (merged.has(key)) merged.get(key).p += path.p;
+    else merged.set(key, { ...path });
+  }
+  const kept = [...merged.values()].sort((a, b) => b.p - a.p);
+  const total = kept.reduce((a, v) => a + v.p, 0);
+  const width = String(kept.length).length;
+  const variants = kept.map((v, i) => ({
+    name: `Path${String(i + 1).padStart(width, "0")}`,
+    frequency: Number(((v.p / total) * 100).toFixed(2)),
+    probability: v.p,
+    steps: v.steps,
+  }));
+  return { variants, cut, warnings };
+}
+
+module.exports = { bpmnVariants, readBpmn, enumeratePaths, probabilityIn };
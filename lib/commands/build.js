@@ -0,0 +1,96 @@
+// lib/commands/build.js
+// ddg build --input input.xlsx --out final.json [--steps a,b] [--emit-intermediates dir] [--from dir]
+// ddg build --manifest datasets.json [--deploy]: every dataset of a manifest (lib/batch.js)
+
+const path = require("path");
+const { loadWorkbook } = require("../workbook");
+const { runPipeline, parseSteps, ALL_STEPS } = require("../pipeline");
+const { writeStreamedJson } = require("../io");
+const { createIds, STRATEGIES } = require("../ids");
+const { loadProjectConfig, withProjectDefaults } = require("../projectConfig");
+const { variantFrequencies, formatShares } = require("../frequency");
+
+const BUILD_OPTIONS = `  --input <path>               .xlsx/.ods workbook, CSV directory or .json tables (default: input.xlsx)
+  --out <file>                 final config (default: final.json)
+  --name <name>                dataset name (default: workbook file name)
+  --dataPool <pool>            data pool (default: default)
+  --dataModel <model>          data model (default: default)
+  --emit-intermediates <dir>   write every stage output to <dir>/<step>.json
+  --ids <strategy>             ID strategy: ${STRATEGIES.join(" | ")} (default: random)
+  --id-namespace <ns>          namespace for stable IDs, text or UUID (default: --name)
+  --project-config <file>      sheet/header aliases and paths (default: ./ddg.config.json if present)`;
+
+const USAGE = `Usage: ddg build [options]
+
+${BUILD_OPTIONS}
+  --steps <a,b,...>            only run these steps: ${ALL_STEPS.join(", ")}
+  --from <dir>                 read outputs of steps not in --steps from <dir>/<step>.json
+
+Batch mode:
+  --manifest <file>            build every dataset listed in the manifest
+  --out-dir <dir>              per-dataset outputs go to <dir>/<name>/ (default: datasets)
+  --deploy                     also deploy each dataset (takes the ddg deploy options)
+  --skip-lint                  do not lint each workbook first
+
+The dataset id in dataSetConfig.id is taken from $NEW_ID (default: dummy).
+Paths given in ddg.config.json are the defaults for --input, --out and
+--emit-intermediates.`;
+
+function dataSetFromArgs(args, id) {
+  const input = args.input || "input.xlsx";
+  return {
+    id,
+    name: args.name || path.basename(input, path.extname(input)),
+    dataPool: args.dataPool || "default",
+    dataModel: args.dataModel || "default",
+  };
+}
+
+/**
+ * Run the pipeline for the build options above and write --out and
+ * --emit-intermediates (neither when opts.write is false). opts.project is the loaded project config (default:
+ * --project-config). Returns the composed config (null when "compose" is not
+ * in --steps).
+ */
+async function buildConfig(args, dataSetId, { write = true, project = loadProjectConfig(args["project-config"]) } = {}) {
+  const input = args.input || "input.xlsx";
+  const out = args.out || "final.json";
+  const steps = parseSteps(args.steps);
+  const dataSet = dataSetFromArgs(args, dataSetId);
+  const ids = createIds({ strategy: args.ids || "random", namespace: args["id-namespace"] || dataSet.name });
+
+  const workbook = loadWorkbook(input, project);
+  const { config } = runPipeline(workbook, {
+    steps,
+    from: args.from,
+    emitIntermediates: write ? args["emit-intermediates"] : undefined,
+    dataSet,
+    ids,
+  });
+
+  if (steps.includes("variants")) {
+    const frequencies = variantFrequencies(workbook);
+    for (const line of formatShares(frequencies)) console.log(line);
+    for (const p of frequencies.problems) console.log(`⚠️ ${p.sheet}!${p.cell}: ${p.message}`);
+  }
+
+  if (config && write) {
+    await writeStreamedJson(out, config);
+    console.log(`✅ Wrote ${out}`);
+  }
+  return config;
+}
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.manifest) return require("../batch").runManifest(args);
+  const project = loadProjectConfig(args["project-config"]);
+  const config = await buildConfig(withProjectDefaults(args, project), process.env.NEW_ID || "dummy", { project });
+  if (!config) console.log("✅ Done (compose step not selected, no final config written).");
+  return 0;
+}
+
+module.exports = { run, buildConfig, dataSetFromArgs, BUILD_OPTIONS, USAGE };
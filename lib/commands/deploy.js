@@ -0,0 +1,226 @@
+// lib/commands/deploy.js
+// ddg deploy: resolve or create the dataset, build final.json for it, upload
+// the config and start a demo-data job — the API part of main.yml.
+
+const fs = require("fs");
+const path = require("path");
+const { DdgClient } = require("../api/client");
+const { NotFoundError } = require("../api/errors");
+const { readJson, writeJson, writeStreamedJson } = require("../io");
+const { buildConfig, dataSetFromArgs, BUILD_OPTIONS } = require("./build");
+const { waitAndReport, WAIT_OPTIONS } = require("./job");
+const { exitCodeFor } = require("../api/jobs");
+const { mergeWithRemote, formatSummary, summaryBySection } = require("../sync");
+const { loadProjectConfig, withProjectDefaults } = require("../projectConfig");
+
+const USAGE = `Usage: ddg deploy [options]
+
+API:
+  --domain <url>               DDG domain incl. protocol (default: $DDG_DOMAIN)
+  --token-env <VAR>            environment variable holding the bearer token (default: DDG_TOKEN)
+  --allow-host <suffix>        only call hosts ending with this suffix (e.g. .celonis.cloud)
+  --space <space>              dataset params used when the dataset is created
+  --genpackage <package>
+  --analysis <analysis>
+  --config <file>              upload this final.json instead of building one
+  --replace                    do not sync with the existing config (fresh IDs for everything)
+  --plan                       dry run: show what would be created/changed, upload nothing
+  --skip-job                   upload the config but do not start a demo-data job
+  --wait                       poll the started job until it finishes (exit 1 failed, 2 timed out)
+${WAIT_OPTIONS}
+  --report <file>              deploy report path (default: deploy.json next to the final config)
+  --job-report <file>          job report path for --wait (default: job-report.json next to it)
+
+Build (when --config is not given):
+${BUILD_OPTIONS}
+
+When the dataset already has a config, objects, events, attributes, variants,
+random configs and dimensions are matched by name and keep their remote IDs; the merged
+config is written to --out and uploaded, and the added / changed / removed
+summary is printed.
+
+A deploy report (dataset id, sync summary, upload and job result) is written
+to deploy.json next to the final config; with --wait the job report goes to
+job-report.json. ddg.config.json paths and --report / --job-report move them.`;
+
+function clientFromArgs(args) {
+  const tokenEnv = args["token-env"] || "DDG_TOKEN";
+  const token = process.env[tokenEnv];
+  if (!token) throw new Error(`No API token: set $${tokenEnv} (or pick another variable with --token-env).`);
+  const domain = args.domain || process.env.DDG_DOMAIN;
+  if (!domain) throw new Error("No API domain: pass --domain or set $DDG_DOMAIN.");
+  // an empty --allow-host "" parses as a bare flag: no host restriction
+  const allowHost = typeof args["allow-host"] === "string" ? args["allow-host"] : undefined;
+  return new DdgClient({ domain, token, allowHost });
+}
+
+function dataSetParams(args) {
+  return {
+    dataPool: args.dataPool || "default",
+    dataModel: args.dataModel || "default",
+    space: args.space || "defaultSpace",
+    genpackage: args.genpackage || "defaultPackage",
+    analysis: args.analysis || "defaultAnalysis",
+  };
+}
+
+async function fetchExistingConfig(client, id) {
+  try {
+    return await client.getConfig(id);
+  } catch (e) {
+    if (e instanceof NotFoundError) return null; // a 404 means "no config yet"
+    throw e;
+  }
+}
+
+// Build final.json for this dataset id, or load --config
+async function configFor(args, id, { write = true, project } = {}) {
+  if (args.config) {
+    const config = readJson(args.config);
+    if (config?.dataSetConfig?.id !== id) {
+      console.warn(`⚠️ ${args.config} has dataSetConfig.id "${config?.dataSetConfig?.id}", dataset is ${id}.`);
+    }
+    return config;
+  }
+  const config = await buildConfig(args, id, { write, project });
+  if (!config) throw new Error("Nothing to upload: the compose step did not run.");
+  return config;
+}
+
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+// ---------- Plan (dry run) ----------
+
+// Same id length as a real one, so the size estimate stays exact
+const PLACEHOLDER_ID = "00000000-0000-0000-0000-000000000000";
+
+/**
+ * deploy --plan: resolve the dataset without creating it, build the config,
+ * diff it against the existing one per final.json section and estimate the
+ * upload size. Read-only: nothing is written, uploaded or started.
+ */
+async function plan(client, args, name, project) {
+  const existingDataSet = await client.findDataSetByName(name);
+  const id = existingDataSet ? existingDataSet.id : PLACEHOLDER_ID;
+  const local = await configFor(args, id, { write: false, project });
+  const existing = existingDataSet ? await fetchExistingConfig(client, id) : null;
+  // with --replace the diff by name still holds, only the IDs would all be new
+  const { config: merged, summary } = mergeWithRemote(local, existing);
+  const config = args.replace ? local : merged;
+
+  console.log(`\nPlan for dataset "${name}":`);
+  if (existingDataSet) {
+    console.log(`  Dataset exists (ID: ${id}): it would be updated.`);
+  } else {
+    const p = dataSetParams(args);
+    console.log(`  Dataset does not exist: it would be created (space ${p.space}, data pool ${p.dataPool}).`);
+  }
+  if (!existing) {
+    console.log("  No existing config: everything below would be new.");
+  } else {
+    console.log(
+      args.replace
+        ? `  Existing config (${kb(Buffer.byteLength(JSON.stringify(existing), "utf8"))}) would be replaced with fresh IDs (--replace).`
+        : `  Existing config (${kb(Buffer.byteLength(JSON.stringify(existing), "utf8"))}) would be synced; matched entities keep their IDs.`
+    );
+  }
+  console.log(`  general: ${summary.general ? "changed" : existing ? "unchanged" : "new"}`);
+  for (const [section, changes] of Object.entries(summaryBySection(summary))) {
+    const counts = `+${changes.added.length} ~${changes.changed.length} -${changes.removed.length}`;
+    console.log(`  ${section}: ${counts}`);
+    for (const [symbol, names] of [["+", changes.added], ["~", changes.changed], ["-", changes.removed]]) {
+      for (const n of names) console.log(`      ${symbol} ${n}`);
+    }
+  }
+  const bytes = Buffer.byteLength(JSON.stringify(config), "utf8");
+  console.log(`  final.json: about ${kb(bytes)} (${bytes} bytes)`);
+  console.log(args["skip-job"] ? "  No demo-data job would be started (--skip-job)." : "  A demo-data job would be started.");
+  console.log("\nPlan only: nothing was created, uploaded or started.");
+  return 0;
+}
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const project = loadProjectConfig(args["project-config"]);
+  args = withProjectDefaults(args, project);
+  const client = clientFromArgs(args);
+  const name = dataSetFromArgs(args).name;
+  const out = args.out || args.config || "final.json";
+  const report = { dataSet: { name }, startedAt: new Date().toISOString() };
+  const reportDir = path.dirname(path.resolve(out));
+  const reportPath = args.report || project.paths.deployReport || path.join(reportDir, "deploy.json");
+  const jobReportPath = args["job-report"] || project.paths.jobReport || path.join(reportDir, "job-report.json");
+
+  console.log(`Domain: ${client.domain}`);
+  console.log(`Bearer (redacted): ${client.redactedToken}`);
+
+  if (args.plan) return plan(client, args, name, project);
+
+  try {
+    // 1) Resolve or create dataset
+    const { id, created } = await client.resolveDataSet(name, dataSetParams(args));
+    report.dataSet = { name, id, created };
+    console.log(created ? `New dataset created (ID: ${id})` : `dataset already exists, updating the same (ID: ${id})`);
+
+    // 2) Build (or load) final.json for this dataset id
+    let config = await configFor(args, id, { project });
+
+    // 3) Sync with the existing config: keep its IDs for everything matched by name
+    const existing = await fetchExistingConfig(client, id);
+    // --config given with a different --out: that file is what gets uploaded
+    let rewrite = Boolean(args.config) && path.resolve(out) !== path.resolve(args.config);
+    if (!existing) {
+      console.log("No existing config.");
+    } else if (args.replace) {
+      console.log("Existing config found; it will be replaced (--replace).");
+    } else {
+      const { config: merged, summary } = mergeWithRemote(config, existing);
+      config = merged;
+      rewrite = true;
+      report.sync = summary;
+      console.log("Existing config found; synced by name (remote IDs kept):");
+      for (const line of formatSummary(summary)) console.log(line);
+    }
+    if (rewrite) await writeStreamedJson(out, config);
+
+    // 4) Upload
+    const upload = await client.uploadConfig(id, out);
+    report.upload = { bytes: fs.statSync(out).size, response: upload };
+    console.log(`Config upload completed (${kb(report.upload.bytes)}).`);
+
+    // 5) Trigger data job
+    if (!args["skip-job"]) {
+      const job = await client.startJob(id);
+      report.job = { id: job && job.id, response: job };
+      console.log(`Data job triggered (Job ID: ${report.job.id ?? "missing from the response"})`);
+
+      // 6) Optionally wait for it
+      if (args.wait) {
+        if (!report.job.id) {
+          throw new Error(`The job start response has no job id, so there is nothing to wait for: ${JSON.stringify(job)}`);
+        }
+        const jobReport = await waitAndReport(client, report.job.id, args, jobReportPath);
+        report.job.outcome = jobReport.outcome;
+        report.job.durationMs = jobReport.durationMs;
+        report.ok = jobReport.outcome === "succeeded";
+        return exitCodeFor(jobReport);
+      }
+    }
+    report.ok = true;
+    return 0;
+  } catch (e) {
+    report.ok = false;
+    report.error = { type: e.name, message: e.message, status: e.status, body: e.body };
+    throw e;
+  } finally {
+    report.finishedAt = new Date().toISOString();
+    writeJson(reportPath, report);
+    console.log(`Deploy report: ${reportPath}`);
+  }
+}
+
+module.exports = { run, plan, clientFromArgs, dataSetParams, USAGE };
@@ -0,0 +1,72 @@
+// lib/commands/discoverVariants.js
+// ddg discover-variants log.csv [--case-col c] [--activity-col a] [--time-col t] [--out variants.xlsx | --json variants.json]
+// Groups the traces of an event log into variants and writes them as
+// Variant_ sheets (or as the variants stage output), so a demo dataset can
+// follow a real process.
+
+const path = require("path");
+const { numberArg } = require("../args");
+const { loadProjectConfig } = require("../projectConfig");
+const { readEventLog, discoverVariants, UNIT_MS } = require("../discover");
+const { OUTPUT_OPTIONS, loadInput, generalUnit, writeVariants } = require("../variantOutput");
+
+const USAGE = `Usage: ddg discover-variants <log.csv> [options]
+
+  --case-col <name>            case id column (default: case, case id or case:concept:name)
+  --activity-col <name>        activity column (default: activity or concept:name)
+  --time-col <name>            timestamp column, ISO text or epoch ms (default: timestamp or time:timestamp)
+  --end-col <name>             end timestamp column; without it a step ends when the next one starts
+  --unit <unit>                offset unit: ${Object.keys(UNIT_MS).join(" | ")} (default: General Unit of --input, else MINUTES)
+  --top <n>                    keep the n most frequent variants
+  --min-share <percent>        drop variants with a smaller share of the cases
+${OUTPUT_OPTIONS}
+
+With --input, the written workbook is that workbook with its Variant_ sheets
+replaced by the discovered ones, so it can be built directly. Variants are
+named Path1, Path2, ... by frequency; their A2 holds the number of cases.`;
+
+function printVariants({ variants, cases, dropped }, unit) {
+  console.log(`${cases} case(s), ${variants.length + dropped} variant(s); offsets in ${unit}.`);
+  const width = Math.max(4, ...variants.map((v) => v.name.length));
+  console.log(`${"Name".padEnd(width)}  ${"Cases".padStart(6)}  ${"Share".padStart(7)}  Path`);
+  for (const v of variants) {
+    const trail = v.steps.map((s) => s.activity).join(" → ");
+    console.log(`${v.name.padEnd(width)}  ${String(v.cases).padStart(6)}  ${v.share.toFixed(1).padStart(6)}%  ${trail.length > 80 ? `${trail.slice(0, 77)}...` : trail}`);
+  }
+  if (dropped) console.log(`(${dropped} less frequent variant(s) left out by --top / --min-share)`);
+}
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const logFile = args._[0] || args.log;
+  if (!logFile) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const project = loadProjectConfig(args["project-config"]);
+  const { input, inputPath } = loadInput(args, project);
+
+  const unit = String(args.unit || generalUnit(input) || "MINUTES").toUpperCase();
+  const events = readEventLog(path.resolve(String(logFile)), {
+    caseCol: args["case-col"],
+    activityCol: args["activity-col"],
+    timeCol: args["time-col"],
+    endCol: args["end-col"],
+  });
+  const discovered = discoverVariants(events, {
+    unit,
+    top: numberArg(args, "top"),
+    minShare: numberArg(args, "min-share"),
+  });
+  printVariants(discovered, unit);
+
+  const full = writeVariants(args, { project, input, inputPath, variants: discovered.variants });
+  console.log(`✅ Wrote ${full}${args.json ? "" : ` (${discovered.variants.length} Variant_ sheet(s))`}`);
+  return 0;
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,50 @@
+// lib/commands/exportOcel.js
+// ddg export-ocel [final.json] [--dataset <id>] [--out model.jsonocel]
+// Writes the configured model as an OCEL 2.0 JSON skeleton, so it can be
+// checked in other OCEL tooling before a generation job is spent on it.
+
+const { readJson, writeJson } = require("../io");
+const { configToOcel } = require("../ocel");
+
+const USAGE = `Usage: ddg export-ocel [final.json] [options]
+
+  --config <file>              config to export (default: final.json)
+  --dataset <id>               export the config of this dataset via the API instead
+  --domain <url>               DDG domain incl. protocol (default: $DDG_DOMAIN)
+  --token-env <VAR>            environment variable holding the bearer token (default: DDG_TOKEN)
+  --allow-host <suffix>        only call hosts ending with this suffix
+  --out <file>                 OCEL 2.0 JSON to write (default: model.jsonocel)
+  --no-sample                  write the object and event types only
+
+Object types carry their A2O attributes, typed as in AttributeTypes (integer;
+decimal and currency as float; date as time; boolean), else "string". The
+sample has one case per variant, each event referring to as many objects of
+each type as PE2 gives, with the O2O relations between the objects of a case,
+plus one event for every event type no variant uses.`;
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let config;
+  if (args.dataset) {
+    const { clientFromArgs } = require("./deploy");
+    config = await clientFromArgs(args).getConfig(String(args.dataset));
+    console.log(`Fetched the config of dataset ${args.dataset}.`);
+  } else {
+    config = readJson(args.config || args._[0] || "final.json");
+  }
+
+  const { ocel, warnings } = configToOcel(config, { sample: !args["no-sample"] });
+  for (const w of warnings) console.warn(`⚠️ ${w}`);
+  const full = writeJson(args.out || "model.jsonocel", ocel);
+  console.log(
+    `✅ Wrote ${full} (${ocel.objectTypes.length} object type(s), ${ocel.eventTypes.length} event type(s), ` +
+      `${ocel.objects.length} sample object(s), ${ocel.events.length} sample event(s))`
+  );
+  return 0;
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,50 @@
+// lib/commands/exportWorkbook.js
+// ddg export-workbook [final.json] [--dataset <id>] [--out exported.xlsx]
+// Regenerates the input workbook from a config, so datasets built in the UI
+// (or by someone else) can be edited and rebuilt.
+
+const { readJson } = require("../io");
+const { saveWorkbook } = require("../workbook");
+const { configToWorkbook } = require("../exportWorkbook");
+const { loadProjectConfig, toProjectNames } = require("../projectConfig");
+
+const USAGE = `Usage: ddg export-workbook [final.json] [options]
+
+  --config <file>              config to export (default: final.json)
+  --dataset <id>               export the config of this dataset via the API instead
+  --domain <url>               DDG domain incl. protocol (default: $DDG_DOMAIN)
+  --token-env <VAR>            environment variable holding the bearer token (default: DDG_TOKEN)
+  --allow-host <suffix>        only call hosts ending with this suffix
+  --out <path>                 .xlsx/.ods workbook, .json tables or a CSV directory (default: exported.xlsx)
+  --project-config <file>      write the sheet/header names of this config (default: ./ddg.config.json if present)
+
+Rebuilding the exported workbook (ddg build --input <out>) yields the same
+config; whatever the sheets cannot express is reported as a warning.`;
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const project = loadProjectConfig(args["project-config"]);
+  // never the configured input: the export drops what the config does not carry
+  const out = args.out || "exported.xlsx";
+
+  let config;
+  if (args.dataset) {
+    const { clientFromArgs } = require("./deploy");
+    config = await clientFromArgs(args).getConfig(String(args.dataset));
+    console.log(`Fetched the config of dataset ${args.dataset}.`);
+  } else {
+    config = readJson(args.config || args._[0] || "final.json");
+  }
+
+  const { workbook, warnings } = configToWorkbook(config);
+  toProjectNames(workbook, project);
+  for (const w of warnings) console.warn(`⚠️ ${w}`);
+  const full = saveWorkbook(workbook, out);
+  console.log(`✅ Wrote ${full} (${workbook.SheetNames.length} sheets)`);
+  return 0;
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,80 @@
+// lib/commands/importBpmn.js
+// ddg import-bpmn model.bpmn [--side probabilities.json] [--out variants.xlsx | --json variants.json]
+// Enumerates the paths through a BPMN 2.0 process and writes them as Variant_
+// sheets (or as the variants stage output), weighted by the gateway
+// probabilities.
+
+const fs = require("fs");
+const path = require("path");
+const { readJson } = require("../io");
+const { numberArg } = require("../args");
+const { loadProjectConfig } = require("../projectConfig");
+const { bpmnVariants } = require("../bpmn");
+const { OUTPUT_OPTIONS, loadInput, writeVariants } = require("../variantOutput");
+
+const USAGE = `Usage: ddg import-bpmn <model.bpmn> [options]
+
+  --process <id>               process to import when the file has several
+  --side <file>                JSON with "probabilities" (flow id or name → 0..1 or "70%"),
+                               "activities" (task id or name → PE2 activity) and
+                               "durations" (task id or name → offset units)
+  --duration <n>               offset units per task without a duration (default: 1)
+  --max-loops <n>              how often a path may pass the same element again (default: 1)
+  --max-paths <n>              fail beyond this many paths (default: 1000)
+${OUTPUT_OPTIONS}
+
+Probabilities not in the side file are read from a text annotation attached
+to the flow, its documentation or its name ("70%", "p=0.7"); flows without
+one share what is left at their gateway. Tasks map to PE2 activities by name.`;
+
+function readSide(file) {
+  if (!file) return {};
+  const side = readJson(String(file));
+  const known = ["probabilities", "activities", "durations"];
+  for (const key of Object.keys(side || {})) {
+    if (!known.includes(key)) throw new Error(`${file}: unknown section "${key}" (use ${known.join(", ")}).`);
+  }
+  return side;
+}
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const file = args._[0] || args.bpmn;
+  if (!file) {
+    console.error(USAGE);
+    return 1;
+  }
+  const full = path.resolve(String(file));
+  if (!fs.existsSync(full)) throw new Error(`Missing BPMN file: ${full}`);
+
+  const side = readSide(args.side);
+  const { variants, cut, warnings } = bpmnVariants(fs.readFileSync(full, "utf8"), {
+    processId: args.process,
+    probabilities: side.probabilities,
+    activities: side.activities,
+    durations: side.durations,
+    duration: numberArg(args, "duration") ?? 1,
+    maxLoops: numberArg(args, "max-loops") ?? 1,
+    maxPaths: numberArg(args, "max-paths") ?? 1000,
+  });
+  for (const w of warnings) console.warn(`⚠️ ${w}`);
+  if (!variants.length) throw new Error("No path reaches an end event with at least one task.");
+
+  const width = Math.max(4, ...variants.map((v) => v.name.length));
+  console.log(`${"Name".padEnd(width)}  ${"Share".padStart(7)}  Path`);
+  for (const v of variants) {
+    console.log(`${v.name.padEnd(width)}  ${v.frequency.toFixed(2).padStart(6)}%  ${v.steps.map((s) => s.activity).join(" → ")}`);
+  }
+  if (cut > 1e-9) console.log(`(${(cut * 100).toFixed(2)}% of the probability was in paths cut by --max-loops; the shares are rescaled)`);
+
+  const project = loadProjectConfig(args["project-config"]);
+  const { input, inputPath } = loadInput(args, project);
+  const written = writeVariants(args, { project, input, inputPath, variants });
+  console.log(`✅ Wrote ${written}${args.json ? "" : ` (${variants.length} Variant_ sheet(s))`}`);
+  return 0;
+}
+
+module.exports = { run, USAGE };
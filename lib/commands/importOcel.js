@@ -0,0 +1,77 @@
+// lib/commands/importOcel.js
+// ddg import-ocel log.jsonocel [--out input.xlsx] [--json-dir dir]
+// Bootstraps the input workbook (General, PE2, A2O, O2O) from an OCEL 2.0 log,
+// optionally also writing the stage outputs the legacy scripts and
+// ddgjsoncreator.js read.
+
+const fs = require("fs");
+const path = require("path");
+const { numberArg } = require("../args");
+const { saveWorkbook } = require("../workbook");
+const { loadProjectConfig, toProjectNames } = require("../projectConfig");
+const { createIds, STRATEGIES } = require("../ids");
+const { runPipeline, STAGE_NAMES } = require("../pipeline");
+const { UNIT_MS } = require("../discover");
+const { readOcel, ocelToWorkbook } = require("../ocel");
+
+const USAGE = `Usage: ddg import-ocel <log.jsonocel | log.xmlocel> [options]
+
+  --unit <unit>                General Unit: ${Object.keys(UNIT_MS).join(" | ")} (default: MINUTES)
+  --cases <n>                  General Cases (default: objects of the type most events refer to)
+  --out <path>                 workbook to write (default: the configured input, else input.xlsx)
+  --force                      overwrite --out when it exists
+  --json-dir <dir>             also write entities.json, variants.json, ... to <dir> for ddgjsoncreator.js
+  --ids <strategy>             ID strategy for --json-dir: ${STRATEGIES.join(" | ")} (default: random)
+  --id-namespace <ns>          namespace for stable IDs (default: --name)
+  --name <name>                dataset name for stable IDs (default: log file name)
+  --project-config <file>      sheet/header aliases and paths (default: ./ddg.config.json if present)
+
+JSON and XML logs are both read. PE2 holds the median number of objects of
+each type per event; its automation column is left to fill in. E2O
+qualifiers that read as creates, reads, updates or closes go to
+PE2_Qualifiers (the most common one per cell). The workbook
+has no Variant_ sheets: add them with ddg discover-variants --input
+<workbook>, or by hand.`;
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const file = args._[0] || args.log;
+  if (!file) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const project = loadProjectConfig(args["project-config"]);
+  const out = String(args.out || project.paths.input);
+  if (fs.existsSync(out) && !args.force) {
+    throw new Error(`${out} exists; the imported workbook has no Variant_ or CaseTable_ sheets. Pass --out <new file>, or --force to overwrite it.`);
+  }
+
+  const unit = String(args.unit || "MINUTES").toUpperCase();
+  if (!UNIT_MS[unit]) throw new Error(`Unknown --unit "${args.unit}". Use ${Object.keys(UNIT_MS).join(", ")}.`);
+  const log = readOcel(String(file));
+  const { workbook, warnings, summary } = ocelToWorkbook(log, { unit, cases: numberArg(args, "cases") });
+  for (const w of warnings) console.warn(`⚠️ ${w}`);
+
+  console.log(
+    `${log.events.length} event(s), ${log.objects.length} object(s): ${summary.eventTypes} event type(s), ` +
+      `${summary.objectTypes} object type(s), ${summary.attributes} attribute(s), ${summary.o2o} O2O relation(s).`
+  );
+  if (summary.caseType) console.log(`Cases counted from object type "${summary.caseType}" (override with --cases).`);
+
+  if (args["json-dir"]) {
+    const name = args.name || path.basename(String(file), path.extname(String(file)));
+    const ids = createIds({ strategy: args.ids || "random", namespace: args["id-namespace"] || name });
+    runPipeline(workbook, { steps: STAGE_NAMES, emitIntermediates: String(args["json-dir"]), ids });
+  }
+
+  toProjectNames(workbook, project);
+  const full = saveWorkbook(workbook, out);
+  console.log(`✅ Wrote ${full}`);
+  return 0;
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,69 @@
+// lib/commands/job.js
+// ddg job wait <jobId>: poll a demo-data job until it succeeds, fails or times out.
+
+const { waitForJob, exitCodeFor } = require("../api/jobs");
+const { writeJson } = require("../io");
+
+const WAIT_OPTIONS = `  --timeout <seconds>          give up waiting after this long (default: 1800)
+  --interval <seconds>         delay between status polls (default: 10)`;
+
+const USAGE = `Usage: ddg job wait <jobId> [options]
+
+  --domain <url>               DDG domain incl. protocol (default: $DDG_DOMAIN)
+  --token-env <VAR>            environment variable holding the bearer token (default: DDG_TOKEN)
+  --allow-host <suffix>        only call hosts ending with this suffix
+${WAIT_OPTIONS}
+  --report <file>              job report path (default: job-report.json)
+
+Exit codes: 0 job succeeded, 1 job failed, 2 timed out.`;
+
+function seconds(value, fallback) {
+  if (value === undefined || value === true) return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`Expected a number of seconds, got "${value}".`);
+  return n;
+}
+
+// Poll, print progress, write the report; returns the report
+async function waitAndReport(client, jobId, args, reportPath) {
+  // "undefined"/"null" come from scripts reading a deploy.json without a job id
+  if (!jobId || ["undefined", "null"].includes(String(jobId).trim())) {
+    throw new Error(`No job id to wait for (got "${jobId}").`);
+  }
+  const timeoutMs = seconds(args.timeout, 1800) * 1000;
+  const intervalMs = seconds(args.interval, 10) * 1000;
+  console.log(`Waiting for job ${jobId} (timeout ${timeoutMs / 1000} s, every ${intervalMs / 1000} s)`);
+
+  const report = await waitForJob(client, jobId, {
+    timeoutMs,
+    intervalMs,
+    onProgress: ({ status, elapsedMs, poll }) =>
+      console.log(`⏳ job ${jobId}: ${status} (${Math.round(elapsedMs / 1000)} s, poll ${poll})`),
+  });
+
+  const out = writeJson(reportPath, report);
+  if (report.outcome === "succeeded") {
+    console.log(`✅ Job ${jobId} succeeded in ${Math.round(report.durationMs / 1000)} s.`);
+  } else {
+    console.error(`❌ Job ${jobId} ${report.outcome}: ${report.failure.message}`);
+  }
+  console.log(`Job report: ${out}`);
+  return report;
+}
+
+async function run(args) {
+  const [sub, jobId] = args._;
+  if (args.help || sub !== "wait") {
+    console.log(USAGE);
+    return args.help ? 0 : 1;
+  }
+  if (!jobId) throw new Error("Missing <jobId>. Usage: ddg job wait <jobId>");
+
+  const { clientFromArgs } = require("./deploy");
+  const { loadProjectConfig } = require("../projectConfig");
+  const reportPath = args.report || loadProjectConfig(args["project-config"]).paths.jobReport || "job-report.json";
+  const report = await waitAndReport(clientFromArgs(args), jobId, args, reportPath);
+  return exitCodeFor(report);
+}
+
+module.exports = { run, waitAndReport, WAIT_OPTIONS, USAGE };
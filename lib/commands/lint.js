@@ -0,0 +1,54 @@
+// lib/commands/lint.js
+// ddg lint [input.xlsx] [--format text|json]
+// Exits 1 when any error-level finding is reported.
+
+const { loadWorkbook } = require("../workbook");
+const { lintWorkbook, summarize, RULES } = require("../lint");
+const { loadProjectConfig } = require("../projectConfig");
+
+const USAGE = `Usage: ddg lint [input.xlsx] [options]
+
+  --input <path>        workbook, CSV directory or .json to check (default: input.xlsx)
+  --project-config <f>  sheet/header aliases and paths (default: ./ddg.config.json if present)
+  --format text|json    output format (default: text)
+  --rules               list the rule codes and exit
+
+Exits with code 1 when any error is found.`;
+
+function printText(file, findings) {
+  for (const f of findings) {
+    const where = f.cell ? `${f.sheet}!${f.cell}` : f.sheet;
+    console.log(`${where.padEnd(24)} ${f.severity.padEnd(7)} ${f.code.padEnd(30)} ${f.message}`);
+  }
+  const { errors, warnings } = summarize(findings);
+  const mark = errors ? "❌" : warnings ? "⚠️" : "✅";
+  console.log(`${mark} ${file}: ${errors} error(s), ${warnings} warning(s)`);
+}
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.rules) {
+    for (const [code, [severity, description]] of Object.entries(RULES)) {
+      console.log(`${code.padEnd(30)} ${severity.padEnd(7)} ${description}`);
+    }
+    return 0;
+  }
+
+  const project = loadProjectConfig(args["project-config"]);
+  const file = args._[0] || args.input || project.paths.input;
+  const workbook = loadWorkbook(file, project);
+  // report findings under the sheet names of the workbook, not the canonical ones
+  const findings = lintWorkbook(workbook).map((f) => ({ ...f, sheet: workbook.Aliases[f.sheet] || f.sheet }));
+
+  if (args.format === "json") {
+    console.log(JSON.stringify({ file, ...summarize(findings), findings }, null, 2));
+  } else {
+    printText(file, findings);
+  }
+  return summarize(findings).errors > 0 ? 1 : 0;
+}
+
+module.exports = { run, USAGE };
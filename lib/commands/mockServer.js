@@ -0,0 +1,33 @@
+// lib/commands/mockServer.js
+// ddg mock-server [--port 8787] [--token test-token]
+
+const { startMockServer } = require("../api/mockServer");
+
+const USAGE = `Usage: ddg mock-server [options]
+
+  --port <n>        port to listen on (default: 8787)
+  --token <token>   bearer token the mock accepts (default: test-token)
+  --job-polls <n>   status polls a job stays RUNNING for (default: 2)
+  --job-outcome <s> final job status, e.g. SUCCESS or FAILED (default: SUCCESS)
+
+Point deploy at it with --domain http://127.0.0.1:<port> and DDG_TOKEN=<token>.`;
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const mock = await startMockServer({
+    port: Number(args.port || 8787),
+    token: args.token || "test-token",
+    jobPolls: Number(args["job-polls"] ?? 2),
+    jobOutcome: args["job-outcome"] || "SUCCESS",
+    log: (line) => console.log(line),
+  });
+  console.log(`✅ Mock demo-data-generator API listening on ${mock.url} (Ctrl+C to stop)`);
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await mock.close();
+  return 0;
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,58 @@
+// lib/commands/preview.js
+// ddg preview [final.json] [--cases 200] [--seed 42] [--format csv|ocel] [--out preview]
+// Simulates a small sample log from final.json offline, so the variants,
+// timings, case-table distributions and E2O ranges can be checked without
+// spending a generation job.
+
+const { readJson, writeJson } = require("../io");
+const { numberArg } = require("../args");
+const { saveWorkbook } = require("../workbook");
+const { simulate, previewWorkbook, previewOcel } = require("../preview");
+
+const FORMATS = ["csv", "ocel"];
+
+const USAGE = `Usage: ddg preview [final.json] [options]
+
+  --config <file>              config to simulate (default: final.json)
+  --cases <n>                  number of cases (default: 100)
+  --seed <n>                   random seed; the same seed gives the same sample (default: random, printed)
+  --format <format>            ${FORMATS.join(" | ")} (default: csv)
+  --out <path>                 csv: directory for cases/events/objects/e2o/o2o.csv, or a .xlsx/.json
+                               workbook (default: preview); ocel: OCEL 2.0 JSON (default: preview.jsonocel)
+
+Cases pick a variant (or random config path) by frequency and start between
+the general start and end date; step durations follow their timing, case
+attributes the CaseTable_ distributions and object counts the E2O ranges.
+This is an approximation of the generator for a quick look, not a copy.`;
+
+async function run(args) {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const format = String(args.format || "csv").toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`Unknown --format "${args.format}". Use ${FORMATS.join(" or ")}.`);
+  const cases = numberArg(args, "cases") ?? 100;
+  if (!Number.isInteger(cases) || cases < 1) throw new Error(`--cases must be a whole number ≥ 1, got "${args.cases}".`);
+  const seed = numberArg(args, "seed") ?? Math.floor(Math.random() * 2 ** 31);
+
+  const config = readJson(args.config || args._[0] || "final.json");
+  const sim = simulate(config, { cases, seed });
+  for (const w of sim.warnings) console.warn(`⚠️ ${w}`);
+
+  const perVariant = new Map();
+  for (const c of sim.cases) perVariant.set(c.variant, (perVariant.get(c.variant) || 0) + 1);
+  console.log(`${cases} case(s) with seed ${seed}: ${sim.events.length} event(s), ${sim.objects.length} object(s).`);
+  for (const [name, n] of [...perVariant].sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${name.padEnd(24)} ${String(n).padStart(6)}  ${((n / cases) * 100).toFixed(1).padStart(5)}%`);
+  }
+
+  const full =
+    format === "ocel"
+      ? writeJson(args.out || "preview.jsonocel", previewOcel(config, sim))
+      : saveWorkbook(previewWorkbook(sim), args.out || "preview");
+  console.log(`✅ Wrote ${full}`);
+  return 0;
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,160 @@
+// lib/compose.js
+// Composes the per-stage documents into the final.json shape uploaded to the
+// demo-data-generator (dataSetConfig, general, entitiesDefinitions, variants,
+// caseTableCreator, ocpmRelations).
+
+// ---------- Helpers ----------
+function getOcpmSection(root, key) {
+  // Accept either { ocpmRelations: { [key]: [...] } } or { [key]: [...] } or direct array
+  if (!root) return [];
+  if (Array.isArray(root)) return root;
+  if (root.ocpmRelations && Array.isArray(root.ocpmRelations[key])) return root.ocpmRelations[key];
+  if (Array.isArray(root[key])) return root[key];
+  return [];
+}
+
+function normalizeVariants(v) {
+  if (!v) return { items: [], randomConfigs: [] };
+  if (Array.isArray(v)) return { items: v, randomConfigs: [] };
+  if (v.variants && (Array.isArray(v.variants.items) || Array.isArray(v.variants.randomConfigs))) {
+    return {
+      items: v.variants.items || [],
+      // the variants stage keeps randomConfigs next to `variants`
+      randomConfigs: v.variants.randomConfigs || v.randomConfigs || [],
+    };
+  }
+  return {
+    items: v.items || [],
+    randomConfigs: v.randomConfigs || [],
+  };
+}
+
+// Support either nested or flat shapes for entities.json
+function normalizeEntitiesDefinitions(entities) {
+  const ed = (entities && entities.entitiesDefinitions) || entities || {};
+  return {
+    activities: ed.activities ?? null,
+    events: Array.isArray(ed.events) ? ed.events : [],
+    attributes: Array.isArray(ed.attributes) ? ed.attributes : [],
+    objects: Array.isArray(ed.objects) ? ed.objects : [],
+  };
+}
+
+function defaultGeneral() {
+  const now = Date.now();
+  return {
+    startDate: now - 90 * 24 * 60 * 60 * 1000,
+    endDate: now,
+    timeUnit: "MINUTES",
+    nCases: 10000,
+  };
+}
+
+/**
+ * composeConfig(parts, dataSet)
+ * - parts: { entities, variants, caseTable, eventObjects, objectObjects, attributeObjects }
+ *   in the same shapes the stage scripts write to disk.
+ * - dataSet: { id, name, dataPool, dataModel }
+ */
+function composeConfig(parts, dataSet) {
+  const { entities, variants, caseTable, eventObjects, objectObjects, attributeObjects } = parts;
+
+  const general = (entities && entities.general) || null;
+  const entitiesDefinitions = normalizeEntitiesDefinitions(entities);
+
+  // Build lookups (objects) for name→id resolution
+  const objById = new Map();
+  const objByName = new Map();
+  for (const o of entitiesDefinitions.objects) {
+    if (!o) continue;
+    if (o.id) objById.set(o.id, o);
+    if (o.name) objByName.set(o.name, o);
+  }
+
+  const caseTableCreator =
+    caseTable && caseTable.caseTableCreator && caseTable.caseTableCreator.dimensionList
+      ? caseTable.caseTableCreator
+      : caseTable || {};
+
+  // ---------- Pull OCPM parts (using ocpmRelations wrappers) ----------
+  const ocpmEvents = getOcpmSection(eventObjects, "events").map((e) => ({ ...e }));
+  const ocpmObjects = getOcpmSection(objectObjects, "objects").map((o) => ({ ...o }));
+  const ocpmAttributes = getOcpmSection(attributeObjects, "attributes").map((a) => ({ ...a }));
+
+  // ---------- Resolve name→ID inside ocpmRelations (if any names slipped in) ----------
+  // events[].objects[].ocpmObjectId
+  for (const ev of ocpmEvents) {
+    if (Array.isArray(ev.objects)) {
+      for (const ob of ev.objects) {
+        if (ob && ob.ocpmObjectId) {
+          const val = ob.ocpmObjectId;
+          if (!objById.has(val) && objByName.has(val)) {
+            ob.ocpmObjectId = objByName.get(val).id;
+          }
+        }
+      }
+    }
+  }
+  // objects[].relations[].sourceEntityId / targetEntityId
+  for (const ob of ocpmObjects) {
+    if (Array.isArray(ob.relations)) {
+      for (const rel of ob.relations) {
+        if (rel && rel.sourceEntityId) {
+          const s = rel.sourceEntityId;
+          if (!objById.has(s) && objByName.has(s)) rel.sourceEntityId = objByName.get(s).id;
+        }
+        if (rel && rel.targetEntityId) {
+          const t = rel.targetEntityId;
+          if (!objById.has(t) && objByName.has(t)) rel.targetEntityId = objByName.get(t).id;
+        }
+      }
+    }
+  }
+  // attributes[].targetObjects[]
+  for (const at of ocpmAttributes) {
+    if (Array.isArray(at.targetObjects)) {
+      at.targetObjects = at.targetObjects.map((x) => {
+        if (objById.has(x)) return x;
+        if (objByName.has(x)) return objByName.get(x).id;
+        return x;
+      });
+    }
+  }
+
+  const variantsNormalized = normalizeVariants(variants);
+
+  return {
+    lastStepSaved: "ocpmRelations",
+    dataSetConfig: {
+      id: dataSet.id,
+      name: dataSet.name,
+      ddgType: "OBJECT_CENTRIC",
+      dataPool: dataSet.dataPool,
+      dataModel: dataSet.dataModel,
+    },
+    general: general ? general : defaultGeneral(),
+    entitiesDefinitions: {
+      activities: entitiesDefinitions.activities ?? null,
+      events: entitiesDefinitions.events,
+      attributes: entitiesDefinitions.attributes,
+      objects: entitiesDefinitions.objects,
+    },
+    variants: {
+      items: variantsNormalized.items || [],
+      randomConfigs: variantsNormalized.randomConfigs || [],
+    },
+    caseTableCreator: {
+      dimensionList: Array.isArray(caseTableCreator.dimensionList) ? caseTableCreator.dimensionList : [],
+      selectedDimensions: Array.isArray(caseTableCreator.selectedDimensions)
+        ? caseTableCreator.selectedDimensions
+        : [],
+    },
+    ocpmRelations: {
+      events: ocpmEvents,
+      objects: ocpmObjects,
+      attributes: ocpmAttributes,
+    },
+  };
+}
+
+module.exports = { composeConfig, normalizeVariants, getOcpmSection };
@@ -0,0 +1,146 @@
+// lib/discover.js
+// Derives variants from an event log: the events of each case, ordered
+// by time, form a trace; identical activity sequences are one variant whose
+// frequency is its number of cases. Start/end offsets are the mean time since
+// the case start, in the General time unit.
+
+const fs = require("fs");
+const { parse } = require("csv-parse/sync");
+
+const UNIT_MS = {
+  SECONDS: 1000,
+  MINUTES: 60 * 1000,
+  HOURS: 60 * 60 * 1000,
+  DAYS: 24 * 60 * 60 * 1000,
+};
+
+// Header names tried when a column option is not given (compared lowercase)
+const COLUMN_CANDIDATES = {
+  case: ["case", "case id", "caseid", "case_id", "case:concept:name"],
+  activity: ["activity", "activity name", "concept:name", "event"],
+  time: ["timestamp", "time", "time:timestamp", "start", "start time"],
+};
+
+// ---------- Reading ----------
+
+function findColumn(headers, given, role) {
+  if (given) {
+    if (!headers.includes(given)) throw new Error(`Column "${given}" not found (columns: ${headers.join(", ")}).`);
+    return given;
+  }
+  const hit = headers.find((h) => COLUMN_CANDIDATES[role].includes(h.trim().toLowerCase()));
+  if (!hit) throw new Error(`No ${role} column found; pass --${role}-col (columns: ${headers.join(", ")}).`);
+  return hit;
+}
+
+// ISO text, or a number of milliseconds since the epoch
+function toTime(value) {
+  const s = String(value ?? "").trim();
+  if (s === "") return NaN;
+  return /^\d+(\.\d+)?$/.test(s) ? Number(s) : Date.parse(s);
+}
+
+/**
+ * readEventLog(file, { caseCol, activityCol, timeCol, endCol }) -> events
+ * events: [{ caseId, activity, time, end }] with times in epoch milliseconds
+ * (end is null without endCol). Columns not given are looked up by their
+ * usual names (case / activity / timestamp, or the XES-style ones).
+ */
+function readEventLog(file, { caseCol, activityCol, timeCol, endCol } = {}) {
+  let records;
+  try {
+    records = parse(fs.readFileSync(file, "utf8"), {
+      bom: true,
+      columns: true,
+      delimiter: [",", ";", "\t"],
+      skip_empty_lines: true,
+      relax_column_count: true,
+    });
+  } catch (e) {
+    throw new Error(`Failed to parse ${file}: ${e.message}`);
+  }
+  if (!records.length) throw new Error(`${file} has no events.`);
+
+  const headers = Object.keys(records[0]);
+  const cols = {
+    caseId: findColumn(headers, caseCol, "case"),
+    activity: findColumn(headers, activityCol, "activity"),
+    time: findColumn(headers, timeCol, "time"),
+    end: endCol ? findColumn(headers, endCol, "time") : null,
+  };
+
+  return records.map((rec, i) => {
+    const line = i + 2; // header is line 1
+    const caseId = String(rec[cols.caseId] ?? "").trim();
+    const activity = String(rec[cols.activity] ?? "").trim();
+    if (!caseId || !activity) throw new Error(`${file} line ${line}: missing case id or activity.`);
+    const time = toTime(rec[cols.time]);
+    if (Number.isNaN(time)) throw new Error(`${file} line ${line}: "${rec[cols.time]}" is not a timestamp.`);
+    let end = null;
+    if (cols.end) {
+      end = toTime(rec[cols.end]);
+      if (Number.isNaN(end)) end = time;
+    }
+    return { caseId, activity, time, end };
+  });
+}
+
+// ---------- Discovery ----------
+
+// caseId → events in time order (ties keep the log order)
+function groupTraces(events) {
+  const traces = new Map();
+  events.forEach((ev, i) => {
+    if (!traces.has(ev.caseId)) traces.set(ev.caseId, []);
+    traces.get(ev.caseId).push({ ...ev, index: i });
+  });
+  for (const trace of traces.values()) trace.sort((a, b) => a.time - b.time || a.index - b.index);
+  return traces;
+}
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+const toOffset = (ms, unit) => Math.max(1, Math.round(ms / UNIT_MS[unit]));
+
+/**
+ * discoverVariants(events, { unit, top, minShare }) -> { variants, cases, dropped }
+ * - unit: General time unit of the offsets (default MINUTES)
+ * - top: keep only the n most frequent variants
+ * - minShare: drop variants with a smaller share of the cases (0..100)
+ * variants: [{ name, cases, frequency, share, steps: [{ activity, start, end }] }],
+ * most frequent first (frequency is the case count); dropped counts the
+ * variants left out.
+ */
+function discoverVariants(events, { unit = "MINUTES", top, minShare } = {}) {
+  if (!UNIT_MS[unit]) throw new Error(`Unknown time unit "${unit}" (use ${Object.keys(UNIT_MS).join(", ")}).`);
+  const traces = groupTraces(events);
+
+  const groups = new Map(); // activity sequence → traces
+  for (const trace of traces.values()) {
+    const key = JSON.stringify(trace.map((ev) => ev.activity));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(trace);
+  }
+
+  const all = [...groups.values()]
+    .map((group) => {
+      const steps = group[0].map((ev, i) => {
+        const starts = group.map((t) => t[i].time - t[0].time);
+        const ends = group.map((t) => {
+          if (t[i].end !== null) return t[i].end - t[0].time;
+          return (i + 1 < t.length ? t[i + 1].time : t[i].time) - t[0].time;
+        });
+        const start = toOffset(mean(starts), unit);
+        return { activity: ev.activity, start, end: Math.max(start, toOffset(mean(ends), unit)) };
+      });
+      return { cases: group.length, frequency: group.length, share: (group.length / traces.size) * 100, steps };
+    })
+    .sort((a, b) => b.cases - a.cases || a.steps.length - b.steps.length);
+
+  let kept = all.filter((v) => minShare === undefined || v.share >= minShare);
+  if (top !== undefined) kept = kept.slice(0, top);
+  const width = String(kept.length).length;
+  const variants = kept.map((v, i) => ({ name: `Path${String(i + 1).padStart(width, "0")}`, ...v }));
+  return { variants, cases: traces.size, dropped: all.length - kept.length };
+}
+
+module.exports = { readEventLog, discoverVariants, UNIT_MS };
@@ -0,0 +1,81 @@
+// lib/e2oRange.js
+// PE2 cells: how many objects of a column's type an event refers to. A cell is
+// a count or a range:
+//
+//   3        exactly 3                 (rangeMin 3, rangeMax 3)
+//   2-20     between 2 and 20          (also 2..20, 2–20)
+//   0..1     optional, at most one
+//   >=1      at least one, up to the cap (also 1+)
+//
+// Blank and 0 mean no link; a decimal count such as 2.5 is rounded (to at
+// least 1). rangeMax 1 gives type HAS_ONE, anything above
+// HAS_MANY. Counts are not capped unless General has a MaxObjects column;
+// open ranges go up to MaxObjects, or DEFAULT_OPEN_MAX without one. Shared by
+// the eventObjects stage (which throws on invalid ranges) and the linter.
+
+const xlsx = require("xlsx");
+
+const DEFAULT_OPEN_MAX = 9;
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+const COUNT = "(\\d+)";
+const PATTERNS = [
+  [new RegExp(`^${COUNT}$`), (m) => [Number(m[1]), Number(m[1])]],
+  [new RegExp(`^${COUNT}\\s*(?:-|–|\\.\\.)\\s*${COUNT}$`), (m) => [Number(m[1]), Number(m[2])]],
+  [new RegExp(`^(?:>=|≥)\\s*${COUNT}$`), (m) => [Number(m[1]), null]],
+  [new RegExp(`^${COUNT}\\s*\\+$`), (m) => [Number(m[1]), null]],
+];
+
+/**
+ * General MaxObjects -> { cap, problem }: cap is a whole number ≥ 1 or null
+ * (column missing or invalid); problem is { code, col, message } or null.
+ */
+function maxObjectsOf(workbook) {
+  const sheet = workbook.Sheets.General;
+  if (!sheet) return { cap: null, problem: null };
+  const [header = [], row = []] = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: null });
+  const col = header.findIndex((h) => String(h ?? "").trim() === "MaxObjects");
+  if (col === -1 || isBlank(row[col])) return { cap: null, problem: null };
+  const n = Number(row[col]);
+  if (Number.isInteger(n) && n >= 1) return { cap: n, problem: null };
+  return {
+    cap: null,
+    problem: { code: "general/invalid-max-objects", col, message: `MaxObjects "${row[col]}" is not a whole number ≥ 1; it is ignored.` },
+  };
+}
+
+/**
+ * parseE2ORange(raw, cap) -> { range, problem }
+ * range: { min, max, type } or null (no link); problem: { code, message }
+ * or null, with the lint codes of lib/lint.js. pe2/invalid-count,
+ * pe2/rounded-count and pe2/count-clamped leave a usable result;
+ * pe2/invalid-range does not.
+ */
+function parseE2ORange(raw, cap = null) {
+  if (isBlank(raw)) return { range: null, problem: null };
+  const text = typeof raw === "number" ? String(raw) : String(raw).trim();
+  if (/^\d*\.\d+$/.test(text) && Number(text) > 0) {
+    // the baseline passed decimals through; round rather than drop the link
+    const n = Math.min(Math.max(1, Math.round(Number(text))), cap ?? Infinity);
+    const problem = { code: "pe2/rounded-count", message: `Count "${raw}" is not a whole number; it becomes ${n}.` };
+    return { range: { min: n, max: n, type: n === 1 ? "HAS_ONE" : "HAS_MANY" }, problem };
+  }
+  const match = PATTERNS.map(([re, read]) => [text.match(re), read]).find(([m]) => m);
+  if (!match) {
+    return { range: null, problem: { code: "pe2/invalid-count", message: `Value "${raw}" is neither a count nor a range like 2-20, 0..1 or >=1; it is ignored.` } };
+  }
+  let [min, max] = match[1](match[0]);
+  if (max === null) max = Math.max(min, cap ?? DEFAULT_OPEN_MAX);
+  if (min > max) return { range: null, problem: { code: "pe2/invalid-range", message: `Range "${raw}": min ${min} is above max ${max}.` } };
+  if (max === 0) return { range: null, problem: null };
+
+  let problem = null;
+  if (cap !== null && max > cap) {
+    problem = { code: "pe2/count-clamped", message: `"${raw}" goes above MaxObjects ${cap}; it becomes ${Math.min(min, cap)}..${cap}.` };
+    min = Math.min(min, cap);
+    max = cap;
+  }
+  return { range: { min, max, type: max === 1 ? "HAS_ONE" : "HAS_MANY" }, problem };
+}
+
+module.exports = { parseE2ORange, maxObjectsOf, DEFAULT_OPEN_MAX };
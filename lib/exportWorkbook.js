@@ -0,0 +1,315 @@
+// lib/exportWorkbook.js
+// The reverse of the pipeline: turns a final.json (or a remote config) back
+// into the General, PE2, PE2_Qualifiers, A2O, AttributeTypes, O2O, Variant_*,
+// RandomConfig, CaseTable_* and Metadata_* sheets, laid out exactly as the
+// stages read them, so the workbook can be edited and rebuilt into the same
+// config.
+
+const xlsx = require("xlsx");
+const { PARAMETERS } = require("./timing");
+const { RANDOM_CONFIG_SHEET } = require("./randomConfig");
+const { QUALIFIERS_SHEET } = require("./qualifiers");
+const { ACTIVITY_PROPERTIES } = require("./activityProperties");
+const { ATTRIBUTE_TYPES_SHEET } = require("./attributeTypes");
+
+// Sheet names are limited to 31 characters by the xlsx format
+const MAX_SHEET_NAME = 31;
+
+const list = (v) => (Array.isArray(v) ? v : []);
+
+// ---------- Helpers ----------
+
+// Inverse of toMillis (lib/stages/entities.js): local date → YYYYMMDD
+function toYyyymmdd(millis) {
+  if (millis === undefined || millis === null || millis === "") return null;
+  const d = new Date(Number(millis));
+  if (Number.isNaN(d.getTime())) return null;
+  return d.getFullYear() * 10000 + (d.getMonth() + 1) * 100 + d.getDate();
+}
+
+// automation is stored ×100; the sheets hold a 0..1 fraction
+function toFraction(automation) {
+  if (automation === undefined || automation === null || automation === "") return null;
+  return Number(automation) / 100;
+}
+
+function sheetName(prefix, name) {
+  const full = `${prefix}${name}`;
+  if (full.length > MAX_SHEET_NAME) {
+    throw new Error(`Sheet name "${full}" is longer than ${MAX_SHEET_NAME} characters; rename "${name}" first.`);
+  }
+  return full;
+}
+
+// ---------- Sheets ----------
+
+function generalSheet(general) {
+  const g = general || {};
+  return [
+    ["Start", "End", "Unit", "Cases"],
+    [toYyyymmdd(g.startDate), toYyyymmdd(g.endDate), g.timeUnit ?? null, g.nCases ?? null],
+  ];
+}
+
+// PE2: activity, automation, the activity properties any event has, then one
+// count (or "min-max" range) column per object
+function pe2Sheet(events, objects, e2oByEvent, warnings) {
+  const properties = Object.keys(ACTIVITY_PROPERTIES).filter((key) => events.some((ev) => ev.properties && ev.properties[key] !== undefined));
+  const propertyCell = (v) => (typeof v === "boolean" ? (v ? "yes" : "no") : v ?? null);
+  const rows = [["activity", "automation", ...properties, ...objects.map((o) => o.name)]];
+  for (const ev of events) {
+    const links = e2oByEvent.get(ev.id) || [];
+    const counts = objects.map((o) => {
+      const link = links.find((l) => l.ocpmObjectId === o.id);
+      if (!link) return null;
+      const min = link.rangeMin ?? link.rangeMax ?? 1;
+      const max = link.rangeMax ?? min;
+      const type = max === 1 ? "HAS_ONE" : "HAS_MANY";
+      if (link.type && link.type !== type) {
+        warnings.push(`PE2: ${ev.name}→${o.name} is ${link.type} with max ${max}; it is rebuilt as ${type}.`);
+      }
+      return min === max ? max : `${min}-${max}`;
+    });
+    rows.push([ev.name, toFraction(ev.automation), ...properties.map((key) => propertyCell((ev.properties || {})[key])), ...counts]);
+  }
+  return rows;
+}
+
+// PE2_Qualifiers: the PE2 layout with the qualifier of each link; null when no link has one
+function qualifiersSheet(events, objects, e2oByEvent) {
+  const rows = [["activity", ...objects.map((o) => o.name)]];
+  let any = false;
+  for (const ev of events) {
+    const links = e2oByEvent.get(ev.id) || [];
+    const cells = objects.map((o) => {
+      const link = links.find((l) => l.ocpmObjectId === o.id);
+      if (!link || !link.qualifier) return null;
+      any = true;
+      return link.qualifier;
+    });
+    rows.push([ev.name, ...cells]);
+  }
+  return any ? rows : null;
+}
+
+// AttributeTypes: type and value parameters of every attribute; null when none is typed
+function attributeTypesSheet(attributes) {
+  if (!attributes.some((a) => a.type)) return null;
+  const rows = [["attribute", "type", "distribution", "min", "max", "mean", "std", "decimals", "currency", "probability"]];
+  for (const attr of attributes) {
+    const g = attr.generation || {};
+    const type = String(attr.type || "STRING").toLowerCase();
+    const bound = (v) => (type === "date" ? toYyyymmdd(v) : v ?? null);
+    rows.push([
+      attr.name,
+      type,
+      g.type && type !== "date" ? String(g.type).toLowerCase() : null,
+      bound(g.min),
+      bound(g.max),
+      g.mean ?? null,
+      g.std ?? null,
+      type === "decimal" || type === "currency" ? g.decimals ?? null : null,
+      g.currency ?? null,
+      g.probability ?? null,
+    ]);
+  }
+  return rows;
+}
+
+// A2O: attribute, then a 1 for every object the attribute belongs to
+function a2oSheet(attributes, objects, a2oById, warnings) {
+  const rows = [["attribute", ...objects.map((o) => o.name)]];
+  for (const attr of attributes) {
+    const entry = a2oById.get(attr.id) || {};
+    const targets = new Set(list(entry.targetObjects));
+    if (!targets.size && entry.available) {
+      warnings.push(`A2O: ${attr.name} is available without any object; it is rebuilt as unavailable.`);
+    }
+    rows.push([attr.name, ...objects.map((o) => (targets.has(o.id) ? 1 : null))]);
+  }
+  return rows;
+}
+
+// O2O edge list (lib/o2oEdges.js): one row per relation with its owner entry
+function o2oEdgeSheet(entries, names, warnings) {
+  const rows = [["source", "target", "cardinality", "min", "max", "owner"]];
+  for (const entry of entries) {
+    for (const rel of list(entry.relations)) {
+      if (!names.has(rel.sourceEntityId) || !names.has(rel.targetEntityId)) {
+        warnings.push(`O2O: ${entry.name} relation ${rel.sourceEntityId}→${rel.targetEntityId} cannot be expressed; skipped.`);
+        continue;
+      }
+      rows.push([
+        names.get(rel.sourceEntityId),
+        names.get(rel.targetEntityId),
+        rel.cardinality,
+        rel.rangeMin ?? null,
+        rel.rangeMax ?? null,
+        entry.name,
+      ]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * O2O: one row per activity marks sources with "1" and targets with "n"; the
+ * stage relates every source to every target (HAS_MANY). A relation list that
+ * is exactly such a product is written as one row, anything else as one row
+ * per relation (repeated activity rows are read in order). Relations the
+ * matrix cannot hold (HAS_ONE, min/max, owned by an object type) switch the
+ * whole sheet to the edge list.
+ */
+function o2oSheet(entries, objects, eventIds, warnings) {
+  const names = new Map(objects.map((o) => [o.id, o.name]));
+  const needsEdges = entries.some(
+    (entry) =>
+      list(entry.relations).length &&
+      (!eventIds.has(entry.id) ||
+        list(entry.relations).some((r) => r.cardinality !== "HAS_MANY" || r.rangeMin !== undefined || r.rangeMax !== undefined))
+  );
+  if (needsEdges) return o2oEdgeSheet(entries, names, warnings);
+
+  const rows = [["activity", ...objects.map((o) => o.name)]];
+  const rowFor = (activity, sources, targets) => [
+    activity,
+    ...objects.map((o) => (sources.includes(o.id) ? "1" : targets.includes(o.id) ? "n" : null)),
+  ];
+
+  for (const entry of entries) {
+    const relations = list(entry.relations).filter((rel) => {
+      const ok = names.has(rel.sourceEntityId) && names.has(rel.targetEntityId) && rel.sourceEntityId !== rel.targetEntityId;
+      if (!ok) warnings.push(`O2O: ${entry.name} relation ${rel.sourceEntityId}→${rel.targetEntityId} cannot be expressed; skipped.`);
+      return ok;
+    });
+    if (!relations.length) continue;
+
+    const inOrder = (ids) => objects.map((o) => o.id).filter((id) => ids.has(id));
+    const sources = inOrder(new Set(relations.map((r) => r.sourceEntityId)));
+    const targets = inOrder(new Set(relations.map((r) => r.targetEntityId)));
+    const product = sources.flatMap((s) => targets.map((t) => `${s}>${t}`));
+    const actual = relations.map((r) => `${r.sourceEntityId}>${r.targetEntityId}`);
+    const disjoint = !sources.some((s) => targets.includes(s));
+
+    if (disjoint && product.join() === actual.join()) {
+      rows.push(rowFor(entry.name, sources, targets));
+    } else {
+      for (const r of relations) rows.push(rowFor(entry.name, [r.sourceEntityId], [r.targetEntityId]));
+    }
+  }
+  return rows;
+}
+
+// Variant_<name>: frequency in A2, then activity / start / end / automation in B..E
+// and, when any step has a timing distribution, distribution / min / max / mean / std
+function variantSheet(variant, eventNames) {
+  const steps = list(variant.items);
+  const timed = steps.some((s) => s.timing);
+  const rows = [["frequency", "activity", "start", "end", "automation", ...(timed ? ["distribution", ...PARAMETERS] : [])]];
+  if (!steps.length) rows.push([variant.frequency ?? 0]);
+  steps.forEach((step, i) => {
+    const t = step.timing;
+    rows.push([
+      i === 0 ? variant.frequency ?? 0 : null,
+      eventNames.get(step.referencedId) || step.referencedName,
+      step.startDate ?? null,
+      step.endDate ?? null,
+      toFraction(step.automation),
+      ...(timed ? [t ? String(t.type).toLowerCase() : null, ...PARAMETERS.map((k) => (t ? t[k] ?? null : null))] : []),
+    ]);
+  });
+  return rows;
+}
+
+// RandomConfig: the settings on the first row of each config, one activity per row
+function randomConfigSheet(randomConfigs, eventNames) {
+  const rows = [["name", "frequency", "variants", "minLength", "maxLength", "activity", "weight", "automation"]];
+  for (const cfg of randomConfigs) {
+    const settings = [cfg.name, cfg.frequency ?? 0, cfg.nVariants ?? 1, cfg.minLength ?? 1, cfg.maxLength ?? null];
+    const items = list(cfg.items);
+    if (!items.length) rows.push(settings);
+    items.forEach((item, i) => {
+      rows.push([
+        ...(i === 0 ? settings : settings.map(() => null)),
+        eventNames.get(item.referencedId) || item.referencedName,
+        item.weight ?? 1,
+        toFraction(item.automation),
+      ]);
+    });
+  }
+  return rows;
+}
+
+// CaseTable_<dimension>: Value, Std, then one weight column per distribution item
+function caseTableSheet(dim) {
+  const dists = list(dim.distributionItems);
+  const header = [
+    "Value",
+    "Std",
+    ...dists.map((d) => `${d.type === "ATTRIBUTE" ? "Attribute" : "Variant"}_${d.alias}`),
+  ];
+  const rows = [header];
+  for (const item of list(dim.items)) {
+    const weights = new Map(list(item.distributions).map((d) => [d.distributionItemId, d.value]));
+    rows.push([item.value, item.stdDistribution ?? null, ...dists.map((d) => weights.get(d.id) ?? null)]);
+  }
+  return rows;
+}
+
+// Metadata_<dimension>: Value, then one column per metadata item
+function metadataSheet(dim) {
+  const columns = list(dim.attributeMetadataItems);
+  const rows = [["Value", ...columns.map((m) => m.columnName)]];
+  for (const item of list(dim.items)) {
+    const values = new Map(list(item.attributesMetadata).map((m) => [m.metadataItemId, m.value]));
+    if (!values.size) continue;
+    rows.push([item.value, ...columns.map((m) => values.get(m.id) ?? null)]);
+  }
+  return rows;
+}
+
+/**
+ * configToWorkbook(config) -> { workbook, warnings }
+ * warnings lists what the sheets cannot express (and was approximated).
+ */
+function configToWorkbook(config) {
+  if (!config || typeof config !== "object") throw new Error("No config to export.");
+  const ed = config.entitiesDefinitions || {};
+  const ocpm = config.ocpmRelations || {};
+  const events = list(ed.events);
+  const objects = list(ed.objects);
+  const attributes = list(ed.attributes);
+  const warnings = [];
+
+  const e2oByEvent = new Map(list(ocpm.events).map((e) => [e.id, list(e.objects)]));
+  const a2oById = new Map(list(ocpm.attributes).map((a) => [a.id, a]));
+  const eventNames = new Map(events.map((e) => [e.id, e.name]));
+
+  const wb = xlsx.utils.book_new();
+  const add = (name, rows) => xlsx.utils.book_append_sheet(wb, xlsx.utils.aoa_to_sheet(rows), name);
+
+  add("General", generalSheet(config.general));
+  add("PE2", pe2Sheet(events, objects, e2oByEvent, warnings));
+  const qualifiers = qualifiersSheet(events, objects, e2oByEvent);
+  if (qualifiers) add(QUALIFIERS_SHEET, qualifiers);
+  add("A2O", a2oSheet(attributes, objects, a2oById, warnings));
+  const attributeTypes = attributeTypesSheet(attributes);
+  if (attributeTypes) add(ATTRIBUTE_TYPES_SHEET, attributeTypes);
+  add("O2O", o2oSheet(list(ocpm.objects), objects, new Set(events.map((e) => e.id)), warnings));
+
+  for (const variant of list(config.variants && config.variants.items)) {
+    add(sheetName("Variant_", variant.name), variantSheet(variant, eventNames));
+  }
+  const randomConfigs = list(config.variants && config.variants.randomConfigs);
+  if (randomConfigs.length) add(RANDOM_CONFIG_SHEET, randomConfigSheet(randomConfigs, eventNames));
+
+  const dims = list(config.caseTableCreator && config.caseTableCreator.selectedDimensions);
+  for (const dim of dims) add(sheetName("CaseTable_", dim.name), caseTableSheet(dim));
+  for (const dim of dims) {
+    if (list(dim.attributeMetadataItems).length) add(sheetName("Metadata_", dim.name), metadataSheet(dim));
+  }
+
+  return { workbook: wb, warnings };
+}
+
+module.exports = { configToWorkbook, toYyyymmdd };
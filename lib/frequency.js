@@ -0,0 +1,122 @@
+// lib/frequency.js
+// Variant frequencies (cell A2 of each Variant_ sheet) are either relative
+// weights (60, 40 or 3, 1) or percentages ("25%" or a cell formatted as %).
+// Both are normalized to shares of 100 so the variants always split the cases
+// as written. Shared by the variants stage, `ddg build` (which prints the
+// shares) and the linter.
+
+const FREQUENCY_CELL = "A2";
+const PERCENT_TOLERANCE = 0.01;
+
+// Variant_<name> → <name>, as the variants stage names them
+const variantName = (sheetName) => sheetName.split("_").slice(1).join("_") || sheetName;
+
+/**
+ * parseFrequency(cell) -> { value, percent } or null when missing / not a number.
+ * cell is an xlsx cell object ({ v, z, w }); "25%" and 0.25 formatted as a
+ * percentage both give { value: 25, percent: true }.
+ */
+function parseFrequency(cell) {
+  if (!cell || cell.v === undefined || cell.v === null || String(cell.v).trim() === "") return null;
+  if (typeof cell.v === "number") {
+    if (!Number.isFinite(cell.v)) return null;
+    // the number format (z) is only kept with cellNF; the formatted text (w) always is
+    const percent = /%/.test(cell.z || "") || /%\s*$/.test(cell.w || "");
+    return percent ? { value: cell.v * 100, percent: true } : { value: cell.v, percent: false };
+  }
+  const s = String(cell.v).trim();
+  const percent = s.endsWith("%");
+  const n = Number(percent ? s.slice(0, -1).trim() : s);
+  return Number.isFinite(n) ? { value: n, percent } : null;
+}
+
+// Round shares to 2 decimals so that they still add up to exactly 100
+function roundShares(values, total) {
+  const exact = values.map((v) => (total > 0 ? (v / total) * 10000 : 0));
+  const floors = exact.map(Math.floor);
+  let rest = total > 0 ? 10000 - floors.reduce((a, b) => a + b, 0) : 0;
+  const order = exact.map((e, i) => [e - floors[i], i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of order) {
+    if (rest <= 0) break;
+    floors[i]++;
+    rest--;
+  }
+  return floors.map((f) => f / 100);
+}
+
+/**
+ * normalizeFrequencies(entries) -> { mode, total, shares, problems }
+ * - entries: [{ name, sheet, cell, frequency }] with frequency from parseFrequency
+ * - mode: "percent" when every frequency is a percentage, else "weight"
+ * - shares: per entry, in order, { name, value, share } with share in 0..100
+ * - problems: { code, sheet, cell, message } with the lint codes of lib/lint.js
+ */
+function normalizeFrequencies(entries) {
+  const problems = [];
+  const given = entries.filter((e) => e.frequency);
+  const percents = given.filter((e) => e.frequency.percent);
+  const mode = given.length && percents.length === given.length ? "percent" : "weight";
+
+  if (percents.length && percents.length < given.length) {
+    const plain = given.find((e) => !e.frequency.percent);
+    problems.push({
+      code: "variant/mixed-frequency",
+      sheet: plain.sheet,
+      cell: plain.cell,
+      message: `${plain.frequency.value} is not a percentage while ${percents[0].sheet} is; all frequencies are read as weights.`,
+    });
+  }
+
+  const values = entries.map((e) => {
+    if (!e.frequency) {
+      problems.push({ code: "variant/invalid-frequency", sheet: e.sheet, cell: e.cell, message: "Frequency is missing or not a number; it counts as 0." });
+      return 0;
+    }
+    if (e.frequency.value < 0) {
+      problems.push({ code: "variant/invalid-frequency", sheet: e.sheet, cell: e.cell, message: `Frequency ${e.frequency.value} is negative; it counts as 0.` });
+      return 0;
+    }
+    if (e.frequency.value === 0) {
+      problems.push({ code: "variant/zero-frequency", sheet: e.sheet, cell: e.cell, message: "Frequency is 0; the variant gets no cases." });
+    }
+    return e.frequency.value;
+  });
+
+  const total = values.reduce((a, b) => a + b, 0);
+  if (mode === "percent" && Math.abs(total - 100) > PERCENT_TOLERANCE) {
+    problems.push({
+      code: "variant/percent-sum",
+      sheet: entries[0].sheet,
+      cell: entries[0].cell,
+      message: `Percentages add up to ${Number(total.toFixed(2))}%, not 100%; they are scaled to 100%.`,
+    });
+  }
+
+  const rounded = roundShares(values, total);
+  const shares = entries.map((e, i) => ({ name: e.name, value: values[i], share: rounded[i] }));
+  return { mode, total, shares, problems };
+}
+
+/** Frequencies of every Variant_ sheet of a workbook, normalized. */
+function variantFrequencies(workbook) {
+  const entries = workbook.SheetNames.filter((name) => name.startsWith("Variant_")).map((sheet) => ({
+    name: variantName(sheet),
+    sheet,
+    cell: FREQUENCY_CELL,
+    frequency: parseFrequency(workbook.Sheets[sheet][FREQUENCY_CELL]),
+  }));
+  if (!entries.length) return { mode: "weight", total: 0, shares: [], problems: [] };
+  return normalizeFrequencies(entries);
+}
+
+/** Lines for the build log: each variant's effective share. */
+function formatShares({ mode, shares }) {
+  if (!shares.length) return [];
+  const width = Math.max(...shares.map((s) => s.name.length));
+  return [
+    `Variant shares (${mode === "percent" ? "percentages" : "relative weights"}):`,
+    ...shares.map((s) => `  ${s.name.padEnd(width)}  ${s.share.toFixed(2).padStart(6)} %`),
+  ];
+}
+
+module.exports = { parseFrequency, normalizeFrequencies, variantFrequencies, formatShares, FREQUENCY_CELL };
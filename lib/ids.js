@@ -0,0 +1,50 @@
+// lib/ids.js
+// ID strategies for every generated entity.
+// - random: a fresh uuidv4() per call (the historical behaviour)
+// - stable: uuidv5 derived from a dataset namespace plus the entity kind and
+//   its canonical name, so an unchanged workbook yields byte-identical IDs.
+
+const { v4: uuidv4, v5: uuidv5, validate: isUuid } = require("uuid");
+
+const STRATEGIES = ["random", "stable"];
+
+// Fixed root so a namespace given as plain text maps to the same UUID everywhere
+const ROOT_NAMESPACE = "6f1c1c5e-3c2a-5b7e-9d1e-0d6d6a0c9b21";
+
+function resolveNamespace(namespace) {
+  if (namespace === undefined || namespace === null || String(namespace).trim() === "") {
+    throw new Error("The stable ID strategy needs a namespace (e.g. --id-namespace <dataset name or UUID>).");
+  }
+  const ns = String(namespace).trim();
+  return isUuid(ns) ? ns.toLowerCase() : uuidv5(ns, ROOT_NAMESPACE);
+}
+
+/**
+ * createIds({ strategy, namespace }) -> ids(kind, ...nameParts)
+ * kind is e.g. "event", "object", "variant-item"; nameParts identify the
+ * entity within its kind (names, parent names, positions).
+ */
+function createIds({ strategy = "random", namespace } = {}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown ID strategy "${strategy}". Use one of: ${STRATEGIES.join(", ")}`);
+  }
+  if (strategy === "random") {
+    const ids = () => uuidv4();
+    ids.strategy = strategy;
+    return ids;
+  }
+  const ns = resolveNamespace(namespace);
+  const ids = (kind, ...nameParts) => uuidv5(`${kind}:${nameParts.map((p) => String(p ?? "")).join("/")}`, ns);
+  ids.strategy = strategy;
+  ids.namespace = ns;
+  return ids;
+}
+
+const randomIds = createIds();
+
+// Legacy scripts: DDG_ID_STRATEGY=stable DDG_ID_NAMESPACE=<name> node entities.js
+function idsFromEnv(env = process.env) {
+  return createIds({ strategy: env.DDG_ID_STRATEGY || "random", namespace: env.DDG_ID_NAMESPACE });
+}
+
+module.exports = { createIds, randomIds, idsFromEnv, STRATEGIES };
@@ -0,0 +1,134 @@
+// lib/io.js
+// JSON file helpers shared by the CLI, the pipeline and the legacy scripts.
+
+const fs = require("fs");
+const path = require("path");
+
+function readJson(file) {
+  const full = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(full)) throw new Error(`Missing file: ${full}`);
+  try {
+    return JSON.parse(fs.readFileSync(full, "utf8"));
+  } catch (e) {
+    throw new Error(`Failed to read/parse ${file}: ${e.message}`);
+  }
+}
+
+function writeJson(file, obj) {
+  const full = path.resolve(process.cwd(), file);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  fs.writeFileSync(full, JSON.stringify(obj, null, 2), "utf8");
+  return full;
+}
+
+/**
+ * writeStreamedJson(filePath, obj)
+ * - Streams the JSON for `obj` to filePath without creating one huge string in memory.
+ * - Handles arrays, objects, primitives recursively.
+ * - Protects against circular references by emitting "[Circular]".
+ * - Respects stream backpressure using write(...); await drain when needed.
+ *
+ * Notes:
+ * - This implementation does JSON without pretty indentation (compact). If you want pretty, it can be added,
+ *   but pretty-printing large files increases output size and memory usage slightly.
+ */
+async function writeStreamedJson(filePath, obj) {
+  const full = path.resolve(process.cwd(), filePath);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  return new Promise((resolve, reject) => {
+    const ws = fs.createWriteStream(full, { encoding: "utf8" });
+    ws.on("error", (err) => reject(err));
+
+    // helper that wraps ws.write with backpressure handling
+    function writeChunk(chunk) {
+      return new Promise((res, rej) => {
+        try {
+          const ok = ws.write(chunk, "utf8", (err) => {
+            if (err) return rej(err);
+            res();
+          });
+          if (!ok) {
+            // wait for drain before resolving
+            ws.once("drain", res);
+          }
+        } catch (err) {
+          rej(err);
+        }
+      });
+    }
+
+    // track visited objects to avoid circular reference infinite loops
+    const seen = new WeakSet();
+
+    // Async recursive writer
+    async function writeValue(value) {
+      // primitives & null
+      if (value === null || typeof value === "number" || typeof value === "boolean") {
+        await writeChunk(String(JSON.stringify(value)));
+        return;
+      }
+      if (typeof value === "string") {
+        await writeChunk(JSON.stringify(value));
+        return;
+      }
+
+      // functions / undefined -> null
+      if (typeof value === "undefined" || typeof value === "function") {
+        await writeChunk("null");
+        return;
+      }
+
+      // objects / arrays
+      if (typeof value === "object") {
+        if (seen.has(value)) {
+          // circular
+          await writeChunk(JSON.stringify("[Circular]"));
+          return;
+        }
+        seen.add(value);
+
+        if (Array.isArray(value)) {
+          await writeChunk("[");
+          for (let i = 0; i < value.length; i++) {
+            const el = value[i];
+            // write element
+            await writeValue(el);
+            if (i < value.length - 1) await writeChunk(",");
+          }
+          await writeChunk("]");
+          return;
+        } else {
+          // plain object
+          await writeChunk("{");
+          const keys = Object.keys(value);
+          for (let k = 0; k < keys.length; k++) {
+            const key = keys[k];
+            const v = value[key];
+            // write "key":
+            await writeChunk(JSON.stringify(key) + ":");
+            await writeValue(v);
+            if (k < keys.length - 1) await writeChunk(",");
+          }
+          await writeChunk("}");
+          return;
+        }
+      }
+
+      // fallback
+      await writeChunk("null");
+    }
+
+    (async () => {
+      try {
+        await writeValue(obj);
+        ws.end();
+        ws.on("finish", () => resolve());
+      } catch (err) {
+        ws.destroy();
+        reject(err);
+      }
+    })();
+  });
+}
+
+module.exports = { readJson, writeJson, writeStreamedJson };
@@ -0,0 +1,655 @@
+// lib/lint.js
+// Cross-sheet workbook checks. Every finding carries the sheet, the cell
+// address, a severity and a stable rule code, so a bad workbook is caught
+// before anything is built or uploaded. The name matching mirrors what the
+// stages do (lib/stages/*), so a finding here is a silent failure there.
+
+const xlsx = require("xlsx");
+const { sanitizeName, toMillis } = require("./stages/entities");
+const { cleanId } = require("./stages/caseTable");
+const { parseTiming, timingColumns, timingCells } = require("./timing");
+const { parseRandomConfigRows, RANDOM_CONFIG_SHEET } = require("./randomConfig");
+const { isEdgeList, parseO2OEdges } = require("./o2oEdges");
+const { parseE2ORange, maxObjectsOf } = require("./e2oRange");
+const { variantFrequencies } = require("./frequency");
+const { readQualifiers, lifecycleProblems, QUALIFIERS, QUALIFIERS_SHEET } = require("./qualifiers");
+const { propertyOf, readProperties } = require("./activityProperties");
+const { parseAttributeTypeRows, ATTRIBUTE_TYPES_SHEET, ATTRIBUTE_TYPES } = require("./attributeTypes");
+
+const ERROR = "error";
+const WARNING = "warning";
+
+// Stable rule codes → default severity and a one-line description
+const RULES = {
+  "workbook/missing-sheet": [ERROR, "A required sheet (General, PE2, A2O) is missing."],
+  "general/missing-column": [ERROR, "General is missing one of the Start, End, Unit, Cases columns."],
+  "general/invalid-date": [ERROR, "Start/End is not a YYYYMMDD date."],
+  "general/date-order": [ERROR, "Start is not before End."],
+  "general/invalid-unit": [WARNING, "Unit is not a known time unit."],
+  "general/invalid-cases": [ERROR, "Cases is not a positive number."],
+  "general/invalid-max-objects": [WARNING, "MaxObjects is not a whole number ≥ 1 and is ignored."],
+  "pe2/missing-column": [ERROR, "PE2 has no \"activity\" column."],
+  "pe2/empty-activity": [WARNING, "PE2 row has values but no activity name."],
+  "pe2/duplicate-activity": [ERROR, "Two PE2 activities have the same name after sanitization."],
+  "pe2/invalid-automation": [WARNING, "PE2 automation is not a number between 0 and 1."],
+  "pe2/unknown-object": [ERROR, "PE2 object column header is not an A2O object."],
+  "pe2/invalid-count": [WARNING, "PE2 cell is neither a count nor a range (2-20, 0..1, >=1) and is ignored."],
+  "pe2/invalid-range": [ERROR, "PE2 range has min above max."],
+  "pe2/rounded-count": [WARNING, "PE2 count is not a whole number and is rounded (to at least 1)."],
+  "pe2/count-clamped": [WARNING, "PE2 count or range goes above the General MaxObjects and is clamped."],
+  "pe2/invalid-property": [WARNING, "PE2 duration/cost is not a number ≥ 0, or manual is not yes/no (left out)."],
+  "pe2/manual-automated": [WARNING, "PE2 activity is flagged manual but has an automation above 0."],
+  "qualifier/invalid": [ERROR, `PE2_Qualifiers cell is not one of ${QUALIFIERS.join(", ")}.`],
+  "qualifier/unknown-activity": [WARNING, "PE2_Qualifiers row does not match any PE2 activity and is ignored."],
+  "qualifier/unknown-object": [WARNING, "PE2_Qualifiers column header is not an A2O object and is ignored."],
+  "qualifier/no-link": [WARNING, "PE2_Qualifiers cell qualifies a link PE2 does not have and is ignored."],
+  "a2o/missing-column": [ERROR, "A2O has no \"attribute\" column."],
+  "a2o/duplicate-object": [ERROR, "Two A2O object headers have the same name after sanitization."],
+  "a2o/duplicate-attribute": [ERROR, "Two A2O attributes have the same name after sanitization."],
+  "a2o/unmatched-attribute-name": [WARNING, "A2O attribute name changes under sanitization, so its object links are dropped."],
+  "a2o/invalid-link": [WARNING, "A2O cell is neither 1 nor empty."],
+  "a2o/unlinked-attribute": [WARNING, "A2O attribute is not linked to any object."],
+  "attribute/missing-column": [ERROR, "AttributeTypes has no \"attribute\" or \"type\" column."],
+  "attribute/unknown-type": [ERROR, `AttributeTypes type is not one of ${ATTRIBUTE_TYPES.join(", ")}.`],
+  "attribute/unknown-distribution": [ERROR, "AttributeTypes distribution is not fixed, uniform, normal or lognormal (dates: uniform)."],
+  "attribute/missing-parameter": [ERROR, "AttributeTypes number or date lacks its parameters (e.g. min/max, normal: mean/std)."],
+  "attribute/invalid-parameter": [ERROR, "AttributeTypes parameter is not a valid number, date, decimals or probability, or min is above max."],
+  "attribute/ignored-parameter": [WARNING, "AttributeTypes string attribute has value parameters, which are ignored."],
+  "attribute/unknown-attribute": [WARNING, "AttributeTypes row does not match any A2O attribute and is ignored."],
+  "attribute/duplicate": [ERROR, "AttributeTypes types the same attribute twice."],
+  "attribute/enumerated-typed": [ERROR, "CaseTable_ sheet enumerates an attribute AttributeTypes types as non-string."],
+  "o2o/unknown-object": [ERROR, "O2O column header (edge list: source/target) is not an A2O object."],
+  "o2o/unknown-activity": [ERROR, "O2O row does not match any PE2 activity."],
+  "o2o/invalid-cell": [WARNING, "O2O cell is neither 1, n nor empty."],
+  "o2o/incomplete-row": [WARNING, "O2O row needs at least one \"1\" and one \"n\" cell (edge list: a source and a target); it is ignored."],
+  "o2o/invalid-cardinality": [ERROR, "O2O edge cardinality is neither HAS_ONE nor HAS_MANY."],
+  "o2o/invalid-range": [ERROR, "O2O edge min/max is not a whole number ≥ 0, min is above max, or HAS_ONE has max above 1."],
+  "o2o/unknown-owner": [ERROR, "O2O edge owner is neither an A2O object nor a PE2 activity."],
+  "o2o/duplicate-edge": [ERROR, "O2O edge repeats an earlier row's owner, source, target and cardinality with another min/max."],
+  "variant/invalid-frequency": [WARNING, "Variant frequency in A2 is missing, negative or not a number/percentage (counts as 0)."],
+  "variant/zero-frequency": [WARNING, "Variant frequency is 0, so the variant gets no cases."],
+  "variant/mixed-frequency": [WARNING, "Some variant frequencies are percentages and others are not; all are read as weights."],
+  "variant/percent-sum": [WARNING, "Variant percentages do not add up to 100% (they are scaled)."],
+  "variant/unknown-activity": [ERROR, "Variant activity matches no PE2 activity (left as referencedId \"0\")."],
+  "variant/invalid-offset": [WARNING, "Variant start/end is missing, not a number or below 1 (becomes 1; a missing end is start + the PE2 duration, else start + 1)."],
+  "variant/offset-order": [WARNING, "Variant activity ends before it starts."],
+  "variant/empty": [WARNING, "Variant sheet has no activities."],
+  "variant/unknown-distribution": [ERROR, "Variant timing distribution is not fixed, uniform, normal or lognormal."],
+  "variant/missing-timing-parameter": [ERROR, "Variant timing distribution lacks a required parameter (uniform: min/max, normal/lognormal: mean/std)."],
+  "variant/invalid-timing": [ERROR, "Variant timing parameter is not a number ≥ 0, min is above max, or std/mean is 0."],
+  "lifecycle/before-create": [ERROR, "Variant step reads, updates or closes an object type before the step that creates it."],
+  "lifecycle/never-created": [WARNING, "Variant step updates or closes an object type no step of the variant creates."],
+  "lifecycle/after-close": [WARNING, "Variant step uses an object type after the step that closes it."],
+  "random/missing-column": [ERROR, "RandomConfig has no \"name\" or \"activity\" column."],
+  "random/missing-name": [ERROR, "RandomConfig activity row comes before any named config."],
+  "random/duplicate-name": [ERROR, "Two RandomConfig configs have the same name."],
+  "random/unknown-activity": [ERROR, "RandomConfig activity matches no PE2 activity."],
+  "random/invalid-number": [WARNING, "RandomConfig frequency/variants/length/weight/automation is not a number ≥ 0 (the default is used)."],
+  "random/invalid-length": [ERROR, "RandomConfig minLength is below 1 or above maxLength."],
+  "casetable/unknown-attribute": [WARNING, "CaseTable_ sheet does not match any A2O attribute."],
+  "casetable/unknown-variant": [ERROR, "CaseTable_ distribution column does not match any Variant_ sheet."],
+  "casetable/unknown-dimension": [ERROR, "CaseTable_ Attribute_ column does not match a CaseTable_ dimension or item."],
+  "casetable/duplicate-item": [ERROR, "CaseTable_ value appears twice."],
+  "casetable/invalid-number": [WARNING, "CaseTable_ weight is not a number."],
+  "metadata/orphan-sheet": [ERROR, "Metadata_ sheet has no matching CaseTable_ sheet."],
+  "metadata/duplicate-column": [ERROR, "Metadata_ column names are not unique after cleaning."],
+  "metadata/unknown-item": [WARNING, "Metadata_ row does not match any value of the CaseTable_ sheet."],
+};
+
+const KNOWN_TIME_UNITS = ["SECONDS", "MINUTES", "HOURS", "DAYS"];
+
+// ---------- Helpers ----------
+
+// lowercase alnum, as eventObjects.js / O2O matching
+const normalize = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+function isNumeric(v) {
+  return !isBlank(v) && Number.isFinite(Number(v));
+}
+
+// Rows of a sheet (header: 1) plus the origin of its range, so row/column
+// indexes can be turned back into A1 addresses.
+function readSheet(workbook, name) {
+  const sheet = workbook.Sheets[name];
+  if (!sheet) return null;
+  const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: "", blankrows: true, raw: true });
+  const origin = sheet["!ref"] ? xlsx.utils.decode_range(sheet["!ref"]).s : { r: 0, c: 0 };
+  return {
+    name,
+    rows,
+    addr: (r, c) => xlsx.utils.encode_cell({ r: origin.r + r, c: origin.c + c }),
+  };
+}
+
+function isValidYmd(v) {
+  const s = String(v ?? "").trim();
+  if (!/^\d{8}$/.test(s)) return false;
+  const y = Number(s.slice(0, 4)), m = Number(s.slice(4, 6)), d = Number(s.slice(6, 8));
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+function createReporter() {
+  const findings = [];
+  function report(code, sheet, cell, message) {
+    const rule = RULES[code];
+    if (!rule) throw new Error(`Unknown lint rule "${code}"`);
+    findings.push({ sheet, cell, severity: rule[0], code, message });
+  }
+  return { findings, report };
+}
+
+// ---------- General ----------
+
+function lintGeneral(workbook, report) {
+  const s = readSheet(workbook, "General");
+  if (!s) return report("workbook/missing-sheet", "General", null, 'Sheet "General" not found.');
+
+  const header = s.rows[0] || [];
+  const col = {};
+  for (const key of ["Start", "End", "Unit", "Cases"]) {
+    const idx = header.findIndex((h) => String(h).trim() === key);
+    if (idx === -1) report("general/missing-column", s.name, s.addr(0, 0), `Column "${key}" not found in the header row.`);
+    else col[key] = idx;
+  }
+  const row = s.rows[1] || [];
+  const cell = (key) => (col[key] === undefined ? undefined : row[col[key]]);
+
+  let start = null, end = null;
+  for (const key of ["Start", "End"]) {
+    if (col[key] === undefined) continue;
+    const v = cell(key);
+    if (!isValidYmd(v)) {
+      report("general/invalid-date", s.name, s.addr(1, col[key]), `${key} "${v}" is not a valid YYYYMMDD date.`);
+    } else if (key === "Start") start = String(v).trim();
+    else end = String(v).trim();
+  }
+  if (start && end && start >= end) {
+    report("general/date-order", s.name, s.addr(1, col.Start), `Start ${start} is not before End ${end}.`);
+  }
+  if (col.Unit !== undefined) {
+    const unit = String(cell("Unit") ?? "").trim().toUpperCase();
+    if (!KNOWN_TIME_UNITS.includes(unit)) {
+      report("general/invalid-unit", s.name, s.addr(1, col.Unit), `Unit "${cell("Unit")}" is not one of ${KNOWN_TIME_UNITS.join(", ")}.`);
+    }
+  }
+  if (col.Cases !== undefined) {
+    const n = Number(cell("Cases"));
+    if (!isNumeric(cell("Cases")) || n <= 0) {
+      report("general/invalid-cases", s.name, s.addr(1, col.Cases), `Cases "${cell("Cases")}" is not a positive number.`);
+    }
+  }
+  const { problem } = maxObjectsOf(workbook);
+  if (problem) report(problem.code, s.name, s.addr(1, problem.col), problem.message);
+}
+
+// ---------- A2O (objects + attributes) ----------
+
+function lintA2O(workbook, report) {
+  const s = readSheet(workbook, "A2O");
+  if (!s) {
+    report("workbook/missing-sheet", "A2O", null, 'Sheet "A2O" not found.');
+    return { objects: new Map(), attributes: new Map() };
+  }
+  const header = s.rows[0] || [];
+  const objects = new Map(); // normalized name -> header
+  for (let c = 1; c < header.length; c++) {
+    if (isBlank(header[c])) continue;
+    const key = normalize(header[c]);
+    if (objects.has(key)) {
+      report("a2o/duplicate-object", s.name, s.addr(0, c), `Object "${header[c]}" duplicates "${objects.get(key)}".`);
+    } else objects.set(key, String(header[c]).trim());
+  }
+
+  const attrCol = header.findIndex((h) => String(h).trim().toLowerCase() === "attribute");
+  const attributes = new Map(); // cleanId upper -> raw name
+  if (attrCol === -1) {
+    report("a2o/missing-column", s.name, s.addr(0, 0), 'Column "attribute" not found in the header row.');
+    return { objects, attributes };
+  }
+
+  for (let r = 1; r < s.rows.length; r++) {
+    const row = s.rows[r];
+    const raw = row[attrCol];
+    if (isBlank(raw)) continue;
+    const name = String(raw).trim();
+    const key = sanitizeName(name).toUpperCase();
+    if (attributes.has(key)) {
+      report("a2o/duplicate-attribute", s.name, s.addr(r, attrCol), `Attribute "${name}" duplicates "${attributes.get(key)}".`);
+      continue;
+    }
+    attributes.set(key, name);
+
+    let links = 0;
+    for (let c = 1; c < header.length; c++) {
+      if (c === attrCol || isBlank(row[c])) continue;
+      if (String(row[c]).trim() === "1") links++;
+      else report("a2o/invalid-link", s.name, s.addr(r, c), `Value "${row[c]}" is not 1; the link is ignored.`);
+    }
+    if (links === 0) {
+      report("a2o/unlinked-attribute", s.name, s.addr(r, attrCol), `Attribute "${name}" is not linked to any object.`);
+    } else if (sanitizeName(name) !== name) {
+      report(
+        "a2o/unmatched-attribute-name",
+        s.name,
+        s.addr(r, attrCol),
+        `Attribute "${name}" is stored as "${sanitizeName(name)}", so its object links are not applied. Rename it to "${sanitizeName(name)}".`
+      );
+    }
+  }
+  return { objects, attributes };
+}
+
+// ---------- PE2 (events + E2O) ----------
+
+function lintPE2(workbook, report, objects) {
+  const s = readSheet(workbook, "PE2");
+  if (!s) {
+    report("workbook/missing-sheet", "PE2", null, 'Sheet "PE2" not found.');
+    return { activities: new Map(), durations: new Map() };
+  }
+  const header = s.rows[0] || [];
+  const activityCol = header.findIndex((h) => String(h).trim().toLowerCase() === "activity");
+  const automationCol = header.findIndex((h) => String(h).trim().toLowerCase() === "automation");
+  if (activityCol === -1) report("pe2/missing-column", s.name, s.addr(0, 0), 'Column "activity" not found in the header row.');
+
+  const { cap } = maxObjectsOf(workbook);
+  const objectCols = pe2ObjectColumns(header);
+  for (const c of objectCols) {
+    if (objects.has(normalize(header[c]))) continue;
+    report("pe2/unknown-object", s.name, s.addr(0, c), `Column "${header[c]}" is not an object in the A2O header.`);
+  }
+  const propertyCols = header.map((h, c) => c).filter((c) => propertyOf(header[c]));
+
+  const nameCol = activityCol === -1 ? 0 : activityCol; // column A without an "activity" header
+  const activities = new Map(); // sanitized name -> raw
+  const durations = new Map(); // sanitized name -> PE2 duration
+  for (let r = 1; r < s.rows.length; r++) {
+    const row = s.rows[r];
+    if (row.every(isBlank)) continue;
+    const raw = row[nameCol];
+    if (isBlank(raw)) {
+      report("pe2/empty-activity", s.name, s.addr(r, nameCol), "Row has values but no activity name.");
+    }
+
+    const { properties, problems } = readProperties(Object.fromEntries(propertyCols.map((c) => [header[c], row[c]])));
+    for (const p of problems) report(p.code, s.name, s.addr(r, header.indexOf(p.header)), `${p.message} The value is left out.`);
+    if (!isBlank(raw)) {
+      const name = sanitizeName(raw);
+      if (activities.has(name)) {
+        report("pe2/duplicate-activity", s.name, s.addr(r, nameCol), `Activity "${raw}" duplicates "${activities.get(name)}".`);
+      } else {
+        activities.set(name, String(raw).trim());
+        if (properties.duration !== undefined) durations.set(name, properties.duration);
+      }
+    }
+
+    if (automationCol !== -1 && !isBlank(row[automationCol])) {
+      const a = Number(row[automationCol]);
+      if (!Number.isFinite(a) || a < 0 || a > 1) {
+        report("pe2/invalid-automation", s.name, s.addr(r, automationCol), `Automation "${row[automationCol]}" is not between 0 and 1.`);
+      } else if (properties.manual === true && a > 0) {
+        report("pe2/manual-automated", s.name, s.addr(r, automationCol), `"${raw}" is flagged manual but has automation ${row[automationCol]}.`);
+      }
+    }
+
+    for (const c of objectCols) {
+      const { problem } = parseE2ORange(row[c], cap);
+      if (problem) report(problem.code, s.name, s.addr(r, c), problem.message);
+    }
+  }
+  return { activities, durations };
+}
+
+// PE2 object columns as the eventObjects stage reads them: every named column
+// after A except activity, automation and the activity properties
+function pe2ObjectColumns(header) {
+  const cols = [];
+  for (let c = 1; c < header.length; c++) {
+    const key = normalize(header[c]);
+    if (key && key !== "automation" && key !== "activity" && !propertyOf(header[c])) cols.push(c);
+  }
+  return cols;
+}
+
+// ---------- PE2_Qualifiers ----------
+
+// Returns the qualifiers that apply (see lib/qualifiers.js): cells on links PE2 has
+function lintQualifiers(workbook, report, objects) {
+  const s = readSheet(workbook, QUALIFIERS_SHEET);
+  if (!s) return new Map();
+  const { qualifiers, problems } = readQualifiers(workbook);
+  for (const p of problems) report(p.code, s.name, s.addr(p.row, p.col), p.message);
+
+  const header = s.rows[0] || [];
+  for (let c = 1; c < header.length; c++) {
+    if (isBlank(header[c]) || normalize(header[c]) === "automation" || objects.has(normalize(header[c]))) continue;
+    report("qualifier/unknown-object", s.name, s.addr(0, c), `Column "${header[c]}" is not an object in the A2O header.`);
+  }
+
+  // PE2 links as the eventObjects stage reads them: activity in A
+  const pe2 = readSheet(workbook, "PE2");
+  const links = new Map(); // normalized activity -> Set of normalized object headers
+  const { cap } = maxObjectsOf(workbook);
+  const objectCols = pe2 ? pe2ObjectColumns(pe2.rows[0] || []) : [];
+  for (const row of pe2 ? pe2.rows.slice(1) : []) {
+    if (isBlank(row[0])) continue;
+    const linked = new Set();
+    for (const c of objectCols) {
+      if (parseE2ORange(row[c], cap).range) linked.add(normalize(pe2.rows[0][c]));
+    }
+    links.set(normalize(row[0]), linked);
+  }
+
+  const applied = new Map();
+  for (const [activity, cells] of qualifiers) {
+    const linked = links.get(activity);
+    if (!linked) continue;
+    const kept = new Map();
+    for (const [object, cell] of cells) {
+      if (!objects.has(object)) continue;
+      if (!linked.has(object)) {
+        report("qualifier/no-link", s.name, s.addr(cell.row, cell.col), `PE2 does not link "${s.rows[cell.row][0]}" to ${cell.object}.`);
+      } else kept.set(object, cell);
+    }
+    applied.set(activity, kept);
+  }
+  for (let r = 1; r < s.rows.length; r++) {
+    const raw = s.rows[r][0];
+    if (!isBlank(raw) && !links.has(normalize(raw))) {
+      report("qualifier/unknown-activity", s.name, s.addr(r, 0), `"${raw}" is not a PE2 activity; the row is ignored.`);
+    }
+  }
+  return applied;
+}
+
+// ---------- AttributeTypes ----------
+
+function lintAttributeTypes(workbook, report, attributes) {
+  const s = readSheet(workbook, ATTRIBUTE_TYPES_SHEET);
+  if (!s) return;
+
+  // The General period is the default date range
+  const general = readSheet(workbook, "General");
+  const period = {};
+  if (general) {
+    const header = general.rows[0] || [];
+    const row = general.rows[1] || [];
+    for (const [key, col] of [["startDate", "Start"], ["endDate", "End"]]) {
+      const v = row[header.findIndex((h) => String(h).trim() === col)];
+      if (isValidYmd(v)) period[key] = toMillis(v);
+    }
+  }
+
+  const { types, problems } = parseAttributeTypeRows(s.rows, period);
+  for (const p of problems) report(p.code, s.name, s.addr(p.row, p.col), p.message);
+
+  const typed = new Map(); // cleanId upper -> type
+  for (const t of types) {
+    const key = cleanId(t.attribute).toUpperCase();
+    const cell = s.addr(t.row, t.cols.attribute);
+    if (!attributes.has(key)) {
+      report("attribute/unknown-attribute", s.name, cell, `"${t.attribute}" is not an attribute in A2O.`);
+    } else if (typed.has(key)) {
+      report("attribute/duplicate", s.name, cell, `"${t.attribute}" is typed more than once.`);
+    } else typed.set(key, t.type);
+  }
+  for (const sheetName of workbook.SheetNames) {
+    if (!sheetName.startsWith("CaseTable_")) continue;
+    const type = typed.get(cleanId(sheetName.slice("CaseTable_".length)).toUpperCase());
+    if (type && type !== "STRING") {
+      report("attribute/enumerated-typed", sheetName, "A1", `The attribute is typed ${type.toLowerCase()}, so its values are drawn, not enumerated; the build fails.`);
+    }
+  }
+}
+
+// ---------- O2O ----------
+
+function lintO2O(workbook, report, objects, activities) {
+  const s = readSheet(workbook, "O2O");
+  if (!s) return; // optional sheet
+
+  const header = s.rows[0] || [];
+  if (isEdgeList(header)) return lintO2OEdges(s, report, objects, activities);
+  for (let c = 1; c < header.length; c++) {
+    if (isBlank(header[c]) || objects.has(normalize(header[c]))) continue;
+    report("o2o/unknown-object", s.name, s.addr(0, c), `Column "${header[c]}" is not an object in the A2O header.`);
+  }
+
+  const activityKeys = new Set([...activities.keys()].map(normalize));
+  for (let r = 1; r < s.rows.length; r++) {
+    const row = s.rows[r];
+    if (isBlank(row[0])) continue;
+    if (!activityKeys.has(normalize(row[0]))) {
+      report("o2o/unknown-activity", s.name, s.addr(r, 0), `"${row[0]}" is not a PE2 activity; the row is ignored.`);
+    }
+    let ones = 0, ns = 0;
+    for (let c = 1; c < header.length; c++) {
+      if (isBlank(row[c])) continue;
+      const v = String(row[c]).trim().toLowerCase();
+      if (v === "1") ones++;
+      else if (v === "n") ns++;
+      else report("o2o/invalid-cell", s.name, s.addr(r, c), `Value "${row[c]}" is neither 1 nor n.`);
+    }
+    if ((ones > 0) !== (ns > 0)) {
+      report("o2o/incomplete-row", s.name, s.addr(r, 0), `Row "${row[0]}" has ${ones} "1" and ${ns} "n" cells; no relation is created.`);
+    }
+  }
+}
+
+function lintO2OEdges(s, report, objects, activities) {
+  const { edges, problems } = parseO2OEdges(s.rows);
+  for (const p of problems) report(p.code, s.name, s.addr(p.row, p.col), p.message);
+  const activityKeys = new Set([...activities.keys()].map(normalize));
+  for (const edge of edges) {
+    for (const key of ["source", "target"]) {
+      if (!objects.has(normalize(edge[key]))) {
+        report("o2o/unknown-object", s.name, s.addr(edge.row, edge.cols[key]), `${key} "${edge[key]}" is not an object in the A2O header.`);
+      }
+    }
+    const owner = edge.owner && normalize(edge.owner);
+    if (owner && !objects.has(owner) && !activityKeys.has(owner)) {
+      report("o2o/unknown-owner", s.name, s.addr(edge.row, edge.cols.owner), `Owner "${edge.owner}" is neither an A2O object nor a PE2 activity.`);
+    }
+  }
+}
+
+// ---------- Variant_ ----------
+
+function lintVariants(workbook, report, activities, durations) {
+  const variants = new Map(); // cleanId upper -> sheet name
+  for (const sheetName of workbook.SheetNames) {
+    if (!sheetName.startsWith("Variant_")) continue;
+    const s = readSheet(workbook, sheetName);
+    variants.set(cleanId(sheetName.split("_").slice(1).join("_")).toUpperCase(), sheetName);
+
+    const timingCols = timingColumns(s.rows[0]);
+    let steps = 0;
+    for (let r = 1; r < s.rows.length; r++) {
+      const row = s.rows[r];
+      if (isBlank(row[1])) continue;
+      steps++;
+      for (const p of parseTiming(timingCells(row, timingCols)).problems) {
+        report(p.code, sheetName, s.addr(r, timingCols.distribution ?? 5), p.message);
+      }
+      const name = sanitizeName(row[1]);
+      if (!activities.has(name)) {
+        report("variant/unknown-activity", sheetName, s.addr(r, 1), `Activity "${row[1]}" does not match any PE2 activity.`);
+      }
+      for (const c of [2, 3]) {
+        if (c === 3 && isBlank(row[c])) {
+          if (durations.has(name)) continue; // start + the PE2 duration
+          report("variant/invalid-offset", sheetName, s.addr(r, c), "Blank end becomes start + 1 (no PE2 duration).");
+          continue;
+        }
+        if (!isNumeric(row[c]) || Number(row[c]) < 1) {
+          report("variant/invalid-offset", sheetName, s.addr(r, c), `Value "${row[c] ?? ""}" becomes 1.`);
+        }
+      }
+      if (isNumeric(row[2]) && isNumeric(row[3]) && Number(row[3]) < Number(row[2])) {
+        report("variant/offset-order", sheetName, s.addr(r, 3), `End ${row[3]} is before start ${row[2]}.`);
+      }
+    }
+    if (steps === 0) report("variant/empty", sheetName, s.addr(1, 1), "No activities found in column B.");
+  }
+  for (const p of variantFrequencies(workbook).problems) report(p.code, p.sheet, p.cell, p.message);
+  return variants;
+}
+
+// ---------- Lifecycle ----------
+
+// Walks every Variant_ sheet in start order (ties keep the row order, as the
+// generator does) and checks the qualified links of its steps.
+function lintLifecycle(workbook, report, qualifiers) {
+  if (!qualifiers.size) return;
+  for (const sheetName of workbook.SheetNames) {
+    if (!sheetName.startsWith("Variant_")) continue;
+    const s = readSheet(workbook, sheetName);
+    const steps = [];
+    for (let r = 1; r < s.rows.length; r++) {
+      const row = s.rows[r];
+      if (isBlank(row[1])) continue;
+      const start = isNumeric(row[2]) && Number(row[2]) >= 1 ? Number(row[2]) : 1;
+      const cells = qualifiers.get(normalize(row[1])) || new Map();
+      steps.push({
+        activity: String(row[1]).trim(),
+        qualifiers: new Map([...cells.values()].map((cell) => [cell.object, cell.qualifier])),
+        row: r,
+        start,
+      });
+    }
+    steps.sort((a, b) => a.start - b.start);
+    for (const p of lifecycleProblems(steps)) {
+      report(p.code, sheetName, s.addr(steps[p.step].row, 1), p.message);
+    }
+  }
+}
+
+// ---------- RandomConfig ----------
+
+function lintRandomConfig(workbook, report, activities) {
+  const s = readSheet(workbook, RANDOM_CONFIG_SHEET);
+  if (!s) return;
+  const { configs, problems } = parseRandomConfigRows(s.rows);
+  for (const p of problems) report(p.code, s.name, s.addr(p.row, p.col), p.message);
+  for (const cfg of configs) {
+    for (const a of cfg.activities) {
+      if (!activities.has(sanitizeName(a.activity))) {
+        report("random/unknown-activity", s.name, s.addr(a.row, a.col), `Activity "${a.activity}" (config "${cfg.name}") does not match any PE2 activity.`);
+      }
+    }
+  }
+}
+
+// ---------- CaseTable_ / Metadata_ ----------
+
+function lintCaseTables(workbook, report, attributes, variants) {
+  // First pass: dimensions and their item values, needed to resolve Attribute_ columns
+  const dims = new Map(); // cleanId upper -> { sheet, items: Set<cleanId upper> }
+  for (const sheetName of workbook.SheetNames) {
+    if (!sheetName.startsWith("CaseTable_")) continue;
+    const s = readSheet(workbook, sheetName);
+    const dimName = cleanId(sheetName.slice("CaseTable_".length));
+    const items = new Set();
+    for (let r = 1; r < s.rows.length; r++) {
+      const v = s.rows[r][0];
+      if (isBlank(v)) continue;
+      const key = cleanId(v).toUpperCase();
+      if (items.has(key)) report("casetable/duplicate-item", sheetName, s.addr(r, 0), `Value "${v}" appears more than once.`);
+      items.add(key);
+    }
+    dims.set(dimName.toUpperCase(), { sheet: s, items });
+
+    if (!attributes.has(dimName.toUpperCase())) {
+      report("casetable/unknown-attribute", sheetName, s.addr(0, 0), `"${dimName}" is not an A2O attribute; its referencedId stays unresolved.`);
+    }
+  }
+
+  for (const { sheet: s } of dims.values()) {
+    const header = s.rows[0] || [];
+    for (let c = 2; c < header.length; c++) {
+      const hdr = cleanId(header[c]);
+      if (!hdr) continue;
+      const up = hdr.toUpperCase();
+      if (up.startsWith("ATTRIBUTE_")) {
+        const alias = cleanId(hdr.slice("ATTRIBUTE_".length)).toUpperCase();
+        const whereIdx = alias.indexOf("WHEREIS");
+        const dimKey = whereIdx >= 0 ? alias.slice(0, whereIdx) : alias;
+        const target = dims.get(dimKey);
+        if (!target) {
+          report("casetable/unknown-dimension", s.name, s.addr(0, c), `"${header[c]}" refers to no CaseTable_ sheet.`);
+        } else if (whereIdx >= 0 && !target.items.has(alias.slice(whereIdx + "WHEREIS".length))) {
+          report("casetable/unknown-dimension", s.name, s.addr(0, c), `"${header[c]}" refers to a value missing from ${target.sheet.name}.`);
+        }
+      } else {
+        const key = up.startsWith("VARIANT_") ? cleanId(hdr.slice("VARIANT_".length)).toUpperCase() : up;
+        if (!variants.has(key)) {
+          report("casetable/unknown-variant", s.name, s.addr(0, c), `"${header[c]}" does not match any Variant_ sheet.`);
+        }
+      }
+    }
+    for (let r = 1; r < s.rows.length; r++) {
+      const row = s.rows[r];
+      if (isBlank(row[0])) continue;
+      for (let c = 1; c < Math.max(row.length, header.length); c++) {
+        if (c > 1 && isBlank(header[c])) continue;
+        if (!isBlank(row[c]) && !isNumeric(String(row[c]).replace(/[^0-9.\-eE+]/g, ""))) {
+          report("casetable/invalid-number", s.name, s.addr(r, c), `Value "${row[c]}" is not a number.`);
+        }
+      }
+    }
+  }
+
+  for (const sheetName of workbook.SheetNames) {
+    if (!sheetName.startsWith("Metadata_")) continue;
+    const s = readSheet(workbook, sheetName);
+    const metaName = cleanId(sheetName.slice("Metadata_".length));
+    const dim = dims.get(metaName.toUpperCase());
+    if (!dim) {
+      report("metadata/orphan-sheet", sheetName, s.addr(0, 0), `No CaseTable_${metaName} sheet; this metadata is ignored.`);
+      continue;
+    }
+    const header = s.rows[0] || [];
+    const seen = new Map();
+    for (let c = 1; c < header.length; c++) {
+      const key = cleanId(header[c]).toUpperCase();
+      if (!key) continue;
+      if (seen.has(key)) {
+        report("metadata/duplicate-column", sheetName, s.addr(0, c), `"${header[c]}" duplicates column ${seen.get(key)}.`);
+      } else seen.set(key, s.addr(0, c));
+    }
+    for (let r = 1; r < s.rows.length; r++) {
+      const v = s.rows[r][0];
+      if (isBlank(v) || dim.items.has(cleanId(v).toUpperCase())) continue;
+      report("metadata/unknown-item", sheetName, s.addr(r, 0), `"${v}" is not a value of ${dim.sheet.name}; the row is ignored.`);
+    }
+  }
+}
+
+// ---------- Entry point ----------
+
+function lintWorkbook(workbook) {
+  const { findings, report } = createReporter();
+  lintGeneral(workbook, report);
+  const { objects, attributes } = lintA2O(workbook, report);
+  lintAttributeTypes(workbook, report, attributes);
+  const { activities, durations } = lintPE2(workbook, report, objects);
+  const qualifiers = lintQualifiers(workbook, report, objects);
+  lintO2O(workbook, report, objects, activities);
+  const variants = lintVariants(workbook, report, activities, durations);
+  lintLifecycle(workbook, report, qualifiers);
+  lintRandomConfig(workbook, report, activities);
+  lintCaseTables(workbook, report, attributes, variants);
+  return findings;
+}
+
+function summarize(findings) {
+  const errors = findings.filter((f) => f.severity === ERROR).length;
+  return { errors, warnings: findings.length - errors };
+}
+
+module.exports = { lintWorkbook, summarize, RULES, ERROR, WARNING };
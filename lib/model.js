@@ -0,0 +1,627 @@
+// lib/model.js
+// Programmatic model for DDG configs. A Dataset collects object types, event
+// types, attributes, variants, random configs, case-table dimensions and the
+// E2O/O2O/A2O relations, and renders them into the same per-stage parts the
+// workbook stages produce, so final.json is composed by the same code
+// (lib/compose.js).
+
+const { createIds } = require("./ids");
+const { composeConfig } = require("./compose");
+const { sanitizeName, toMillis } = require("./stages/entities");
+const { buildTiming } = require("./timing");
+const { QUALIFIERS } = require("./qualifiers");
+const { readProperties, ACTIVITY_PROPERTIES } = require("./activityProperties");
+const { parseAttributeType } = require("./attributeTypes");
+
+const CARDINALITIES = ["HAS_ONE", "HAS_MANY"];
+
+function requireName(kind, name) {
+  const clean = sanitizeName(name);
+  if (!clean) throw new Error(`${kind} name must contain at least one letter or digit (got "${name}").`);
+  return clean;
+}
+
+function toDateMillis(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "number" && value > 99999999) return value; // already epoch millis
+  return toMillis(value); // YYYYMMDD like the General sheet
+}
+
+// Same rule as Metadata_ cells: numbers <= 0 become "1", everything else a trimmed string or null
+function metadataValue(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw === "number") return String(raw <= 0 ? 1 : raw);
+  const s = String(raw).trim();
+  return s === "" ? null : s;
+}
+
+// ---------- Entities ----------
+
+class ObjectType {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+  }
+}
+
+class EventType {
+  constructor(id, name, automation, properties = null) {
+    this.id = id;
+    this.name = name;
+    this.automation = automation;
+    this.properties = properties; // duration, cost, resource, department, manual (like the PE2 columns)
+    this.objects = []; // E2ORelation[]
+  }
+}
+
+class Attribute {
+  constructor(id, name, type = null, generation = null) {
+    this.id = id;
+    this.name = name;
+    this.type = type; // AttributeTypes type, e.g. "CURRENCY"; null: untyped
+    this.generation = generation;
+    this.targets = []; // A2ORelation[]
+  }
+}
+
+// ---------- Relations ----------
+
+class E2ORelation {
+  constructor(id, event, object, { min = 1, max = min, type, qualifier } = {}) {
+    if (!(object instanceof ObjectType)) throw new Error(`E2O relation of "${event.name}" needs an ObjectType.`);
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < Math.max(1, min)) {
+      throw new Error(`E2O relation ${event.name} → ${object.name}: expected whole numbers 0 <= min <= max, max >= 1 (got ${min}..${max}).`);
+    }
+    if (type && !CARDINALITIES.includes(type)) throw new Error(`Unknown E2O type "${type}".`);
+    if (qualifier && !QUALIFIERS.includes(qualifier)) {
+      throw new Error(`Unknown E2O qualifier "${qualifier}" (use ${QUALIFIERS.join(", ")}).`);
+    }
+    this.id = id;
+    this.event = event;
+    this.object = object;
+    this.type = type || (max === 1 ? "HAS_ONE" : "HAS_MANY");
+    this.rangeMin = min;
+    this.rangeMax = max;
+    this.qualifier = qualifier || null;
+  }
+}
+
+class O2ORelation {
+  constructor(id, owner, source, target, cardinality = "HAS_MANY", { min, max } = {}) {
+    if (!(source instanceof ObjectType) || !(target instanceof ObjectType)) {
+      throw new Error("O2O relations need ObjectType source and target.");
+    }
+    if (!CARDINALITIES.includes(cardinality)) throw new Error(`Unknown O2O cardinality "${cardinality}".`);
+    const range = [min, max].filter((n) => n !== undefined);
+    if (range.some((n) => !Number.isInteger(n) || n < 0) || (range.length === 2 && max < min) || (cardinality === "HAS_ONE" && max > 1)) {
+      throw new Error(`O2O relation ${source.name} → ${target.name}: invalid range ${min ?? ""}..${max ?? ""} for ${cardinality}.`);
+    }
+    this.id = id;
+    this.owner = owner;
+    this.event = owner instanceof EventType ? owner : null;
+    this.source = source;
+    this.target = target;
+    this.cardinality = cardinality;
+    this.rangeMin = min;
+    this.rangeMax = max;
+  }
+}
+
+class A2ORelation {
+  constructor(attribute, object) {
+    if (!(object instanceof ObjectType)) throw new Error(`A2O relation of "${attribute.name}" needs an ObjectType.`);
+    this.attribute = attribute;
+    this.object = object;
+  }
+}
+
+// ---------- Variants ----------
+
+class Variant {
+  constructor(dataset, id, name, frequency) {
+    this.dataset = dataset;
+    this.id = id;
+    this.name = name;
+    this.frequency = frequency;
+    this.items = [];
+  }
+
+  /**
+   * Append one activity to the variant path.
+   * start/end are offsets in the General timeUnit (values under 1 become 1,
+   * as in the Variant_ sheets; without end, start + the event type's
+   * duration property, else start + 1); automation is a percentage
+   * (default 80).
+   * timing: optional duration distribution, e.g. { type: "normal", mean: 4,
+   * std: 1.5, min: 1 } (see lib/timing.js).
+   */
+  step(event, { start = 1, end, automation = 80, timing } = {}) {
+    if (!(event instanceof EventType)) throw new Error(`Variant "${this.name}" steps need an EventType.`);
+    const startDate = start < 1 ? 1 : start;
+    if (end === undefined) {
+      const duration = event.properties && event.properties.duration;
+      end = duration !== undefined && duration !== null ? startDate + duration : startDate + 1;
+    }
+    // keyed by activity and occurrence, like the Variant_ sheets
+    const occurrence = this.items.filter((it) => it.referencedName === event.name).length;
+    const item = {
+      id: this.dataset.newId("variant-item", this.name, event.name, occurrence),
+      referencedId: event.id,
+      activityId: null,
+      automation: automation < 0 ? 0 : automation,
+      startDate,
+      endDate: end < 1 ? 1 : end,
+      referencedName: event.name,
+    };
+    if (timing) {
+      const { type, ...rest } = timing;
+      const parsed = buildTiming({ distribution: type, ...rest }, `Variant "${this.name}" step ${this.items.length + 1}`);
+      if (parsed) item.timing = parsed;
+    }
+    this.items.push(item);
+    return this;
+  }
+}
+
+// Random paths drawn from event types (the RandomConfig sheet)
+class RandomPaths {
+  constructor(dataset, id, name, { frequency, nVariants, minLength, maxLength }) {
+    this.dataset = dataset;
+    this.id = id;
+    this.name = name;
+    this.frequency = frequency;
+    this.nVariants = nVariants;
+    this.minLength = minLength;
+    this.maxLength = maxLength; // null: as many as there are activities
+    this.items = []; // empty: every event type
+  }
+
+  /** Let the paths draw event; weight is its relative chance, automation a percentage (default 80). */
+  activity(event, { weight = 1, automation = 80 } = {}) {
+    if (!(event instanceof EventType)) throw new Error(`Random config "${this.name}" activities need an EventType.`);
+    if (!(weight >= 0) || !(automation >= 0)) {
+      throw new Error(`Random config "${this.name}": weight and automation of "${event.name}" must be numbers ≥ 0.`);
+    }
+    this.items.push({ event, weight, automation });
+    return this;
+  }
+
+  toJSON() {
+    const items = this.items.length
+      ? this.items
+      : this.dataset.eventTypes.map((event) => ({ event, weight: 1, automation: event.automation ?? 0 }));
+    const maxLength = this.maxLength ?? items.length;
+    if (maxLength < this.minLength) {
+      throw new Error(`Random config "${this.name}": minLength ${this.minLength} is above maxLength ${maxLength} (the number of activities when not given).`);
+    }
+    return {
+      id: this.id,
+      name: this.name,
+      frequency: this.frequency,
+      nVariants: this.nVariants,
+      minLength: this.minLength,
+      maxLength,
+      items: items.map((it, i) => ({
+        id: this.dataset.newId("random-config-item", this.name, i, it.event.name),
+        referencedId: it.event.id,
+        activityId: null,
+        referencedName: it.event.name,
+        weight: it.weight,
+        automation: it.automation,
+      })),
+    };
+  }
+}
+
+// ---------- Case table ----------
+
+class CaseTableDimension {
+  constructor(dataset, id, attribute) {
+    this.dataset = dataset;
+    this.id = id;
+    this.attribute = attribute;
+    this.name = attribute.name;
+    this.items = [];
+    this.distributionItems = [];
+    this.attributeMetadataItems = [];
+  }
+
+  // Distribution column for a Variant, another dimension, or { dimension, value } ("X where is Y")
+  distributionItemFor(by) {
+    let dist;
+    if (by instanceof Variant) {
+      dist = this.distributionItems.find((d) => d.type === "VARIANT" && d.referencedId === by.id);
+      if (!dist) {
+        dist = {
+          id: this.dataset.newId("distribution-item", this.name, `Variant${by.name}`),
+          type: "VARIANT",
+          referencedId: by.id,
+          referencedItemId: null,
+          alias: by.name,
+        };
+      }
+    } else {
+      const dim = by instanceof CaseTableDimension ? by : by && by.dimension;
+      if (!(dim instanceof CaseTableDimension)) {
+        throw new Error(`Dimension "${this.name}": distributions are keyed by a Variant, a CaseTableDimension or { dimension, value }.`);
+      }
+      let item = null;
+      if (!(by instanceof CaseTableDimension)) {
+        item = dim.items.find((it) => it.value === sanitizeName(by.value));
+        if (!item) throw new Error(`Dimension "${dim.name}" has no item "${by.value}".`);
+      }
+      const itemId = item ? item.id : null;
+      dist = this.distributionItems.find((d) => d.type === "ATTRIBUTE" && d.referencedId === dim.id && d.referencedItemId === itemId);
+      if (!dist) {
+        const alias = item ? `${dim.name}whereis${item.value}` : dim.name;
+        dist = {
+          id: this.dataset.newId("distribution-item", this.name, `Attribute${alias}`),
+          type: "ATTRIBUTE",
+          referencedId: dim.id,
+          referencedItemId: itemId,
+          alias,
+        };
+      }
+    }
+    if (!this.distributionItems.includes(dist)) this.distributionItems.push(dist);
+    return dist;
+  }
+
+  metadataItemFor(columnName) {
+    const clean = requireName("Metadata column", columnName);
+    let meta = this.attributeMetadataItems.find((m) => m.columnName.toUpperCase() === clean.toUpperCase());
+    if (!meta) {
+      meta = { id: this.dataset.newId("metadata-item", this.name, clean), columnName: clean };
+      this.attributeMetadataItems.push(meta);
+    }
+    return meta;
+  }
+
+  /**
+   * Add one value of the dimension.
+   * - std: standard distribution weight
+   * - distributions: [{ by: Variant | CaseTableDimension | { dimension, value }, value: number }]
+   * - metadata: { columnName: value }
+   */
+  addItem(value, { std = null, distributions = [], metadata = null } = {}) {
+    const clean = requireName("Dimension item", value);
+    const item = {
+      id: this.dataset.newId("dimension-item", this.name, clean),
+      value: clean,
+      stdDistribution: std,
+      weights: new Map(),
+      metadata: new Map(),
+    };
+    for (const d of distributions) item.weights.set(this.distributionItemFor(d.by).id, d.value);
+    if (metadata) {
+      for (const [col, v] of Object.entries(metadata)) item.metadata.set(this.metadataItemFor(col).id, metadataValue(v));
+    }
+    this.items.push(item);
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      defaultItem: false,
+      items: this.items.map((it) => ({
+        id: it.id,
+        value: it.value,
+        stdDistribution: it.stdDistribution,
+        variants: [],
+        distributions: this.distributionItems.map((d) => ({
+          distributionItemId: d.id,
+          value: it.weights.has(d.id) ? it.weights.get(d.id) : null,
+        })),
+        attributesMetadata: it.metadata.size
+          ? this.attributeMetadataItems.map((m) => ({ metadataItemId: m.id, value: it.metadata.get(m.id) ?? null }))
+          : [],
+      })),
+      distributionItems: this.distributionItems.map((d) => ({ ...d })),
+      attributeMetadataItems: this.attributeMetadataItems.map((m) => ({ ...m })),
+      referencedId: this.attribute.id,
+    };
+  }
+}
+
+// ---------- Dataset ----------
+
+class Dataset {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.id]        dataSetConfig.id (the demo-data-set id)
+   * @param {string} [opts.name]
+   * @param {string} [opts.dataPool]
+   * @param {string} [opts.dataModel]
+   * @param {"random"|"stable"} [opts.idStrategy]  see lib/ids.js (default: random)
+   * @param {string} [opts.idNamespace]            namespace for stable IDs (default: name)
+   */
+  constructor({
+    id = "dummy",
+    name = "default",
+    dataPool = "default",
+    dataModel = "default",
+    idStrategy = "random",
+    idNamespace = name,
+  } = {}) {
+    this.dataSetConfig = { id, name, dataPool, dataModel };
+    this.ids = createIds({ strategy: idStrategy, namespace: idNamespace });
+    this.general = null;
+    this.objectTypes = [];
+    this.eventTypes = [];
+    this.attributes = [];
+    this.variants = [];
+    this.randomConfigs = []; // RandomPaths[]
+    this.dimensions = [];
+    this.objectRelations = []; // O2ORelation[]
+  }
+
+  // kind + name parts identify the entity for the stable ID strategy
+  newId(kind, ...nameParts) {
+    return this.ids(kind, ...nameParts);
+  }
+
+  /** startDate/endDate: Date, epoch millis or YYYYMMDD; timeUnit e.g. "MINUTES". */
+  setGeneral({ startDate, endDate, timeUnit = "MINUTES", nCases = 10000 }) {
+    this.general = {
+      startDate: toDateMillis(startDate),
+      endDate: toDateMillis(endDate),
+      timeUnit: String(timeUnit).toUpperCase(),
+      nCases: Number(nCases),
+    };
+    return this;
+  }
+
+  addObjectType(name) {
+    const clean = requireName("Object type", name);
+    if (this.objectTypes.some((o) => o.name === clean)) throw new Error(`Duplicate object type "${clean}".`);
+    const obj = new ObjectType(this.newId("object", clean), clean);
+    this.objectTypes.push(obj);
+    return obj;
+  }
+
+  /** automation: percentage 0..100, or null when unknown. */
+  addEventType(name, { automation = null, properties = null } = {}) {
+    const clean = requireName("Event type", name);
+    if (this.eventTypes.some((e) => e.name === clean)) throw new Error(`Duplicate event type "${clean}".`);
+    let props = null;
+    if (properties) {
+      const unknown = Object.keys(properties).filter((key) => !(key in ACTIVITY_PROPERTIES));
+      if (unknown.length) {
+        throw new Error(`Event type "${clean}": unknown properties ${unknown.join(", ")} (use ${Object.keys(ACTIVITY_PROPERTIES).join(", ")}).`);
+      }
+      const { properties: read, problems } = readProperties(properties);
+      if (problems.length) throw new Error(`Event type "${clean}": ${problems[0].message}`);
+      if (Object.keys(read).length) props = read;
+    }
+    const ev = new EventType(this.newId("event", clean), clean, automation, props);
+    this.eventTypes.push(ev);
+    return ev;
+  }
+
+  /**
+   * type: string, integer, decimal, date, boolean or currency, with the value
+   * parameters of an AttributeTypes row (distribution, min, max, mean, std,
+   * decimals, currency, probability; dates as YYYYMMDD, by default the
+   * General period). Untyped attributes carry no type.
+   */
+  addAttribute(name, { objects = [], type, ...values } = {}) {
+    const clean = requireName("Attribute", name);
+    if (this.attributes.some((a) => a.name === clean)) throw new Error(`Duplicate attribute "${clean}".`);
+    let parsed = { type: null, generation: null };
+    if (type !== undefined) {
+      parsed = parseAttributeType({ type, ...values }, this.general || {});
+      const fatal = parsed.problems.filter((p) => p.code !== "attribute/ignored-parameter");
+      if (fatal.length) throw new Error(`Attribute "${clean}": ${fatal[0].message}`);
+    }
+    const attr = new Attribute(this.newId("attribute", clean), clean, parsed.type, parsed.generation);
+    this.attributes.push(attr);
+    for (const obj of objects) this.linkAttribute(attr, obj);
+    return attr;
+  }
+
+  addVariant(name, { frequency = 0 } = {}) {
+    const clean = String(name || "").trim();
+    if (!clean) throw new Error("Variant name must not be empty.");
+    if (this.variants.some((v) => v.name === clean)) throw new Error(`Duplicate variant "${clean}".`);
+    const variant = new Variant(this, this.newId("variant", clean), clean, Number(frequency) || 0);
+    this.variants.push(variant);
+    return variant;
+  }
+
+  /**
+   * Random paths as in the RandomConfig sheet: nVariants paths of minLength to
+   * maxLength steps (default: as many as there are activities), drawn from the
+   * event types added with .activity() or, without any, from all of them.
+   */
+  addRandomConfig(name, { frequency = 0, nVariants = 1, minLength = 1, maxLength = null } = {}) {
+    const clean = String(name || "").trim();
+    if (!clean) throw new Error("Random config name must not be empty.");
+    if (this.randomConfigs.some((c) => c.name === clean)) throw new Error(`Duplicate random config "${clean}".`);
+    if (!Number.isInteger(minLength) || minLength < 1 || (maxLength !== null && (!Number.isInteger(maxLength) || maxLength < minLength))) {
+      throw new Error(`Random config "${clean}": expected whole numbers 1 <= minLength <= maxLength (got ${minLength}..${maxLength ?? ""}).`);
+    }
+    const cfg = new RandomPaths(this, this.newId("random-config", clean), clean, {
+      frequency: Number(frequency) || 0,
+      nVariants: Math.round(Number(nVariants) || 0),
+      minLength,
+      maxLength,
+    });
+    this.randomConfigs.push(cfg);
+    return cfg;
+  }
+
+  addDimension(attribute) {
+    if (!(attribute instanceof Attribute)) throw new Error("Case table dimensions are built for an Attribute.");
+    if (attribute.type && attribute.type !== "STRING") {
+      throw new Error(`Attribute "${attribute.name}" is typed ${attribute.type.toLowerCase()}; its values are drawn, not enumerated in a dimension.`);
+    }
+    if (this.dimensions.some((d) => d.attribute === attribute)) {
+      throw new Error(`Duplicate case table dimension "${attribute.name}".`);
+    }
+    const dim = new CaseTableDimension(this, this.newId("dimension", attribute.name), attribute);
+    this.dimensions.push(dim);
+    return dim;
+  }
+
+  // E2O: event touches rangeMin..rangeMax objects of a type (and creates, reads, ... them)
+  linkEvent(event, object, opts) {
+    const rel = new E2ORelation(this.newId("e2o", event.name, object.name), event, object, opts);
+    event.objects.push(rel);
+    return rel;
+  }
+
+  // O2O: attached to the ocpmRelations.objects entry of its owner — an event
+  // (like the O2O matrix rows) or an object type (like the edge list's owner)
+  relateObjects(owner, source, target, { cardinality = "HAS_MANY", min, max } = {}) {
+    if (!(owner instanceof EventType) && !(owner instanceof ObjectType)) {
+      throw new Error("O2O relations are attached to an EventType or an ObjectType.");
+    }
+    const rel = new O2ORelation(
+      this.newId("o2o", owner.name, source.name, target.name, cardinality),
+      owner,
+      source,
+      target,
+      cardinality,
+      { min, max }
+    );
+    this.objectRelations.push(rel);
+    return rel;
+  }
+
+  // A2O: attribute is available on an object type
+  linkAttribute(attribute, object) {
+    if (attribute.targets.some((t) => t.object === object)) return attribute.targets.find((t) => t.object === object);
+    const rel = new A2ORelation(attribute, object);
+    attribute.targets.push(rel);
+    return rel;
+  }
+
+  /** Per-stage documents, in the shapes written by the workbook stages. */
+  toParts() {
+    const entities = {
+      general: this.general,
+      entitiesDefinitions: {
+        activities: null,
+        events: this.eventTypes.map((e) => ({
+          id: e.id,
+          name: e.name,
+          automation: e.automation,
+          ...(e.properties ? { properties: e.properties } : {}),
+        })),
+        attributes: this.attributes.map((a) => ({
+          id: a.id,
+          name: a.name,
+          defaultItem: false,
+          items: [],
+          distributionItems: [],
+          attributeMetadataItems: [],
+          ...(a.type ? { type: a.type } : {}),
+          ...(a.generation ? { generation: a.generation } : {}),
+        })),
+        objects: this.objectTypes.map((o) => ({ id: o.id, name: o.name })),
+      },
+    };
+
+    const variants = {
+      variants: {
+        items: this.variants.map((v) => ({
+          id: v.id,
+          name: v.name,
+          frequency: v.frequency,
+          items: v.items.map((it) => ({ ...it })),
+        })),
+      },
+      randomConfigs: this.randomConfigs.map((c) => c.toJSON()),
+    };
+
+    const selected = new Set(this.dimensions.map((d) => d.attribute));
+    const caseTable = {
+      caseTableCreator: {
+        dimensionList: this.attributes
+          .filter((a) => !selected.has(a))
+          .map((a) => ({
+            id: this.newId("dimension-list", a.name),
+            name: a.name,
+            defaultItem: false,
+            items: [],
+            distributionItems: [],
+            attributeMetadataItems: [],
+            referencedId: a.id,
+          })),
+        selectedDimensions: this.dimensions.map((d) => d.toJSON()),
+      },
+    };
+
+    const eventObjects = {
+      ocpmRelations: {
+        events: this.eventTypes.map((e) => ({
+          id: e.id,
+          name: e.name,
+          objects: e.objects.map((r) => ({
+            id: r.id,
+            ocpmObjectId: r.object.id,
+            type: r.type,
+            rangeMin: r.rangeMin,
+            rangeMax: r.rangeMax,
+            ...(r.qualifier ? { qualifier: r.qualifier } : {}),
+          })),
+        })),
+      },
+    };
+
+    const objectObjects = {
+      ocpmRelations: {
+        events: [],
+        // every event entry, then the object types that own relations
+        objects: [...this.eventTypes, ...this.objectTypes.filter((o) => this.objectRelations.some((r) => r.owner === o))].map((owner) => ({
+          id: owner.id,
+          items: [],
+          relations: this.objectRelations
+            .filter((r) => r.owner === owner)
+            .map((r) => ({
+              id: r.id,
+              sourceEntityId: r.source.id,
+              targetEntityId: r.target.id,
+              cardinality: r.cardinality,
+              ...(r.rangeMin !== undefined ? { rangeMin: r.rangeMin } : {}),
+              ...(r.rangeMax !== undefined ? { rangeMax: r.rangeMax } : {}),
+            })),
+          name: owner.name,
+        })),
+      },
+    };
+
+    const attributeObjects = {
+      ocpmRelations: {
+        attributes: this.attributes.map((a) => ({
+          id: a.id,
+          name: a.name,
+          targetObjects: a.targets.map((t) => t.object.id),
+          available: a.targets.length > 0,
+        })),
+      },
+    };
+
+    return { entities, variants, caseTable, eventObjects, objectObjects, attributeObjects };
+  }
+
+  /** The final.json document (same shape ddgjsoncreator.js / ddg build write). */
+  toConfig() {
+    return composeConfig(this.toParts(), this.dataSetConfig);
+  }
+}
+
+module.exports = {
+  Dataset,
+  ObjectType,
+  EventType,
+  Attribute,
+  Variant,
+  RandomPaths,
+  CaseTableDimension,
+  E2ORelation,
+  O2ORelation,
+  A2ORelation,
+};
@@ -0,0 +1,147 @@
+// lib/o2oEdges.js
+// The edge-list layout of the O2O sheet: one relation per row, instead of the
+// matrix of "1" / "n" cells per activity.
+//
+//   source | target | cardinality | min | max | owner
+//   Order  | Item   | HAS_MANY    | 1   | 5   |
+//   Item   | Order  | HAS_ONE     |     |     | Item
+//   Order  | Customer | 1         |     |     | Create Order
+//
+// cardinality is HAS_ONE / HAS_MANY (also 1 / n, one / many; default
+// HAS_MANY). min/max are optional counts of targets per source. owner is the
+// entry of ocpmRelations.objects the relation belongs to: an object type, or
+// a PE2 activity as with the matrix rows (default: the source object type).
+// A row repeating owner, source, target and cardinality is dropped; with
+// another min/max it is an o2o/duplicate-edge problem. Shared by the objectObjects stage (which throws on the first problem) and
+// the linter.
+
+// Column roles → accepted header spellings (compared lowercase, alphanumerics only)
+const HEADERS = {
+  source: ["source", "sourceobject", "from"],
+  target: ["target", "targetobject", "to"],
+  cardinality: ["cardinality", "type"],
+  min: ["min", "rangemin"],
+  max: ["max", "rangemax"],
+  owner: ["owner", "belongsto"],
+};
+
+const CARDINALITIES = {
+  hasone: "HAS_ONE",
+  one: "HAS_ONE",
+  1: "HAS_ONE",
+  hasmany: "HAS_MANY",
+  many: "HAS_MANY",
+  n: "HAS_MANY",
+};
+
+const fold = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+function columnsOf(headerRow) {
+  const cols = {};
+  (headerRow || []).forEach((h, c) => {
+    for (const [key, names] of Object.entries(HEADERS)) {
+      if (cols[key] === undefined && names.includes(fold(h))) cols[key] = c;
+    }
+  });
+  return cols;
+}
+
+/** true when the O2O header row is the edge list (has source and target columns). */
+function isEdgeList(headerRow) {
+  const cols = columnsOf(headerRow);
+  return cols.source !== undefined && cols.target !== undefined;
+}
+
+/**
+ * parseO2OEdges(rows) -> { edges, problems }
+ * rows: the sheet as arrays (header row first).
+ * edges: [{ source, target, cardinality, min, max, owner, row, cols }] with
+ *   min/max null when not given, owner null for the source object type and
+ *   row/cols (column index per role) 0-based into rows.
+ * problems: { code, row, col, message } with the lint codes of lib/lint.js.
+ */
+function parseO2OEdges(rows) {
+  const edges = [];
+  const problems = [];
+  const cols = columnsOf(rows[0]);
+  const cell = (row, key) => (cols[key] === undefined ? undefined : row[cols[key]]);
+
+  const count = (row, r, key) => {
+    const v = cell(row, key);
+    if (isBlank(v)) return null;
+    const n = Number(v);
+    if (Number.isInteger(n) && n >= 0) return n;
+    problems.push({ code: "o2o/invalid-range", row: r, col: cols[key], message: `${key} "${v}" is not a whole number ≥ 0.` });
+    return null;
+  };
+
+  const seen = new Map(); // owner>source>target>cardinality → first edge
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r] || [];
+    const source = cell(row, "source");
+    const target = cell(row, "target");
+    if (isBlank(source) && isBlank(target)) continue;
+    if (isBlank(source) || isBlank(target)) {
+      problems.push({
+        code: "o2o/incomplete-row",
+        row: r,
+        col: cols[isBlank(source) ? "source" : "target"],
+        message: `Row ${r + 1} has no ${isBlank(source) ? "source" : "target"} object; it is ignored.`,
+      });
+      continue;
+    }
+
+    const rawCardinality = cell(row, "cardinality");
+    const cardinality = isBlank(rawCardinality) ? "HAS_MANY" : CARDINALITIES[fold(rawCardinality)];
+    if (!cardinality) {
+      problems.push({
+        code: "o2o/invalid-cardinality",
+        row: r,
+        col: cols.cardinality,
+        message: `Cardinality "${rawCardinality}" is neither HAS_ONE nor HAS_MANY.`,
+      });
+      continue;
+    }
+
+    const min = count(row, r, "min");
+    const max = count(row, r, "max");
+    if (min !== null && max !== null && min > max) {
+      problems.push({ code: "o2o/invalid-range", row: r, col: cols.max, message: `max ${max} is below min ${min}.` });
+    }
+    if (cardinality === "HAS_ONE" && max !== null && max > 1) {
+      problems.push({ code: "o2o/invalid-range", row: r, col: cols.max, message: `HAS_ONE allows at most 1 target, not ${max}.` });
+    }
+
+    const owner = cell(row, "owner");
+    const key = [isBlank(owner) ? source : owner, source, target].map(fold).concat(cardinality).join(">");
+    const first = seen.get(key);
+    if (first) {
+      if (first.min !== min || first.max !== max) {
+        const range = (e) => `${e.min ?? ""}..${e.max ?? ""}`;
+        problems.push({
+          code: "o2o/duplicate-edge",
+          row: r,
+          col: cols[first.min !== min ? "min" : "max"] ?? cols.source,
+          message: `${String(source).trim()} → ${String(target).trim()} (${cardinality}) repeats row ${first.row + 1} with range ${range({ min, max })} instead of ${range(first)}.`,
+        });
+      }
+      continue;
+    }
+    const edge = {
+      source: String(source).trim(),
+      target: String(target).trim(),
+      cardinality,
+      min,
+      max,
+      owner: isBlank(owner) ? null : String(owner).trim(),
+      row: r,
+      cols,
+    };
+    seen.set(key, edge);
+    edges.push(edge);
+  }
+  return { edges, problems };
+}
+
+module.exports = { isEdgeList, parseO2OEdges, O2O_EDGE_HEADERS: HEADERS };
@@ -0,0 +1,374 @@
+// lib/ocel.js
+// OCEL 2.0 in both directions. Reading: derives the input workbook from a log
+// (JSON or XML): object types and their attributes (A2O), event types with the
+// number of objects of each type per event (PE2) and their qualifiers
+// (PE2_Qualifiers), the object-to-object relations (O2O) and the General
+// period. Variants are left to ddg discover-variants. Writing: turns a final.json into an OCEL 2.0 JSON
+// skeleton — the types plus a small sample log that follows the variants.
+
+const fs = require("fs");
+const path = require("path");
+const xlsx = require("xlsx");
+const { parseXml, findAll, childrenOf } = require("./xml");
+const { sanitizeName } = require("./stages/entities");
+const { toYyyymmdd } = require("./exportWorkbook");
+const { UNIT_MS } = require("./discover");
+const { parseQualifier, QUALIFIERS_SHEET } = require("./qualifiers");
+
+// ---------- Reading ----------
+
+const list = (v) => (Array.isArray(v) ? v : []);
+
+function fromJson(doc, file) {
+  if (!doc || !Array.isArray(doc.events) || !Array.isArray(doc.objects)) {
+    throw new Error(`${file}: not an OCEL 2.0 JSON log (expected "events" and "objects" arrays).`);
+  }
+  const types = (entries) => list(entries).map((t) => ({ name: String(t.name), attributes: list(t.attributes).map((a) => String(a.name)) }));
+  const relations = (entry) => list(entry.relationships).map((r) => ({ objectId: String(r.objectId), qualifier: r.qualifier || "" }));
+  return {
+    objectTypes: types(doc.objectTypes),
+    eventTypes: types(doc.eventTypes),
+    objects: doc.objects.map((o) => ({ id: String(o.id), type: String(o.type), relationships: relations(o) })),
+    events: doc.events.map((e) => ({ id: String(e.id), type: String(e.type), time: Date.parse(e.time), relationships: relations(e) })),
+  };
+}
+
+function fromXml(text, file) {
+  const root = parseXml(text);
+  if (root.local !== "log") throw new Error(`${file}: not an OCEL 2.0 XML log (root element <${root.name}>).`);
+  const section = (name) => childrenOf(root, name)[0] || { children: [] };
+  const types = (name, tag) =>
+    childrenOf(section(name), tag).map((t) => ({
+      name: t.attrs.name,
+      attributes: findAll(t, "attribute").map((a) => a.attrs.name),
+    }));
+  const relations = (el) =>
+    childrenOf(el, "objects").flatMap((o) =>
+      childrenOf(o, "relationship").map((r) => ({ objectId: r.attrs["object-id"], qualifier: r.attrs.qualifier || "" }))
+    );
+  return {
+    objectTypes: types("object-types", "object-type"),
+    eventTypes: types("event-types", "event-type"),
+    objects: childrenOf(section("objects"), "object").map((o) => ({ id: o.attrs.id, type: o.attrs.type, relationships: relations(o) })),
+    events: childrenOf(section("events"), "event").map((e) => ({
+      id: e.attrs.id,
+      type: e.attrs.type,
+      time: Date.parse(e.attrs.time),
+      relationships: relations(e),
+    })),
+  };
+}
+
+/**
+ * readOcel(file) -> { objectTypes, eventTypes, objects, events }
+ * types: [{ name, attributes: [name] }]; objects/events carry
+ * relationships: [{ objectId, qualifier }]; event time is epoch milliseconds.
+ */
+function readOcel(file) {
+  const full = path.resolve(file);
+  if (!fs.existsSync(full)) throw new Error(`Missing OCEL file: ${full}`);
+  const text = fs.readFileSync(full, "utf8");
+  if (path.extname(full).toLowerCase() === ".xml" || text.trimStart().startsWith("<")) return fromXml(text, full);
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Failed to read/parse ${full}: ${e.message}`);
+  }
+  return fromJson(doc, full);
+}
+
+// ---------- Deriving the sheets ----------
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Attribute name that survives the stages' sanitization (A2O links are
+// matched on the raw attribute name, so it must not change)
+function safeName(name, warnings) {
+  const clean = sanitizeName(name);
+  if (clean !== name) warnings.push(`Attribute "${name}" is written as "${clean}".`);
+  return clean;
+}
+
+/**
+ * ocelToWorkbook(log, { unit, cases }) -> { workbook, warnings, summary }
+ * - unit: General Unit (default MINUTES)
+ * - cases: General Cases (default: number of objects of the type most events refer to)
+ * PE2 counts are the median number of objects of a type per event of an
+ * event type (over the events that refer to that type at all); qualifiers
+ * that read as creates/reads/updates/closes fill PE2_Qualifiers. Every O2O
+ * relation is placed on the event type whose events most often refer to
+ * both related objects.
+ */
+function ocelToWorkbook(log, { unit = "MINUTES", cases } = {}) {
+  const warnings = [];
+  const objectType = new Map(log.objects.map((o) => [o.id, o.type]));
+
+  // Types used by objects/events count even if the type lists omit them
+  const objectTypes = [...new Set([...log.objectTypes.map((t) => t.name), ...log.objects.map((o) => o.type)])];
+  const eventTypes = [...new Set([...log.eventTypes.map((t) => t.name), ...log.events.map((e) => e.type)])];
+
+  // E2O: per event type and object type, the object counts of each event
+  const counts = new Map(eventTypes.map((et) => [et, new Map()]));
+  const eventsPerType = new Map(objectTypes.map((ot) => [ot, 0]));
+  const qualifierVotes = new Map(); // "event type>object type" → Map qualifier → count
+  let unknownRefs = 0;
+  for (const ev of log.events) {
+    const perType = new Map();
+    for (const rel of ev.relationships) {
+      const type = objectType.get(rel.objectId);
+      if (!type) {
+        unknownRefs++;
+        continue;
+      }
+      perType.set(type, (perType.get(type) || 0) + 1);
+      const { qualifier } = parseQualifier(rel.qualifier);
+      if (qualifier) {
+        const key = `${ev.type}>${type}`;
+        if (!qualifierVotes.has(key)) qualifierVotes.set(key, new Map());
+        const votes = qualifierVotes.get(key);
+        votes.set(qualifier, (votes.get(qualifier) || 0) + 1);
+      }
+    }
+    for (const [type, n] of perType) {
+      const byType = counts.get(ev.type);
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push(n);
+      eventsPerType.set(type, eventsPerType.get(type) + 1);
+    }
+  }
+  if (unknownRefs) warnings.push(`${unknownRefs} event-to-object reference(s) point to unknown objects and are ignored.`);
+
+  const pe2 = [["activity", "automation", ...objectTypes]];
+  for (const et of eventTypes) {
+    const byType = counts.get(et);
+    pe2.push([
+      et,
+      null,
+      ...objectTypes.map((ot) => (byType.has(ot) ? Math.max(1, Math.round(median(byType.get(ot)))) : null)),
+    ]);
+  }
+
+  // PE2_Qualifiers: the most common qualifier that is a lifecycle one (creates, reads, ...)
+  const qualifiers = [["activity", ...objectTypes]];
+  for (const et of eventTypes) {
+    qualifiers.push([
+      et,
+      ...objectTypes.map((ot) => {
+        const votes = counts.get(et).has(ot) && qualifierVotes.get(`${et}>${ot}`);
+        return votes ? [...votes].sort((a, b) => b[1] - a[1])[0][0] : null;
+      }),
+    ]);
+  }
+
+  // A2O: object type attributes, one row per attribute name
+  const owners = new Map(); // attribute → Set of object types
+  for (const t of log.objectTypes) {
+    for (const a of t.attributes) {
+      const name = safeName(a, warnings);
+      if (!owners.has(name)) owners.set(name, new Set());
+      owners.get(name).add(t.name);
+    }
+  }
+  const a2o = [["attribute", ...objectTypes]];
+  for (const [name, types] of owners) a2o.push([name, ...objectTypes.map((ot) => (types.has(ot) ? 1 : null))]);
+  const eventAttributes = new Set(log.eventTypes.flatMap((t) => t.attributes));
+  if (eventAttributes.size) warnings.push(`Event attributes have no sheet and are left out: ${[...eventAttributes].join(", ")}.`);
+
+  // O2O: the event type that most often refers to both related objects
+  const eventsOf = new Map(); // object id → event types referring to it
+  for (const ev of log.events) {
+    for (const rel of ev.relationships) {
+      if (!eventsOf.has(rel.objectId)) eventsOf.set(rel.objectId, new Map());
+      const m = eventsOf.get(rel.objectId);
+      m.set(ev.type, (m.get(ev.type) || 0) + 1);
+    }
+  }
+  const pairs = new Map(); // "src>tgt" → Map event type → count
+  for (const o of log.objects) {
+    for (const rel of o.relationships) {
+      const target = objectType.get(rel.objectId);
+      if (!target || target === o.type) continue;
+      const key = `${o.type}>${target}`;
+      if (!pairs.has(key)) pairs.set(key, new Map());
+      const votes = pairs.get(key);
+      const mine = eventsOf.get(o.id) || new Map();
+      for (const [et] of eventsOf.get(rel.objectId) || []) {
+        if (mine.has(et)) votes.set(et, (votes.get(et) || 0) + 1);
+      }
+    }
+  }
+  const o2o = [["activity", ...objectTypes]];
+  for (const [key, votes] of pairs) {
+    const [source, target] = key.split(">");
+    const best = [...votes].sort((a, b) => b[1] - a[1])[0];
+    if (!best) {
+      warnings.push(`O2O ${source}→${target}: no event refers to both objects; the relation is left out.`);
+      continue;
+    }
+    o2o.push([best[0], ...objectTypes.map((ot) => (ot === source ? "1" : ot === target ? "n" : null))]);
+  }
+
+  // General: the log's period and the number of cases
+  const times = log.events.map((e) => e.time).filter((t) => Number.isFinite(t));
+  if (!times.length) throw new Error("The OCEL log has no event with a valid time.");
+  const caseType = [...eventsPerType].sort((a, b) => b[1] - a[1])[0];
+  const nCases = cases ?? (caseType ? log.objects.filter((o) => o.type === caseType[0]).length : log.events.length);
+  const first = new Date(times.reduce((a, b) => Math.min(a, b)));
+  const last = new Date(times.reduce((a, b) => Math.max(a, b)));
+  // End must come after Start (general/date-order): a one-day log ends the next day
+  const end = toYyyymmdd(last.getTime()) > toYyyymmdd(first.getTime())
+    ? last
+    : new Date(first.getFullYear(), first.getMonth(), first.getDate() + 1);
+  const general = [
+    ["Start", "End", "Unit", "Cases"],
+    [toYyyymmdd(first.getTime()), toYyyymmdd(end.getTime()), unit, nCases],
+  ];
+
+  const workbook = xlsx.utils.book_new();
+  const add = (name, rows) => xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), name);
+  add("General", general);
+  add("PE2", pe2);
+  if (qualifierVotes.size) add(QUALIFIERS_SHEET, qualifiers);
+  add("A2O", a2o);
+  add("O2O", o2o);
+
+  return {
+    workbook,
+    warnings,
+    summary: {
+      objectTypes: objectTypes.length,
+      eventTypes: eventTypes.length,
+      attributes: owners.size,
+      o2o: o2o.length - 1,
+      caseType: cases === undefined && caseType ? caseType[0] : null,
+    },
+  };
+}
+
+// ---------- Writing ----------
+
+// AttributeTypes type → OCEL 2.0 attribute type (untyped attributes are strings)
+const OCEL_TYPES = {
+  STRING: "string",
+  INTEGER: "integer",
+  DECIMAL: "float",
+  CURRENCY: "float",
+  DATE: "time",
+  BOOLEAN: "boolean",
+};
+
+/**
+ * configToOcel(config, { sample }) -> { ocel, warnings }
+ * objectTypes carry the attributes A2O makes available on them, with their
+ * AttributeTypes type (else string); eventTypes
+ * have no attributes. Unless sample is false, the log gets one case per
+ * variant (every event of a case at general.startDate + the step's start
+ * offset) plus one event for each event type no variant uses. An event refers
+ * to rangeMax objects of every type eventObjects links it to; the objects of a
+ * case are related as objectObjects defines (HAS_ONE: to the first target,
+ * HAS_MANY: to every target of that case, or the first rangeMax).
+ */
+function configToOcel(config, { sample = true } = {}) {
+  if (!config || typeof config !== "object") throw new Error("No config to export.");
+  const ed = config.entitiesDefinitions || {};
+  const ocpm = config.ocpmRelations || {};
+  const warnings = [];
+  const events = list(ed.events);
+  const objects = list(ed.objects);
+  const objectName = new Map(objects.map((o) => [o.id, o.name]));
+  const eventName = new Map(events.map((e) => [e.id, e.name]));
+
+  const attributeType = new Map(list(ed.attributes).map((a) => [a.id, OCEL_TYPES[a.type] || "string"]));
+  const attributesOf = new Map(objects.map((o) => [o.id, []]));
+  for (const a of list(ocpm.attributes)) {
+    const targets = list(a.targetObjects).filter((id) => attributesOf.has(id));
+    if (!a.available || !targets.length) {
+      warnings.push(`Attribute ${a.name} is on no object type and is left out.`);
+      continue;
+    }
+    for (const id of targets) attributesOf.get(id).push({ name: a.name, type: attributeType.get(a.id) || "string" });
+  }
+
+  const ocel = {
+    objectTypes: objects.map((o) => ({ name: o.name, attributes: attributesOf.get(o.id) })),
+    eventTypes: events.map((e) => ({ name: e.name, attributes: [] })),
+    objects: [],
+    events: [],
+  };
+  if (!sample) return { ocel, warnings };
+
+  const e2o = new Map(list(ocpm.events).map((e) => [e.id, list(e.objects).filter((l) => objectName.has(l.ocpmObjectId))]));
+  const o2o = list(ocpm.objects).flatMap((o) => list(o.relations));
+  const general = config.general || {};
+  const start = Number(general.startDate) || 0;
+  const unitMs = UNIT_MS[String(general.timeUnit || "MINUTES").toUpperCase()] || UNIT_MS.MINUTES;
+
+  const sampleObjects = new Map(); // id → OCEL object
+  // A case: its events in step order, the objects they create on the way
+  const addCase = (label, steps) => {
+    const byType = new Map(); // object type id → sample object ids of this case
+    const take = (typeId, n) => {
+      if (!byType.has(typeId)) byType.set(typeId, []);
+      const have = byType.get(typeId);
+      while (have.length < n) {
+        const id = `${label}:${objectName.get(typeId)}${have.length + 1}`;
+        const obj = { id, type: objectName.get(typeId), attributes: [], relationships: [] };
+        have.push(id);
+        sampleObjects.set(id, obj);
+        ocel.objects.push(obj);
+      }
+      return have.slice(0, n);
+    };
+    steps.forEach(({ eventId, offset }, i) => {
+      const relationships = (e2o.get(eventId) || []).flatMap((link) =>
+        take(link.ocpmObjectId, Math.max(1, Number(link.rangeMax ?? link.rangeMin) || 1)).map((objectId) => ({
+          objectId,
+          qualifier: link.qualifier || "",
+        }))
+      );
+      ocel.events.push({
+        id: `${label}:e${i + 1}`,
+        type: eventName.get(eventId),
+        time: new Date(start + offset * unitMs).toISOString(),
+        attributes: [],
+        relationships,
+      });
+    });
+    for (const rel of o2o) {
+      const sources = byType.get(rel.sourceEntityId) || [];
+      const targets = byType.get(rel.targetEntityId) || [];
+      if (!targets.length) continue;
+      const related = targets.slice(0, rel.cardinality === "HAS_ONE" ? 1 : rel.rangeMax ?? targets.length);
+      for (const id of sources) {
+        const { relationships } = sampleObjects.get(id);
+        for (const objectId of related) {
+          if (!relationships.some((r) => r.objectId === objectId)) relationships.push({ objectId, qualifier: "" });
+        }
+      }
+    }
+  };
+
+  const used = new Set();
+  const variants = list((config.variants || {}).items);
+  variants.forEach((v, i) => {
+    const steps = list(v.items)
+      .filter((step) => eventName.has(step.referencedId))
+      .map((step) => ({ eventId: step.referencedId, offset: Number(step.startDate) || 0 }));
+    if (!steps.length) {
+      warnings.push(`Variant ${v.name} has no step on a known event and is left out of the sample.`);
+      return;
+    }
+    for (const step of steps) used.add(step.eventId);
+    addCase(v.name || `variant${i + 1}`, steps);
+  });
+  const unused = events.filter((e) => !used.has(e.id));
+  unused.forEach((e, i) => addCase(`${e.name}-only`, [{ eventId: e.id, offset: i }]));
+  return { ocel, warnings };
+}
+
+module.exports = { readOcel, ocelToWorkbook, configToOcel };
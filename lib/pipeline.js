@@ -0,0 +1,107 @@
+// lib/pipeline.js
+// Runs the build stages in order against one in-memory model. Each stage's
+// output is stored under its own key (model.entities, model.variants, ...) in
+// exactly the shape the legacy scripts write to <stage>.json.
+
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJson } = require("./io");
+const { buildEntities } = require("./stages/entities");
+const { buildVariants } = require("./stages/variants");
+const { buildCaseTable } = require("./stages/caseTable");
+const { buildEventObjects } = require("./stages/eventObjects");
+const { buildObjectObjects } = require("./stages/objectObjects");
+const { buildAttributeObjects } = require("./stages/attributeObjects");
+const { composeConfig } = require("./compose");
+const { randomIds } = require("./ids");
+
+// ---------- Stage registry (in run order) ----------
+// needs: model keys that must be present before the stage runs
+// uses:  model keys that are read when present
+const STAGES = [
+  { name: "entities", needs: [], run: (wb, m, ids) => buildEntities(wb, ids) },
+  { name: "variants", needs: ["entities"], run: (wb, m, ids) => buildVariants(wb, m.entities, ids) },
+  { name: "caseTable", needs: ["entities"], uses: ["variants"], run: (wb, m, ids) => buildCaseTable(wb, m.entities, m.variants, ids) },
+  { name: "eventObjects", needs: ["entities"], run: (wb, m, ids) => buildEventObjects(wb, m.entities, ids) },
+  { name: "objectObjects", needs: ["entities"], run: (wb, m, ids) => buildObjectObjects(wb, m.entities, ids) },
+  { name: "attributeObjects", needs: ["entities"], run: (wb, m) => buildAttributeObjects(wb, m.entities) },
+];
+
+const COMPOSE_STEP = "compose";
+const STAGE_NAMES = STAGES.map((s) => s.name);
+const ALL_STEPS = [...STAGE_NAMES, COMPOSE_STEP];
+
+function parseSteps(raw) {
+  if (!raw || raw === true) return ALL_STEPS.slice();
+  const requested = String(raw).split(",").map((s) => s.trim()).filter(Boolean);
+  const unknown = requested.filter((s) => !ALL_STEPS.includes(s));
+  if (unknown.length) {
+    throw new Error(`Unknown step(s): ${unknown.join(", ")}. Valid steps: ${ALL_STEPS.join(", ")}`);
+  }
+  // keep canonical order regardless of how they were listed
+  return ALL_STEPS.filter((s) => requested.includes(s));
+}
+
+// Load a stage output that was not selected in --steps from the --from directory
+function loadFromDir(dir, key) {
+  if (!dir) return null;
+  const file = path.join(dir, `${key}.json`);
+  if (!fs.existsSync(file)) return null;
+  console.log(`↪ Using ${file} for "${key}"`);
+  return readJson(file);
+}
+
+function ensureInput(model, key, opts, requiredBy) {
+  if (model[key]) return;
+  const loaded = loadFromDir(opts.from, key);
+  if (loaded) {
+    model[key] = loaded;
+    return;
+  }
+  throw new Error(
+    `Step "${requiredBy}" needs the output of "${key}". ` +
+      `Add "${key}" to --steps or pass --from <dir> containing ${key}.json.`
+  );
+}
+
+/**
+ * runPipeline(workbook, opts)
+ * - opts.steps: array of step names (defaults to every stage plus "compose")
+ * - opts.from: directory to read outputs of unselected stages from
+ * - opts.emitIntermediates: directory to write each stage output to
+ * - opts.dataSet: { id, name, dataPool, dataModel } used by "compose"
+ * - opts.ids: ID generator from lib/ids.js (default: random uuidv4)
+ * Returns { model, config } where config is null when "compose" did not run.
+ */
+function runPipeline(workbook, opts = {}) {
+  const steps = opts.steps || ALL_STEPS;
+  const ids = opts.ids || randomIds;
+  const model = {};
+
+  for (const stage of STAGES) {
+    if (!steps.includes(stage.name)) continue;
+    for (const key of stage.needs) ensureInput(model, key, opts, stage.name);
+    for (const key of stage.uses || []) {
+      if (!model[key]) model[key] = loadFromDir(opts.from, key);
+    }
+
+    console.log(`▶ ${stage.name}`);
+    model[stage.name] = stage.run(workbook, model, ids);
+
+    if (opts.emitIntermediates) {
+      const out = writeJson(path.join(opts.emitIntermediates, `${stage.name}.json`), model[stage.name]);
+      console.log(`  wrote ${out}`);
+    }
+  }
+
+  let config = null;
+  if (steps.includes(COMPOSE_STEP)) {
+    for (const key of STAGE_NAMES) ensureInput(model, key, opts, COMPOSE_STEP);
+    console.log(`▶ ${COMPOSE_STEP}`);
+    config = composeConfig(model, opts.dataSet);
+  }
+
+  return { model, config };
+}
+
+module.exports = { runPipeline, parseSteps, STAGE_NAMES, ALL_STEPS };
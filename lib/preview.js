@@ -0,0 +1,347 @@
+// lib/preview.js
+// Simulates a final.json locally: a few hundred cases drawn the way a
+// generation job would draw them, so the variants, timings, case-table
+// distributions and E2O ranges can be looked at before a job is spent on
+// them. Seeded, so the same seed gives the same sample.
+
+const xlsx = require("xlsx");
+const { UNIT_MS } = require("./discover");
+const { configToOcel } = require("./ocel");
+
+const list = (v) => (Array.isArray(v) ? v : []);
+
+// ---------- Random numbers ----------
+
+/** Seeded generator (mulberry32): next() in [0, 1), int, normal, pick. */
+function createRng(seed) {
+  let state = Number(seed) >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    /** integer in [min, max] */
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    /** standard normal (Box-Muller) */
+    normal: () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()),
+    /** index drawn by weight; uniform when no weight is positive */
+    pick(weights) {
+      const total = weights.reduce((sum, w) => sum + (w > 0 ? w : 0), 0);
+      if (total <= 0) return Math.floor(next() * weights.length);
+      let r = next() * total;
+      for (let i = 0; i < weights.length; i++) {
+        if (weights[i] > 0 && (r -= weights[i]) < 0) return i;
+      }
+      return weights.length - 1;
+    },
+  };
+}
+
+/**
+ * Duration of a step in time units: drawn from its timing (lib/timing.js
+ * shapes) or the fixed end - start; bounded by min/max and never negative.
+ */
+function sampleDuration(timing, fixed, rng) {
+  if (!timing) return Math.max(0, fixed);
+  const { type, min, max, mean, std } = timing;
+  let d;
+  switch (String(type).toUpperCase()) {
+    case "UNIFORM":
+      d = (min ?? 0) + rng.next() * ((max ?? min ?? 0) - (min ?? 0));
+      break;
+    case "NORMAL":
+      d = mean + std * rng.normal();
+      break;
+    case "LOGNORMAL": {
+      const sigma2 = Math.log(1 + (std * std) / (mean * mean));
+      d = Math.exp(Math.log(mean) - sigma2 / 2 + Math.sqrt(sigma2) * rng.normal());
+      break;
+    }
+    default:
+      d = mean ?? fixed;
+  }
+  if (min !== undefined) d = Math.max(min, d);
+  if (max !== undefined) d = Math.min(max, d);
+  return Math.max(0, d);
+}
+
+// ---------- Paths ----------
+
+// Variants and the random paths of randomConfigs, each with its case weight
+function casePaths(config, rng) {
+  const events = new Map(list((config.entitiesDefinitions || {}).events).map((e) => [e.id, e]));
+  const v = config.variants || {};
+  const paths = list(v.items).map((variant) => ({
+    id: variant.id,
+    name: variant.name,
+    weight: Number(variant.frequency) || 0,
+    steps: list(variant.items).map((s) => ({
+      eventId: s.referencedId,
+      start: Number(s.startDate) || 0,
+      end: Number(s.endDate) || 0,
+      automation: s.automation,
+      timing: s.timing || null,
+    })),
+  }));
+
+  for (const rc of list(v.randomConfigs)) {
+    const items = list(rc.items).filter((i) => events.has(i.referencedId));
+    const n = Math.max(1, Number(rc.nVariants) || 1);
+    if (!items.length) continue;
+    for (let k = 0; k < n; k++) {
+      const lo = Math.max(1, Number(rc.minLength) || 1);
+      const hi = Math.max(lo, Number(rc.maxLength) || items.length);
+      const length = rng.int(lo, hi);
+      const steps = [];
+      for (let i = 0; i < length; i++) {
+        const item = items[rng.pick(items.map((it) => Number(it.weight) || 0))];
+        steps.push({ eventId: item.referencedId, start: i, end: i + 1, automation: item.automation, timing: null });
+      }
+      paths.push({ id: rc.id, name: `${rc.name}${n > 1 ? `#${k + 1}` : ""}`, weight: (Number(rc.frequency) || 0) / n, steps });
+    }
+  }
+  return paths;
+}
+
+// ---------- Case attributes ----------
+
+// Weight of a dimension item for a case: the column of the case's variant,
+// else of an attribute value the case already has, else stdDistribution
+function itemWeights(dim, path, values) {
+  const columns = list(dim.distributionItems).filter(
+    (d) =>
+      (d.type === "VARIANT" && d.referencedId === path.id) ||
+      (d.type === "ATTRIBUTE" && values.has(d.referencedId) && (!d.referencedItemId || values.get(d.referencedId).id === d.referencedItemId))
+  );
+  const column = columns.find((d) => d.type === "VARIANT") || columns[0];
+  return list(dim.items).map((item) => {
+    const dist = column && list(item.distributions).find((d) => d.distributionItemId === column.id);
+    const w = dist && dist.value !== null ? dist.value : item.stdDistribution;
+    return Number(w) || 0;
+  });
+}
+
+// Value of a typed attribute (AttributeTypes): numbers from their distribution
+// rounded to their decimals, dates as ISO timestamps, booleans by probability
+function sampleTypedValue(attribute, rng) {
+  const g = attribute.generation || {};
+  if (attribute.type === "BOOLEAN") return rng.next() < (g.probability ?? 0.5);
+  if (attribute.type === "DATE") return iso(g.min + Math.floor(rng.next() * (g.max - g.min + 1)));
+  const factor = 10 ** (g.decimals ?? 2);
+  return Math.round(sampleDuration(g, 0, rng) * factor) / factor;
+}
+
+// ---------- Simulation ----------
+
+/**
+ * simulate(config, { cases, seed }) ->
+ *   { cases, events, objects, e2o, o2o, dimensions, warnings }
+ * - cases: [{ id, variant, start, values: { dimension: value } }], typed
+ *   attributes (AttributeTypes) drawn from their generation
+ * - events: [{ id, case, activity, start, end, automated }] (times in epoch ms)
+ * - objects: [{ id, type, case, attributes: { name: value } }]
+ * - e2o: [{ event, object, type, qualifier }]; o2o: [{ source, target }]
+ * Each case picks a path by frequency and starts uniformly between the
+ * general start and end date. Steps start at their offset (later steps move
+ * by how much earlier timed steps ran over) and take their drawn duration.
+ * Every event refers to rangeMin..rangeMax objects of each linked type; the
+ * objects of a type are shared within a case and related as O2O defines
+ * (HAS_ONE: the first target, HAS_MANY: every target, or rangeMin..rangeMax
+ * of them when the relation has a range).
+ */
+function simulate(config, { cases = 100, seed = 1 } = {}) {
+  if (!config || typeof config !== "object") throw new Error("No config to preview.");
+  const rng = createRng(seed);
+  const warnings = [];
+  const ed = config.entitiesDefinitions || {};
+  const ocpm = config.ocpmRelations || {};
+  const general = config.general || {};
+  const unitMs = UNIT_MS[String(general.timeUnit || "MINUTES").toUpperCase()];
+  if (!unitMs) throw new Error(`Unknown general.timeUnit "${general.timeUnit}".`);
+  const startDate = Number(general.startDate);
+  const endDate = Number(general.endDate);
+  if (!Number.isFinite(startDate) || !Number.isFinite(endDate) || endDate < startDate) {
+    throw new Error("general.startDate/endDate are missing or out of order.");
+  }
+
+  const events = new Map(list(ed.events).map((e) => [e.id, e]));
+  const objectName = new Map(list(ed.objects).map((o) => [o.id, o.name]));
+  const e2oOf = new Map(list(ocpm.events).map((e) => [e.id, list(e.objects).filter((l) => objectName.has(l.ocpmObjectId))]));
+  const o2o = list(ocpm.objects).flatMap((o) => list(o.relations));
+  const dims = list((config.caseTableCreator || {}).selectedDimensions).filter((d) => list(d.items).length);
+  const typed = list(ed.attributes).filter((a) => a.type && a.type !== "STRING" && a.generation);
+  // attribute id → { name, object type ids }, for the case values that land on objects
+  const attributeTargets = new Map(
+    list(ocpm.attributes).filter((a) => a.available).map((a) => [a.id, { name: a.name, targets: list(a.targetObjects) }])
+  );
+
+  const paths = casePaths(config, rng).filter((p) => {
+    const unknown = p.steps.filter((s) => !events.has(s.eventId));
+    if (unknown.length) warnings.push(`Variant ${p.name}: ${unknown.length} step(s) on unknown events are skipped.`);
+    p.steps = p.steps.filter((s) => events.has(s.eventId));
+    const backwards = p.steps.filter((s) => !s.timing && s.end < s.start);
+    if (backwards.length) {
+      const names = [...new Set(backwards.map((s) => events.get(s.eventId).name))];
+      warnings.push(`Variant ${p.name}: ${backwards.length} step(s) end before they start (${names.join(", ")}); they take no time.`);
+    }
+    return p.steps.length;
+  });
+  if (!paths.length) throw new Error("No variant or random config with steps on known events to simulate.");
+
+  const dimensions = [...dims.map((d) => d.name), ...typed.map((a) => a.name)];
+  const out = { cases: [], events: [], objects: [], e2o: [], o2o: [], dimensions, warnings };
+  const weights = paths.map((p) => p.weight);
+
+  for (let c = 1; c <= cases; c++) {
+    const caseId = `case${c}`;
+    const path = paths[rng.pick(weights)];
+    const caseStart = startDate + Math.floor(rng.next() * (endDate - startDate));
+
+    const values = new Map(); // dimension id → item
+    for (const dim of dims) values.set(dim.id, dim.items[rng.pick(itemWeights(dim, path, values))]);
+    const typedValues = new Map(typed.map((a) => [a.id, sampleTypedValue(a, rng)]));
+    out.cases.push({
+      id: caseId,
+      variant: path.name,
+      start: caseStart,
+      values: Object.fromEntries([
+        ...dims.map((d) => [d.name, values.get(d.id).value]),
+        ...typed.map((a) => [a.name, typedValues.get(a.id)]),
+      ]),
+    });
+
+    // objects of this case by type, created on first reference
+    const byType = new Map();
+    const take = (typeId, n) => {
+      if (!byType.has(typeId)) byType.set(typeId, []);
+      const have = byType.get(typeId);
+      while (have.length < n) {
+        const attributes = {};
+        for (const dim of dims) {
+          const attribute = attributeTargets.get(dim.referencedId);
+          if (attribute && attribute.targets.includes(typeId)) attributes[attribute.name] = values.get(dim.id).value;
+        }
+        for (const [id, value] of typedValues) {
+          const attribute = attributeTargets.get(id);
+          if (attribute && attribute.targets.includes(typeId)) attributes[attribute.name] = value;
+        }
+        const obj = { id: `${caseId}:${objectName.get(typeId)}${have.length + 1}`, type: objectName.get(typeId), case: caseId, attributes };
+        have.push(obj.id);
+        out.objects.push(obj);
+      }
+      return have.slice(0, n);
+    };
+
+    let shift = 0;
+    path.steps.forEach((step, i) => {
+      const planned = Math.max(0, step.end - step.start);
+      const duration = sampleDuration(step.timing, planned, rng);
+      const start = caseStart + (step.start + shift) * unitMs;
+      shift += duration - planned;
+      const eventId = `${caseId}:e${i + 1}`;
+      out.events.push({
+        id: eventId,
+        case: caseId,
+        activity: events.get(step.eventId).name,
+        start,
+        end: start + duration * unitMs,
+        automated: rng.next() * 100 < (Number(step.automation) || 0),
+      });
+      for (const link of e2oOf.get(step.eventId) || []) {
+        const lo = Math.max(0, Number(link.rangeMin ?? link.rangeMax) || 0);
+        const hi = Math.max(lo, Number(link.rangeMax ?? link.rangeMin) || 0);
+        for (const objectId of take(link.ocpmObjectId, rng.int(lo, hi))) {
+          out.e2o.push({ event: eventId, object: objectId, type: link.type || "", qualifier: link.qualifier || "" });
+        }
+      }
+    });
+
+    const seen = new Set();
+    for (const rel of o2o) {
+      const targets = byType.get(rel.targetEntityId) || [];
+      const hasRange = rel.rangeMin !== undefined || rel.rangeMax !== undefined;
+      for (const source of byType.get(rel.sourceEntityId) || []) {
+        let n = targets.length;
+        if (rel.cardinality === "HAS_ONE") n = 1;
+        else if (hasRange) n = rng.int(rel.rangeMin ?? 0, rel.rangeMax ?? Math.max(rel.rangeMin, targets.length));
+        for (const target of targets.slice(0, n)) {
+          if (seen.has(`${source}>${target}`)) continue;
+          seen.add(`${source}>${target}`);
+          out.o2o.push({ source, target });
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// ---------- Output ----------
+
+const iso = (millis) => new Date(millis).toISOString();
+
+/** The simulation as sheets cases, events, objects, e2o and o2o (for saveWorkbook). */
+function previewWorkbook(sim) {
+  const attributeNames = [...new Set(sim.objects.flatMap((o) => Object.keys(o.attributes)))];
+  const tables = {
+    cases: [["case", "variant", "start", ...sim.dimensions], ...sim.cases.map((c) => [c.id, c.variant, iso(c.start), ...sim.dimensions.map((d) => c.values[d])])],
+    events: [
+      ["event", "case", "activity", "start", "end", "automated"],
+      ...sim.events.map((e) => [e.id, e.case, e.activity, iso(e.start), iso(e.end), e.automated]),
+    ],
+    objects: [["object", "type", "case", ...attributeNames], ...sim.objects.map((o) => [o.id, o.type, o.case, ...attributeNames.map((a) => o.attributes[a] ?? null)])],
+    e2o: [["event", "object", "type", "qualifier"], ...sim.e2o.map((r) => [r.event, r.object, r.type, r.qualifier])],
+    o2o: [["source", "target"], ...sim.o2o.map((r) => [r.source, r.target])],
+  };
+  const workbook = xlsx.utils.book_new();
+  for (const [name, rows] of Object.entries(tables)) xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), name);
+  return workbook;
+}
+
+/**
+ * The simulation as an OCEL 2.0 JSON log, with the types of configToOcel.
+ * Events carry their case and variant as attributes; objects carry the case
+ * values of the dimensions A2O puts on their type.
+ */
+function previewOcel(config, sim) {
+  const { ocel } = configToOcel(config, { sample: false });
+  const variantOf = new Map(sim.cases.map((c) => [c.id, c.variant]));
+  const created = new Map();
+  const e2oByEvent = new Map();
+  for (const r of sim.e2o) {
+    if (!e2oByEvent.has(r.event)) e2oByEvent.set(r.event, []);
+    e2oByEvent.get(r.event).push({ objectId: r.object, qualifier: r.qualifier });
+  }
+  for (const e of sim.events) {
+    for (const r of e2oByEvent.get(e.id) || []) if (!created.has(r.objectId)) created.set(r.objectId, e.start);
+  }
+  const o2oBySource = new Map();
+  for (const r of sim.o2o) {
+    if (!o2oBySource.has(r.source)) o2oBySource.set(r.source, []);
+    o2oBySource.get(r.source).push({ objectId: r.target, qualifier: "" });
+  }
+
+  for (const t of ocel.eventTypes) t.attributes.push({ name: "case", type: "string" }, { name: "variant", type: "string" });
+  ocel.events = sim.events.map((e) => ({
+    id: e.id,
+    type: e.activity,
+    time: iso(e.start),
+    attributes: [
+      { name: "case", value: e.case },
+      { name: "variant", value: variantOf.get(e.case) },
+    ],
+    relationships: e2oByEvent.get(e.id) || [],
+  }));
+  ocel.objects = sim.objects.map((o) => ({
+    id: o.id,
+    type: o.type,
+    attributes: Object.entries(o.attributes).map(([name, value]) => ({ name, time: iso(created.get(o.id) ?? 0), value })),
+    relationships: o2oBySource.get(o.id) || [],
+  }));
+  return ocel;
+}
+
+module.exports = { createRng, sampleDuration, simulate, previewWorkbook, previewOcel };
@@ -0,0 +1,221 @@
+// lib/projectConfig.js
+// ddg.config.json: maps a team's own sheet names, sheet prefixes and header
+// labels onto the roles the stages read ("General", "PE2", "Variant_",
+// "activity", ...) and sets the default file paths. The workbook is renamed
+// to the canonical names right after loading, so the stages and the linter
+// never see the team's naming; export-workbook renames the other way.
+//
+// {
+//   "paths":    { "input": "modell.xlsx", "output": "final.json" },
+//   "sheets":   { "General": "Allgemein", "PE2": "Ereignisse" },
+//   "prefixes": { "Variant_": "Variante_", "CaseTable_": "Fall_" },
+//   "headers":  { "activity": ["Aktivität", "Tätigkeit"], "Cases": "Fälle" }
+// }
+
+const fs = require("fs");
+const path = require("path");
+const xlsx = require("xlsx");
+
+const CONFIG_FILE = "ddg.config.json";
+
+// Canonical names per section; the config maps each of them to one or more aliases
+const ROLES = {
+  sheets: ["General", "PE2", "PE2_Qualifiers", "A2O", "AttributeTypes", "O2O", "RandomConfig"],
+  prefixes: ["Variant_", "CaseTable_", "Metadata_", "Attribute_"],
+  headers: [
+    "activity", "automation", "duration", "cost", "resource", "department", "manual",
+    "attribute", "Start", "End", "Unit", "Cases", "MaxObjects",
+    "type", "distribution", "min", "max", "mean", "std", "decimals", "currency", "probability",
+    "name", "frequency", "variants", "minLength", "maxLength", "weight",
+    "source", "target", "cardinality", "owner",
+  ],
+};
+
+const DEFAULT_PATHS = {
+  input: "input.xlsx",
+  output: "final.json",
+  intermediates: null,
+  deployReport: null, // next to the output
+  jobReport: null, // next to the output
+};
+
+// Sheets whose first row holds the header labels (Variant_ for the timing columns)
+const HEADER_SHEETS = ["General", "PE2", "PE2_Qualifiers", "A2O", "AttributeTypes", "O2O", "RandomConfig"];
+const HEADER_PREFIXES = ["Variant_"];
+
+// ---------- Helpers ----------
+const fold = (s) => String(s ?? "").trim().toLowerCase();
+const aliasList = (v) => (Array.isArray(v) ? v : [v]).map((a) => String(a)).filter((a) => a.trim() !== "");
+
+function validate(config, file) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${file}: expected a JSON object.`);
+  }
+  const known = ["paths", ...Object.keys(ROLES)];
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) throw new Error(`${file}: unknown section "${key}" (use ${known.join(", ")}).`);
+  }
+  for (const [section, roles] of Object.entries(ROLES)) {
+    for (const role of Object.keys(config[section] || {})) {
+      if (!roles.includes(role)) {
+        throw new Error(`${file}: unknown ${section} role "${role}" (use ${roles.join(", ")}).`);
+      }
+    }
+  }
+  for (const key of Object.keys(config.paths || {})) {
+    if (!(key in DEFAULT_PATHS)) {
+      throw new Error(`${file}: unknown path "${key}" (use ${Object.keys(DEFAULT_PATHS).join(", ")}).`);
+    }
+  }
+}
+
+/**
+ * loadProjectConfig(file?) -> { file, paths, sheets, prefixes, headers }
+ * - file: explicit config path (--project-config); otherwise ./ddg.config.json
+ *   when it exists, else the defaults.
+ * Paths in the file are relative to the file; aliases are lists.
+ */
+function loadProjectConfig(file) {
+  const full = path.resolve(file || CONFIG_FILE);
+  let raw = {};
+  if (fs.existsSync(full)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(full, "utf8"));
+    } catch (e) {
+      throw new Error(`Failed to read/parse ${full}: ${e.message}`);
+    }
+    validate(raw, full);
+  } else if (file) {
+    throw new Error(`Missing project config: ${full}`);
+  }
+
+  const base = path.dirname(full);
+  const paths = { ...DEFAULT_PATHS };
+  for (const [key, value] of Object.entries(raw.paths || {})) {
+    paths[key] = value === null || value === "" ? null : path.resolve(base, String(value));
+  }
+  const aliases = (section) =>
+    Object.fromEntries(Object.entries(raw[section] || {}).map(([role, v]) => [role, aliasList(v)]));
+
+  return {
+    file: fs.existsSync(full) ? full : null,
+    paths,
+    sheets: aliases("sheets"),
+    prefixes: aliases("prefixes"),
+    headers: aliases("headers"),
+  };
+}
+
+/**
+ * Fill the CLI args the user did not give from the config paths
+ * (--input, --out, --emit-intermediates). With --config the uploaded file
+ * stays the given one unless --out is passed.
+ */
+function withProjectDefaults(args, project) {
+  const out = { ...args };
+  if (out.input === undefined) out.input = project.paths.input;
+  if (out.out === undefined && out.config === undefined) out.out = project.paths.output;
+  if (out["emit-intermediates"] === undefined && project.paths.intermediates) {
+    out["emit-intermediates"] = project.paths.intermediates;
+  }
+  return out;
+}
+
+// ---------- Renaming ----------
+
+function renameSheet(wb, from, to) {
+  if (from === to) return;
+  if (wb.Sheets[to]) throw new Error(`Cannot rename sheet "${from}" to "${to}": "${to}" already exists.`);
+  wb.SheetNames[wb.SheetNames.indexOf(from)] = to;
+  wb.Sheets[to] = wb.Sheets[from];
+  delete wb.Sheets[from];
+}
+
+// Rewrite the header row (first row of the sheet's range) through fn(value) -> value
+function mapHeaderRow(sheet, fn) {
+  if (!sheet || !sheet["!ref"]) return;
+  const range = xlsx.utils.decode_range(sheet["!ref"]);
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    const addr = xlsx.utils.encode_cell({ r: range.s.r, c });
+    const cell = sheet[addr];
+    if (!cell || typeof cell.v !== "string") continue;
+    const next = fn(cell.v);
+    if (next !== cell.v) sheet[addr] = { t: "s", v: next };
+  }
+}
+
+/**
+ * Rename sheets, sheet prefixes and header cells through [from, to] pairs.
+ * toCanonical tells which side of the pairs holds the canonical names, which
+ * decide the header row to rewrite (main sheets vs CaseTable_ sheets).
+ */
+function renameWorkbook(wb, { sheets, prefixes, headers }, toCanonical) {
+  const renamed = {};
+  const roles = new Map(); // final sheet name → canonical sheet name
+  for (const name of [...wb.SheetNames]) {
+    const exact = sheets.find(([from]) => fold(from) === fold(name));
+    const prefix = prefixes.find(([from]) => fold(name).startsWith(fold(from)));
+    const next = exact ? exact[1] : prefix ? prefix[1] + name.slice(prefix[0].length) : name;
+    if (next !== name) {
+      renameSheet(wb, name, next);
+      renamed[next] = name;
+    }
+    roles.set(next, toCanonical ? next : name);
+  }
+
+  const headerFn = (v) => {
+    const hit = headers.find(([from]) => fold(from) === fold(v));
+    return hit ? hit[1] : v;
+  };
+  // CaseTable columns refer to variant and attribute sheets by prefix
+  const distributionFn = (v) => {
+    const hit = prefixes.find(([from]) => fold(v).startsWith(fold(from)));
+    return hit ? hit[1] + v.slice(hit[0].length) : v;
+  };
+  for (const [name, canonical] of roles) {
+    if (HEADER_SHEETS.includes(canonical) || HEADER_PREFIXES.some((p) => canonical.startsWith(p))) {
+      mapHeaderRow(wb.Sheets[name], headerFn);
+    }
+    else if (canonical.startsWith("CaseTable_")) mapHeaderRow(wb.Sheets[name], distributionFn);
+  }
+  return renamed;
+}
+
+const pairsOf = (aliases, toCanonical) =>
+  Object.entries(aliases).flatMap(([role, list]) =>
+    toCanonical ? list.map((alias) => [alias, role]) : list.length ? [[role, list[0]]] : []
+  );
+
+/**
+ * Rename the team's sheets and headers to the canonical roles. Returns
+ * { canonical: original } for every renamed sheet (used to report findings
+ * under the names the team knows).
+ */
+function applyAliases(wb, project) {
+  const renamed = renameWorkbook(
+    wb,
+    { sheets: pairsOf(project.sheets, true), prefixes: pairsOf(project.prefixes, true), headers: pairsOf(project.headers, true) },
+    true
+  );
+  wb.Aliases = renamed;
+  return renamed;
+}
+
+/** The reverse of applyAliases: canonical names → the first alias of each role. */
+function toProjectNames(wb, project) {
+  return renameWorkbook(
+    wb,
+    { sheets: pairsOf(project.sheets, false), prefixes: pairsOf(project.prefixes, false), headers: pairsOf(project.headers, false) },
+    false
+  );
+}
+
+module.exports = {
+  loadProjectConfig,
+  withProjectDefaults,
+  applyAliases,
+  toProjectNames,
+  CONFIG_FILE,
+  ROLES,
+  DEFAULT_PATHS,
+};
@@ -0,0 +1,129 @@
+// lib/qualifiers.js
+// E2O qualifiers: how an event touches the objects it refers to. The optional
+// PE2_Qualifiers sheet has the PE2 layout (activity in column A, one column per
+// object, matched by header name) with one qualifier per cell:
+//
+//   activity      | Order   | Item    | Invoice
+//   Create Order  | creates | creates |
+//   Change Item   | reads   | updates |
+//   Send Invoice  | closes  |         | creates
+//
+// Qualifiers are creates, reads, updates and closes (also create, read,
+// updated, closed, ...). They land on the ocpmRelations.events[].objects
+// entries and drive the lifecycle checks along each variant: an object type
+// is not read, updated or closed before the step that creates it, not updated
+// or closed by a variant that never creates it, and not used after the step
+// that closes it. Shared by the eventObjects stage (which throws on invalid
+// qualifiers) and the linter.
+
+const xlsx = require("xlsx");
+
+const QUALIFIERS_SHEET = "PE2_Qualifiers";
+const QUALIFIERS = ["creates", "reads", "updates", "closes"];
+
+// folded spelling → qualifier
+const SPELLINGS = {
+  create: "creates", creates: "creates", created: "creates",
+  read: "reads", reads: "reads",
+  update: "updates", updates: "updates", updated: "updates",
+  close: "closes", closes: "closes", closed: "closes",
+};
+
+const fold = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+/**
+ * parseQualifier(raw) -> { qualifier, problem }
+ * qualifier: one of QUALIFIERS or null (blank); problem: { code, message } or null.
+ */
+function parseQualifier(raw) {
+  if (isBlank(raw)) return { qualifier: null, problem: null };
+  const qualifier = SPELLINGS[fold(raw)];
+  if (qualifier) return { qualifier, problem: null };
+  return {
+    qualifier: null,
+    problem: { code: "qualifier/invalid", message: `Qualifier "${raw}" is not one of ${QUALIFIERS.join(", ")}.` },
+  };
+}
+
+/**
+ * readQualifiers(workbook) -> { qualifiers, problems, rows }
+ * qualifiers: Map(folded activity → Map(folded object header → { qualifier,
+ *   object, row, col })), empty without the sheet; object is the header text.
+ * rows: the sheet as arrays (header row first).
+ * problems: { code, row, col, message } for invalid cells, 0-based into rows.
+ * Columns headed "automation" are skipped, so a copy of PE2 can be filled in.
+ */
+function readQualifiers(workbook) {
+  const qualifiers = new Map();
+  const problems = [];
+  const sheet = workbook.Sheets[QUALIFIERS_SHEET];
+  if (!sheet) return { qualifiers, problems, rows: [] };
+
+  const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: "", blankrows: true, raw: true });
+  const header = rows[0] || [];
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r] || [];
+    if (isBlank(row[0])) continue;
+    const cells = new Map();
+    for (let c = 1; c < row.length; c++) {
+      if (isBlank(header[c]) || fold(header[c]) === "automation") continue;
+      const { qualifier, problem } = parseQualifier(row[c]);
+      if (problem) problems.push({ ...problem, row: r, col: c });
+      if (qualifier) cells.set(fold(header[c]), { qualifier, object: String(header[c]).trim(), row: r, col: c });
+    }
+    qualifiers.set(fold(row[0]), cells);
+  }
+  return { qualifiers, problems, rows };
+}
+
+/** Qualifier of activity → object in readQualifiers' map, or null. */
+function qualifierOf(qualifiers, activity, object) {
+  const cell = qualifiers.get(fold(activity))?.get(fold(object));
+  return cell ? cell.qualifier : null;
+}
+
+/**
+ * lifecycleProblems(steps) -> problems
+ * steps: [{ activity, qualifiers: Map(object → qualifier) }] in variant order.
+ * problems: { code, step, object, message } with step the index into steps.
+ * Only qualified links count; an object type no step qualifies is not checked.
+ */
+function lifecycleProblems(steps) {
+  const problems = [];
+  const objects = new Set(steps.flatMap((s) => [...s.qualifiers.keys()]));
+  for (const object of objects) {
+    const created = steps.findIndex((s) => s.qualifiers.get(object) === "creates");
+    let closed = -1;
+    steps.forEach((s, i) => {
+      const q = s.qualifiers.get(object);
+      if (!q) return;
+      if (closed !== -1) {
+        problems.push({
+          code: "lifecycle/after-close",
+          step: i,
+          object,
+          message: `"${s.activity}" ${q} ${object} after "${steps[closed].activity}" closes it.`,
+        });
+      } else if (q !== "creates" && created > i) {
+        problems.push({
+          code: "lifecycle/before-create",
+          step: i,
+          object,
+          message: `"${s.activity}" ${q} ${object} before "${steps[created].activity}" creates it.`,
+        });
+      } else if (q !== "creates" && created === -1 && q !== "reads") {
+        problems.push({
+          code: "lifecycle/never-created",
+          step: i,
+          object,
+          message: `"${s.activity}" ${q} ${object}, but no step of the variant creates it.`,
+        });
+      }
+      if (q === "closes" && closed === -1) closed = i;
+    });
+  }
+  return problems;
+}
+
+module.exports = { parseQualifier, readQualifiers, qualifierOf, lifecycleProblems, QUALIFIERS, QUALIFIERS_SHEET };
@@ -0,0 +1,129 @@
+// lib/randomConfig.js
+// The RandomConfig sheet: settings for the random paths the generator adds
+// next to the Variant_ sheets. A row with a name starts a config; the rows
+// below it (name left empty) list further activities it may draw from:
+//
+//   name  | frequency | variants | minLength | maxLength | activity      | weight | automation
+//   Noise | 10        | 5        | 3         | 8         | Create Order  | 2      | 0.5
+//         |           |          |           |           | Approve Order | 1      |
+//   Chaos | 5         |          |           |           |               |        |
+//
+// A config without activities draws from every PE2 activity. Shared by the
+// variants stage (which throws on the first problem) and the linter.
+
+const SHEET = "RandomConfig";
+
+// Column roles → accepted header spellings (compared lowercase, alphanumerics only)
+const HEADERS = {
+  name: ["name", "config"],
+  frequency: ["frequency"],
+  variants: ["variants", "nvariants", "paths"],
+  minLength: ["minlength", "min"],
+  maxLength: ["maxlength", "max"],
+  activity: ["activity"],
+  weight: ["weight"],
+  automation: ["automation"],
+};
+
+const REQUIRED = ["name", "activity"];
+
+const fold = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+function columnsOf(headerRow) {
+  const cols = {};
+  (headerRow || []).forEach((h, c) => {
+    for (const [key, names] of Object.entries(HEADERS)) {
+      if (cols[key] === undefined && names.includes(fold(h))) cols[key] = c;
+    }
+  });
+  return cols;
+}
+
+/**
+ * parseRandomConfigRows(rows) -> { configs, problems }
+ * rows: the sheet as arrays (header row first).
+ * configs: [{ name, frequency, nVariants, minLength, maxLength, row,
+ *   activities: [{ activity, weight, automation, row, col }] }] with automation as
+ *   a 0..1 fraction and row/col as 0-based indexes into rows.
+ * problems: { code, row, col, message } with the lint codes of lib/lint.js.
+ */
+function parseRandomConfigRows(rows) {
+  const configs = [];
+  const problems = [];
+  const cols = columnsOf(rows[0]);
+  const missing = REQUIRED.filter((key) => cols[key] === undefined);
+  if (missing.length) {
+    problems.push({
+      code: "random/missing-column",
+      row: 0,
+      col: 0,
+      message: `${SHEET} has no ${missing.map((k) => `"${k}"`).join(" or ")} column.`,
+    });
+    return { configs, problems };
+  }
+
+  const number = (row, r, key, fallback) => {
+    const c = cols[key];
+    const v = c === undefined ? undefined : row[c];
+    if (isBlank(v)) return fallback;
+    const n = Number(v);
+    if (Number.isFinite(n) && n >= 0) return n;
+    problems.push({ code: "random/invalid-number", row: r, col: c, message: `${key} "${v}" is not a number ≥ 0; using ${fallback ?? "the default"}.` });
+    return fallback;
+  };
+
+  let current = null;
+  const seen = new Set();
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r] || [];
+    const name = row[cols.name];
+    const activity = row[cols.activity];
+
+    if (!isBlank(name)) {
+      const key = fold(name);
+      if (seen.has(key)) {
+        problems.push({ code: "random/duplicate-name", row: r, col: cols.name, message: `Config "${name}" is defined twice.` });
+      }
+      seen.add(key);
+      current = {
+        name: String(name).trim(),
+        frequency: number(row, r, "frequency", 0),
+        nVariants: Math.round(number(row, r, "variants", 1)),
+        minLength: Math.round(number(row, r, "minLength", 1)),
+        maxLength: number(row, r, "maxLength", null),
+        row: r,
+        activities: [],
+      };
+      if (current.maxLength !== null) current.maxLength = Math.round(current.maxLength);
+      if (current.minLength < 1) {
+        problems.push({ code: "random/invalid-length", row: r, col: cols.minLength, message: "minLength must be at least 1." });
+      }
+      if (current.maxLength !== null && current.maxLength < current.minLength) {
+        problems.push({
+          code: "random/invalid-length",
+          row: r,
+          col: cols.maxLength,
+          message: `maxLength ${current.maxLength} is below minLength ${current.minLength}.`,
+        });
+      }
+      configs.push(current);
+    }
+
+    if (isBlank(activity)) continue;
+    if (!current) {
+      problems.push({ code: "random/missing-name", row: r, col: cols.name, message: `Activity "${activity}" comes before any named config.` });
+      continue;
+    }
+    current.activities.push({
+      activity: String(activity),
+      weight: number(row, r, "weight", 1),
+      automation: number(row, r, "automation", 0.8),
+      row: r,
+      col: cols.activity,
+    });
+  }
+  return { configs, problems };
+}
+
+module.exports = { parseRandomConfigRows, RANDOM_CONFIG_SHEET: SHEET, RANDOM_CONFIG_HEADERS: HEADERS };
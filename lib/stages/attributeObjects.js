@@ -0,0 +1,91 @@
+// lib/stages/attributeObjects.js
+// Builds `ocpmRelations.attributes` (attribute-to-object links) from the A2O matrix.
+
+const xlsx = require("xlsx");
+
+function uniq(arr) {
+  return Array.from(new Set(arr));
+}
+
+function buildAttributeObjects(workbook, entities) {
+  const defs = entities.entitiesDefinitions || {};
+  const attributesSrc = defs.attributes || [];
+
+  // Some files place objects under entitiesDefinitions.objects; fall back gracefully if needed
+  const objectsSrc =
+    defs.objects ||
+    entities.objects ||
+    [];
+
+  // Build quick lookup: name -> id for objects
+  const objectNameToId = new Map(
+    objectsSrc
+      .filter(o => o && typeof o.name === "string" && typeof o.id === "string")
+      .map(o => [o.name.trim(), o.id])
+  );
+
+  // ---------- Base output structure ----------
+  const output = {
+    ocpmRelations: {
+      attributes: attributesSrc.map(attr => ({
+        id: attr.id,
+        name: attr.name,
+        targetObjects: [],
+        available: true // will be set after the A2O parse
+      }))
+    }
+  };
+
+  // ---------- Read A2O and map names ----------
+  const sheet = workbook.Sheets["A2O"];
+  if (!sheet) {
+    throw new Error("Sheet 'A2O' not found in workbook");
+  }
+  const data = xlsx.utils.sheet_to_json(sheet, { header: 1 });
+
+  // Header row (A1..): first cell is the label for column A, the rest are object NAMES
+  const headers = (data[0] || []).slice(1).map(h => (typeof h === "string" ? h.trim() : h));
+
+  // For each data row, collect target object NAMES where the cell == 1
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i] || [];
+    const attrName = (row[0] || "").toString().trim();
+    if (!attrName) continue;
+
+    const attrEntry = output.ocpmRelations.attributes.find(a => a.name === attrName);
+    if (!attrEntry) continue;
+
+    const targets = [];
+    for (let j = 1; j < row.length; j++) {
+      const cell = row[j];
+      if (cell === 1 || cell === "1") {
+        const objName = headers[j - 1];
+        if (objName) targets.push(objName);
+      }
+    }
+    attrEntry.targetObjects = uniq(targets);
+    attrEntry.available = attrEntry.targetObjects.length > 0;
+  }
+
+  // ---------- Replace target object NAMES with IDs ----------
+  for (const attr of output.ocpmRelations.attributes) {
+    const replaced = [];
+    for (const name of attr.targetObjects) {
+      const key = typeof name === "string" ? name.trim() : name;
+      const id = objectNameToId.get(key);
+      if (id) {
+        replaced.push(id);
+      } else {
+        // If no match, keep the original value but warn once
+        console.warn(`⚠️ No matching object.id for name "${key}" in entities objects[]`);
+        replaced.push(key);
+      }
+    }
+    // De-duplicate again in case multiple names mapped to same id
+    attr.targetObjects = uniq(replaced);
+  }
+
+  return output;
+}
+
+module.exports = { buildAttributeObjects };
@@ -0,0 +1,505 @@
+// lib/stages/caseTable.js
+// Builds `caseTableCreator` (selectedDimensions + dimensionList) from the
+// CaseTable_* and Metadata_* sheets, then maps dimension references onto the
+// entities attributes and the variant groups.
+
+const xlsx = require('xlsx');
+const { randomIds } = require('../ids');
+
+/* ---------- Helpers ---------- */
+
+// Clean identifier-like strings: remove ALL whitespace, keep only [A-Za-z0-9_]
+function cleanId(raw) {
+  if (raw === undefined || raw === null) return '';
+  let s = String(raw);
+  s = s.replace(/\s+/g, '');            // remove ALL whitespace
+  s = s.replace(/[^A-Za-z0-9_]/g, '');  // keep only letters, digits and underscore
+  return s;
+}
+
+// Parse numeric cells robustly -> number or null
+// If parsed numeric value is <= 0 (zero or negative), return 1
+function parseNumberOrNullCell(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw === 'number' && Number.isFinite(raw)) {
+    const n = raw;
+    return (n <= 0) ? 1 : n;
+  }
+  if (typeof raw === 'boolean') return null;
+  const s = String(raw).trim();
+  if (s === '') return null;
+  const cleaned = s.replace(/[^0-9.\-eE+]/g, '');
+  const n = Number(cleaned);
+  if (!Number.isFinite(n)) return null;
+  return (n <= 0) ? 1 : n;
+}
+
+// Preserve metadata cell value as trimmed string (if number, convert to string)
+function metadataCellValue(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw === 'number') {
+    // If metadata is numeric and <=0, convert to "1" per prior rule; otherwise stringified.
+    const n = raw;
+    const use = (n <= 0) ? 1 : n;
+    return String(use);
+  }
+  const s = String(raw).trim();
+  return s === '' ? null : s;
+}
+
+// skip-empty helper for rows/columns: return true if cell is considered empty
+function isCellEmpty(raw) {
+  return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '') || raw === '';
+}
+
+// Recursively collect all arrays named 'distributionItems' inside an object
+function collectDistributionItemsArrays(obj) {
+  const results = [];
+  if (!obj || typeof obj !== 'object') return results;
+  for (const key of Object.keys(obj)) {
+    const val = obj[key];
+    if (key === 'distributionItems' && Array.isArray(val)) {
+      results.push(val);
+    } else if (val && typeof val === 'object') {
+      results.push(...collectDistributionItemsArrays(val));
+    }
+  }
+  return results;
+}
+
+// compute column letter (A, B, C, ...) from a 1-based column number
+function colNumberToLetter(n) {
+  let s = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    s = String.fromCharCode(65 + rem) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+// UUID detection regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function findDimensionByCleanName(dims, nameRaw) {
+  const target = cleanId(nameRaw);
+  if (!target) return null;
+  return dims.find(sd => cleanId(sd.name).toUpperCase() === target.toUpperCase()) || null;
+}
+function findItemObjectInDimensionItems(dimension, valueRaw) {
+  if (!dimension || !dimension.items) return null;
+  const target = cleanId(valueRaw);
+  if (!target) return null;
+  return dimension.items.find(it => cleanId(it.value).toUpperCase() === target.toUpperCase()) || null;
+}
+
+// Remove underscores from all string values
+function sanitizeStringsInObject(obj) {
+  if (Array.isArray(obj)) {
+    return obj.map(sanitizeStringsInObject);
+  } else if (obj && typeof obj === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(obj)) {
+      out[k] = sanitizeStringsInObject(v);
+    }
+    return out;
+  } else if (typeof obj === 'string') {
+    return obj.replace(/_+/g, '').trim();
+  } else {
+    return obj;
+  }
+}
+
+/* ---------- Build selectedDimensions from CaseTable_ sheets ---------- */
+
+function buildSelectedDimensions(wb, ids) {
+  const selectedDimensions = [];
+
+  for (const sheetName of wb.SheetNames || []) {
+    if (!sheetName.startsWith('CaseTable_')) continue;
+
+    const dimNameRaw = sheetName.slice('CaseTable_'.length);
+    const dimName = cleanId(dimNameRaw) || dimNameRaw;
+
+    const sheet = wb.Sheets[sheetName];
+    const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, raw: true }) || [];
+
+    if (rows.length === 0) {
+      selectedDimensions.push({
+        id: ids('dimension', dimName),
+        name: dimName,
+        defaultItem: false,
+        items: [],
+        distributionItems: [],
+        attributeMetadataItems: [],
+        referencedId: dimName
+      });
+      continue;
+    }
+
+    // header row cleaned and skip empty header columns
+    const headerRowRaw = rows[0] || [];
+    const headerRowClean = headerRowRaw.map(h => cleanId(h));
+    // distribution headers are C onward, but skip empty ones
+    const distributionHeaders = headerRowClean.slice(2).map((h, idx) => ({ hdr: h, rawIndex: 2 + idx })).filter(x => x.hdr);
+
+    // create distributionItems from non-empty distributionHeaders
+    const distributionItems = distributionHeaders.map(hinfo => {
+      const hdrClean = hinfo.hdr || '';
+      const up = hdrClean.toUpperCase();
+
+      const dist = {
+        id: ids('distribution-item', dimName, hdrClean),
+        type: 'VARIANT',
+        referencedId: null,
+        referencedItemId: null,
+        alias: hdrClean
+      };
+
+      if (up.startsWith('VARIANT_')) {
+        const extracted = cleanId(hdrClean.slice('VARIANT_'.length));
+        dist.type = 'VARIANT';
+        dist.alias = extracted;
+        dist.referencedId = extracted || null;
+      } else if (up.startsWith('ATTRIBUTE_')) {
+        const extracted = cleanId(hdrClean.slice('ATTRIBUTE_'.length));
+        dist.type = 'ATTRIBUTE';
+        dist.alias = extracted; // resolve later
+      } else {
+        const extracted = cleanId(hdrClean);
+        dist.type = 'VARIANT';
+        dist.alias = extracted;
+        dist.referencedId = extracted || null;
+      }
+
+      return dist;
+    });
+
+    // Build items from rows (row 2 onwards), skipping empty rows
+    const items = [];
+    for (let r = 1; r < rows.length; r++) {
+      const row = rows[r] || [];
+      // skip row if all cells empty
+      if (row.every(isCellEmpty)) continue;
+
+      const rawValueCell = row[0];
+      if (isCellEmpty(rawValueCell)) continue;
+      const value = cleanId(rawValueCell);
+
+      const stdDistribution = parseNumberOrNullCell(row[1]);
+
+      // distributions: use distributionItems list and attempt to read corresponding cell (col index = 2 + index)
+      const distributions = distributionItems.map((distItem, idx) => {
+        const colIndex = 2 + idx;
+        const cell = colIndex < row.length ? row[colIndex] : null;
+        return {
+          distributionItemId: distItem.id,
+          value: parseNumberOrNullCell(cell)
+        };
+      });
+
+      items.push({
+        id: ids('dimension-item', dimName, value),
+        value,
+        stdDistribution,
+        variants: [],
+        distributions,
+        attributesMetadata: []
+      });
+    }
+
+    selectedDimensions.push({
+      id: ids('dimension', dimName),
+      name: dimName,
+      defaultItem: false,
+      items,
+      distributionItems,
+      attributeMetadataItems: [],
+      referencedId: dimName
+    });
+  }
+
+  return selectedDimensions;
+}
+
+// Resolve ATTRIBUTE distributionItems across selectedDimensions
+function resolveAttributeDistributions(selectedDimensions) {
+  for (const dim of selectedDimensions) {
+    for (const dist of dim.distributionItems) {
+      if (dist.type !== 'ATTRIBUTE') continue;
+
+      const alias = dist.alias || '';
+      if (!alias) {
+        dist.referencedId = null;
+        dist.referencedItemId = null;
+        continue;
+      }
+
+      const upAlias = alias.toUpperCase();
+      const whereIdx = upAlias.indexOf('WHEREIS');
+
+      if (whereIdx >= 0) {
+        const beforeRaw = alias.slice(0, whereIdx);
+        const afterRaw = alias.slice(whereIdx + 'WHEREIS'.length);
+
+        const targetDim = findDimensionByCleanName(selectedDimensions, beforeRaw);
+        dist.referencedId = targetDim ? targetDim.id : null;
+
+        if (targetDim) {
+          const itemObj = findItemObjectInDimensionItems(targetDim, afterRaw);
+          dist.referencedItemId = itemObj ? itemObj.id : null;
+        } else {
+          dist.referencedItemId = null;
+        }
+
+        dist.alias = alias;
+      } else {
+        const targetDim = findDimensionByCleanName(selectedDimensions, alias);
+        dist.referencedId = targetDim ? targetDim.id : null;
+        dist.referencedItemId = null;
+      }
+    }
+  }
+}
+
+// Read Metadata_ sheets: populate attributeMetadataItems (B..), skip empty columns; then fill item attributesMetadata from rows starting row 2
+function applyMetadataSheets(wb, selectedDimensions, ids) {
+  for (const sheetName of wb.SheetNames || []) {
+    if (!sheetName.startsWith('Metadata_')) continue;
+
+    const metaNameRaw = sheetName.slice('Metadata_'.length);
+    const metaName = cleanId(metaNameRaw) || metaNameRaw;
+
+    const targetDim = findDimensionByCleanName(selectedDimensions, metaName);
+    if (!targetDim) continue;
+
+    const sheet = wb.Sheets[sheetName];
+    const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, raw: true }) || [];
+    if (rows.length === 0) {
+      targetDim.attributeMetadataItems = [];
+      continue;
+    }
+
+    const headerRow = rows[0] || [];
+    // collect non-empty headers from column B onward, maintain array of meta header info {colIndex, columnName, rawHdr}
+    const attributeMetadataHeaders = [];
+    for (let col = 1; col < headerRow.length; col++) {
+      const rawHdr = headerRow[col];
+      if (isCellEmpty(rawHdr)) continue;
+      const columnName = cleanId(rawHdr);
+      if (!columnName) continue;
+      attributeMetadataHeaders.push({ colIndex: col, columnName, rawHdr });
+    }
+
+    // Validate uniqueness of cleaned columnName within this sheet
+    const nameToOccurrences = new Map();
+    for (const h of attributeMetadataHeaders) {
+      const key = h.columnName.toUpperCase();
+      if (!nameToOccurrences.has(key)) nameToOccurrences.set(key, []);
+      nameToOccurrences.get(key).push(h);
+    }
+    const duplicates = [];
+    for (const [name, occ] of nameToOccurrences.entries()) {
+      if (occ.length > 1) duplicates.push({ name, occurrences: occ });
+    }
+    if (duplicates.length > 0) {
+      const lines = [
+        `Duplicate attribute metadata column names found in sheet "${sheetName}".`,
+        'You must ensure metadata column names (after cleaning) are unique within the sheet.',
+      ];
+      for (const dup of duplicates) {
+        lines.push(`- Duplicated cleaned name: "${dup.name}" appears ${dup.occurrences.length} times:`);
+        for (const occ of dup.occurrences) {
+          const colNumber = occ.colIndex + 1; // 1-based
+          const colLetter = colNumberToLetter(colNumber);
+          lines.push(`    * Sheet: "${sheetName}", Column: ${colLetter} (index ${colNumber}), original header: "${occ.rawHdr}"`);
+        }
+      }
+      lines.push('Please fix the duplicated header(s) in the Excel sheet and re-run the script.');
+      throw new Error(lines.join('\n'));
+    }
+
+    // build attributeMetadataItems array (preserve order) -- safe because no duplicates
+    const attributeMetadataItems = attributeMetadataHeaders.map(h => ({ id: ids('metadata-item', targetDim.name, h.columnName), columnName: h.columnName }));
+    targetDim.attributeMetadataItems = attributeMetadataItems;
+
+    // now scan rows from row 2 (index 1) onward and populate item attributesMetadata
+    for (let r = 1; r < rows.length; r++) {
+      const row = rows[r] || [];
+      // skip empty row
+      if (row.every(isCellEmpty)) continue;
+      const firstCellRaw = row[0];
+      if (isCellEmpty(firstCellRaw)) continue;
+      const itemValueClean = cleanId(firstCellRaw);
+      if (!itemValueClean) continue;
+
+      const itemObj = findItemObjectInDimensionItems(targetDim, itemValueClean);
+      if (!itemObj) continue;
+
+      // build attributesMetadata array using attributeMetadataHeaders order
+      const attrs = [];
+      for (let i = 0; i < attributeMetadataHeaders.length; i++) {
+        const colIndex = attributeMetadataHeaders[i].colIndex;
+        const metaItem = attributeMetadataItems[i];
+        const rawMetaCell = colIndex < row.length ? row[colIndex] : null;
+        // push even if null to keep alignment with attributeMetadataItems
+        attrs.push({
+          metadataItemId: metaItem.id,
+          value: metadataCellValue(rawMetaCell)
+        });
+      }
+
+      itemObj.attributesMetadata = attrs;
+    }
+  }
+}
+
+/* ---------- Map selectedDimension.referencedId -> entitiesDefinitions.attributes[].id ---------- */
+
+function mapDimensionsToAttributes(selectedDimensions, entitiesAttributes) {
+  // Build lookup map: cleaned attribute name -> id
+  const attrNameToId = new Map();
+  for (const attr of entitiesAttributes) {
+    if (!attr || typeof attr.name === 'undefined' || typeof attr.id === 'undefined') continue;
+    const key = cleanId(attr.name).toUpperCase();
+    if (!key) continue;
+    attrNameToId.set(key, attr.id);
+  }
+
+  let mappedCount = 0;
+  const unresolved = new Set();
+
+  for (const sd of selectedDimensions) {
+    if (!sd || typeof sd.referencedId === 'undefined' || sd.referencedId === null) continue;
+    const maybe = String(sd.referencedId);
+    if (uuidRegex.test(maybe)) continue; // already id-like
+    const key = cleanId(maybe).toUpperCase();
+    if (!key) continue;
+    const mapped = attrNameToId.get(key);
+    if (mapped) {
+      sd.referencedId = mapped;
+      mappedCount++;
+    } else {
+      unresolved.add(sd.referencedId);
+    }
+  }
+
+  return { mappedCount, unresolved };
+}
+
+/* ---------- Build dimensionList: include only attributes that are NOT present in selectedDimensions ---------- */
+
+function buildDimensionList(selectedDimensions, entitiesAttributes, ids) {
+  const selectedDimensionHasName = cleanName =>
+    selectedDimensions.some(sd => cleanId(sd.name).toUpperCase() === cleanName.toUpperCase());
+
+  const dimensionList = [];
+  for (const attr of entitiesAttributes) {
+    const key = cleanId(attr.name);
+    if (!key) continue;
+    // if attribute name NOT present in selectedDimensions, add to dimensionList
+    if (!selectedDimensionHasName(key)) {
+      dimensionList.push({
+        id: ids('dimension-list', attr.name),
+        name: attr.name, // preserve original name for readability
+        defaultItem: false,
+        items: [],
+        distributionItems: [],
+        attributeMetadataItems: [],
+        referencedId: attr.id // set to attribute id from entities.json
+      });
+    }
+  }
+  return dimensionList;
+}
+
+/* ---------- Map distributionItems.referencedId values to variant group ids (optional) ---------- */
+
+function mapDistributionsToVariants(selectedDimensions, variantsData) {
+  let variantMappedCount = 0;
+  const variantUnresolved = new Set();
+
+  const variantGroups = (variantsData && variantsData.variants && Array.isArray(variantsData.variants.items))
+    ? variantsData.variants.items
+    : null;
+  if (!Array.isArray(variantGroups)) {
+    console.log(`Variants not available or structure not as expected (variants.items). Skipping variants mapping.`);
+    return { variantMappedCount, variantUnresolved };
+  }
+
+  const variantNameToId = new Map();
+  for (const vg of variantGroups) {
+    if (!vg || typeof vg.name === 'undefined' || typeof vg.id === 'undefined') continue;
+    const key = cleanId(vg.name).toUpperCase();
+    if (!key) continue;
+    variantNameToId.set(key, vg.id);
+  }
+
+  for (const sd of selectedDimensions) {
+    const distArrays = collectDistributionItemsArrays(sd);
+    for (const distArray of distArrays) {
+      for (const dist of distArray) {
+        if (!dist || typeof dist.referencedId === 'undefined' || dist.referencedId === null) continue;
+        const maybe = String(dist.referencedId);
+        if (uuidRegex.test(maybe)) continue; // already id-like
+        const key = cleanId(maybe).toUpperCase();
+        if (!key) continue;
+        const mapped = variantNameToId.get(key);
+        if (mapped) {
+          dist.referencedId = mapped;
+          variantMappedCount++;
+        } else {
+          variantUnresolved.add(dist.referencedId);
+        }
+      }
+    }
+  }
+
+  return { variantMappedCount, variantUnresolved };
+}
+
+function buildCaseTable(wb, entitiesData, variantsData, ids = randomIds) {
+  const selectedDimensions = buildSelectedDimensions(wb, ids);
+  resolveAttributeDistributions(selectedDimensions);
+  applyMetadataSheets(wb, selectedDimensions, ids);
+
+  const ed = entitiesData && (entitiesData.entitiesDefinitions || entitiesData.entities_definitions);
+  const entitiesAttributes = ed && Array.isArray(ed.attributes) ? ed.attributes : null;
+  if (!Array.isArray(entitiesAttributes)) {
+    throw new Error('Could not find entitiesDefinitions.attributes array in entities. Aborting mapping/dimensionList creation.');
+  }
+
+  // Typed attributes (AttributeTypes) draw their values; they have no enumerated items
+  for (const sd of selectedDimensions) {
+    const attr = entitiesAttributes.find(a => a && a.type && cleanId(a.name).toUpperCase() === cleanId(sd.name).toUpperCase());
+    if (attr && attr.type !== 'STRING') {
+      throw new Error(`CaseTable_${sd.name}: attribute "${attr.name}" is typed ${attr.type.toLowerCase()} in AttributeTypes, so it takes no CaseTable_ items. Remove the sheet or type it string.`);
+    }
+  }
+
+  const { mappedCount, unresolved } = mapDimensionsToAttributes(selectedDimensions, entitiesAttributes);
+  const dimensionList = buildDimensionList(selectedDimensions, entitiesAttributes, ids);
+  const { variantMappedCount, variantUnresolved } = mapDistributionsToVariants(selectedDimensions, variantsData);
+
+  console.log(`Mapped ${mappedCount} selectedDimensions.referencedId -> entities attribute ids.`);
+  console.log(`Added ${dimensionList.length} missing attribute(s) from entities into dimensionList.`);
+  console.log(`Mapped ${variantMappedCount} distributionItems.referencedId -> variant group ids.`);
+  if (unresolved.size > 0) {
+    console.log(`Warning: ${unresolved.size} selectedDimensions.referencedId values were not found in entities attributes (left as original).`);
+    Array.from(unresolved).slice(0, 50).forEach(u => console.log('  -', u));
+  }
+  if (variantUnresolved.size > 0) {
+    console.log(`Warning: ${variantUnresolved.size} distributionItems.referencedId values were not found in variants (left as original). Examples:`);
+    Array.from(variantUnresolved).slice(0, 30).forEach(u => console.log('  -', u));
+  }
+
+  // Sanitization: remove underscores from all string values in the final section
+  return {
+    caseTableCreator: {
+      dimensionList: dimensionList.map(sanitizeStringsInObject),
+      selectedDimensions: selectedDimensions.map(sanitizeStringsInObject)
+    }
+  };
+}
+
+module.exports = { buildCaseTable, cleanId, colNumberToLetter };
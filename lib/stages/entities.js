@@ -0,0 +1,178 @@
+// lib/stages/entities.js
+// Builds `general` and `entitiesDefinitions` (events, attributes, objects)
+// from the General, PE2 and A2O sheets; PE2 property columns (duration, cost,
+// ...) become each event's `properties` (lib/activityProperties.js) and the
+// optional AttributeTypes sheet each attribute's `type` (lib/attributeTypes.js).
+
+const xlsx = require("xlsx");
+const { randomIds } = require("../ids");
+const { propertyOf, readProperties } = require("../activityProperties");
+const { parseAttributeTypeRows, ATTRIBUTE_TYPES_SHEET } = require("../attributeTypes");
+
+// Utility to sanitize headers
+function sanitizeHeaders(row) {
+  const cleanedRow = {};
+  for (const key in row) {
+    const cleanedKey = key.trim().toLowerCase();
+    cleanedRow[cleanedKey] = row[key];
+  }
+  return cleanedRow;
+}
+
+// Load worksheet as JSON
+function parseSheet(workbook, sheetName) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) throw new Error(`Sheet "${sheetName}" not found in workbook.`);
+  return xlsx.utils.sheet_to_json(sheet, { defval: "" });
+}
+
+function sanitizeName(name) {
+  if (!name) return "";
+  return name.toString().replace(/[^A-Za-z0-9]/g, "").trim();
+}
+
+// Build events from PE2 sheet
+function buildEvents(data, ids) {
+  // unreadable property values are left out (the linter reports them)
+  const hasProperties = data.length > 0 && Object.keys(data[0]).some(propertyOf);
+  return data.map((rowRaw) => {
+    const row = sanitizeHeaders(rowRaw);
+    const name = sanitizeName(row["activity"] || ""); // fallback if 'activity' missing
+    // a row whose property cells are all blank gets no properties key
+    const properties = hasProperties ? readProperties(rowRaw).properties : {};
+    return {
+      id: ids("event", name),
+      name,
+      automation: row["automation"] !== "" ? row["automation"] * 100 : null,
+      ...(Object.keys(properties).length ? { properties } : {}),
+    };
+  });
+}
+
+// Expecting YYYYMMDD format
+function toMillis(dateStr) {
+  if (typeof dateStr === "number") {
+    dateStr = dateStr.toString();
+  }
+  const year = parseInt(dateStr.slice(0, 4));
+  const month = parseInt(dateStr.slice(4, 6)) - 1; // JS months are 0-based
+  const day = parseInt(dateStr.slice(6, 8));
+  return new Date(year, month, day).getTime();
+}
+
+// Parse "General" sheet (single row of values)
+function buildGeneral(workbook) {
+  const generalSheet = workbook.Sheets["General"];
+  if (!generalSheet) return {};
+  const generalData = xlsx.utils.sheet_to_json(generalSheet, { defval: "" });
+  if (generalData.length === 0) return {};
+
+  const row = generalData[0];
+  return {
+    startDate: toMillis(row["Start"]),
+    endDate: toMillis(row["End"]),
+    timeUnit: row["Unit"].toUpperCase(),
+    nCases: Number(row["Cases"]),
+  };
+}
+
+// AttributeTypes: type (and generation) onto every attribute, STRING by default
+function applyAttributeTypes(workbook, attributes, general) {
+  const sheet = workbook.Sheets[ATTRIBUTE_TYPES_SHEET];
+  if (!sheet) return;
+  const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: null, blankrows: true, raw: true });
+  const { types, problems } = parseAttributeTypeRows(rows, general);
+  const fatal = problems.filter((p) => p.code !== "attribute/ignored-parameter");
+  if (fatal.length) {
+    const p = fatal[0];
+    throw new Error(`${ATTRIBUTE_TYPES_SHEET}!${xlsx.utils.encode_cell({ r: p.row, c: p.col })}: ${p.message}`);
+  }
+
+  const byName = new Map();
+  for (const t of types) {
+    const name = sanitizeName(t.attribute);
+    if (byName.has(name)) throw new Error(`${ATTRIBUTE_TYPES_SHEET}: attribute "${t.attribute}" is typed twice.`);
+    byName.set(name, t);
+  }
+  for (const attr of attributes) {
+    const t = byName.get(attr.name);
+    attr.type = t ? t.type : "STRING";
+    if (t && t.generation) attr.generation = t.generation;
+  }
+}
+
+function buildEntities(workbook, ids = randomIds) {
+  // Parse PE2 sheet (events)
+  const pe2Data = parseSheet(workbook, "PE2");
+
+  // Parse A2O sheet (attributes + objects)
+  const sheetName = "A2O";
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet) {
+    throw new Error(`Sheet "${sheetName}" not found in workbook.`);
+  }
+
+  // Convert the sheet to JSON array format
+  const sheetData = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
+
+  // ===== Extract Attributes =====
+  let attributeIndex = -1;
+  const headerRow = sheetData[0] || [];
+
+  for (let i = 0; i < headerRow.length; i++) {
+    if (headerRow[i]?.toLowerCase() === "attribute") {
+      attributeIndex = i;
+      break;
+    }
+  }
+
+  if (attributeIndex === -1) {
+    throw new Error(`Column "attributes" not found in sheet "${sheetName}".`);
+  }
+
+  const attributes = [];
+
+  for (let i = 1; i < sheetData.length; i++) {
+    const row = sheetData[i];
+    const attrValue = row[attributeIndex];
+    if (attrValue && attrValue.toString().trim() !== "") {
+      const name = sanitizeName(attrValue.toString().trim());
+      attributes.push({
+        id: ids("attribute", name),
+        name,
+        defaultItem: false,
+        items: [],
+        distributionItems: [],
+        attributeMetadataItems: [],
+      });
+    }
+  }
+
+  const objectHeaders = headerRow.slice(1); // exclude first cell (A1)
+  const objects = [];
+
+  for (const objName of objectHeaders) {
+    if (objName && objName.toString().trim() !== "") {
+      const name = sanitizeName(objName.toString().trim());
+      objects.push({
+        id: ids("object", name),
+        name,
+      });
+    }
+  }
+
+  const general = buildGeneral(workbook);
+  applyAttributeTypes(workbook, attributes, general);
+
+  return {
+    general,
+    entitiesDefinitions: {
+      activities: null,
+      events: buildEvents(pe2Data, ids),
+      attributes,
+      objects,
+    },
+  };
+}
+
+module.exports = { buildEntities, sanitizeName, toMillis };
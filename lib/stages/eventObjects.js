@@ -0,0 +1,124 @@
+// lib/stages/eventObjects.js
+// Builds `ocpmRelations.events` (event-to-object links) from the PE2 matrix;
+// each cell is a count or a range (lib/e2oRange.js), and the optional
+// PE2_Qualifiers sheet adds how the event touches the objects (lib/qualifiers.js).
+
+const xlsx = require("xlsx");
+const { randomIds } = require("../ids");
+const { parseE2ORange, maxObjectsOf } = require("../e2oRange");
+const { propertyOf } = require("../activityProperties");
+const { readQualifiers, qualifierOf, QUALIFIERS_SHEET } = require("../qualifiers");
+
+function normalize(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// ---------- STEP 1: Build skeleton from entities ----------
+function buildSkeleton(entities) {
+  const eventsSrc = entities?.entitiesDefinitions?.events || [];
+  return {
+    ocpmRelations: {
+      events: eventsSrc.map(ev => ({
+        id: ev.id,
+        name: String(ev.name || "").replace(/\s+/g, ""), // keep prior normalization
+        objects: []
+      }))
+    }
+  };
+}
+
+// ---------- STEP 2: Read PE2 and fill objects (ocpmObjectId holds the header name) ----------
+function fillObjectsFromPE2(output, workbook, ids) {
+  const sheet = workbook.Sheets["PE2"];
+  if (!sheet) throw new Error("Sheet 'PE2' not found in workbook");
+  const data = xlsx.utils.sheet_to_json(sheet, { header: 1 });
+  if (!data.length) throw new Error("Sheet 'PE2' appears to be empty.");
+  const headers = data[0];
+  // Object columns: everything after A except automation and the activity properties
+  const objectColumns = [];
+  for (let c = 1; c < headers.length; c++) {
+    const key = normalize(headers[c]);
+    if (key && key !== "automation" && key !== "activity" && !propertyOf(headers[c])) objectColumns.push(c);
+  }
+  const { cap } = maxObjectsOf(workbook);
+  const { qualifiers, problems } = readQualifiers(workbook);
+  if (problems.length) {
+    const p = problems[0];
+    throw new Error(`${QUALIFIERS_SHEET}!${xlsx.utils.encode_cell({ r: p.row, c: p.col })}: ${p.message}`);
+  }
+
+  for (let r = 1; r < data.length; r++) {
+    const row = data[r];
+    const activityRaw = row[0] || "";
+    const activityKey = normalize(activityRaw); // ignore spaces/special chars
+    const matchEvent = output.ocpmRelations.events.find(
+      ev => normalize(ev.name) === activityKey
+    );
+    if (!matchEvent) continue;
+
+    for (const c of objectColumns) {
+      const { range, problem } = parseE2ORange(row[c], cap);
+      if (problem && problem.code === "pe2/invalid-range") {
+        throw new Error(`PE2!${xlsx.utils.encode_cell({ r, c })}: ${problem.message}`);
+      }
+      if (!range) continue;
+
+      const qualifier = qualifierOf(qualifiers, activityRaw, headers[c]);
+      matchEvent.objects.push({
+        id: ids("e2o", matchEvent.name, headers[c]),
+        ocpmObjectId: headers[c], // temporarily keep NAME/HEADER; swapped to ID in step 3
+        type: range.type,
+        rangeMin: range.min,
+        rangeMax: range.max,
+        ...(qualifier ? { qualifier } : {})
+      });
+    }
+  }
+}
+
+// ---------- STEP 3: Replace ocpmObjectId (names) with object IDs from entities ----------
+function mapObjectIds(output, entities) {
+  const objectsSrc = entities?.entitiesDefinitions?.objects || [];
+  if (!Array.isArray(objectsSrc) || objectsSrc.length === 0) {
+    console.warn(
+      "⚠️  No entitiesDefinitions.objects found in entities. Skipping ocpmObjectId→ID replacement."
+    );
+    return;
+  }
+
+  const nameToId = new Map();
+  for (const obj of objectsSrc) {
+    const n = normalize(obj?.name);
+    if (n) nameToId.set(n, obj.id);
+  }
+
+  for (const ev of output.ocpmRelations.events) {
+    for (const obj of ev.objects) {
+      const current = obj.ocpmObjectId;
+
+      // If it already looks like a UUID, leave it
+      if (typeof current === "string" && uuidRegex.test(current)) continue;
+
+      const mappedId = nameToId.get(normalize(current));
+      if (mappedId) {
+        obj.ocpmObjectId = mappedId;
+      } else {
+        // If no match found, keep as-is but log once
+        console.warn(`⚠️  No object ID found for header/name "${current}" (event: ${ev.name}). Keeping original value.`);
+      }
+    }
+  }
+}
+
+function buildEventObjects(workbook, entities, ids = randomIds) {
+  const output = buildSkeleton(entities);
+  fillObjectsFromPE2(output, workbook, ids);
+  mapObjectIds(output, entities);
+  return output;
+}
+
+module.exports = { buildEventObjects };
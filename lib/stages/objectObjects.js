@@ -0,0 +1,213 @@
+// lib/stages/objectObjects.js
+// Builds `ocpmRelations.objects` (object-to-object relations) from the O2O sheet,
+// either the activity × object matrix of "1" / "n" cells or the edge list of
+// lib/o2oEdges.js.
+
+const xlsx = require("xlsx");
+const { randomIds } = require("../ids");
+const { isEdgeList, parseO2OEdges } = require("../o2oEdges");
+
+const SHEET_NAME = "O2O";
+
+// ---- Utils ----
+const normalize = s => String(s || "").toLowerCase().replace(/\s|_/g, "");
+
+// Get object definitions (where names like "SalesOrder" live)
+function getObjectDefs(entities) {
+  // Try a few likely locations
+  const candidates = [
+    entities?.objects,
+    entities?.entitiesDefinitions?.objects,
+    entities?.entities?.objects
+  ];
+  for (const arr of candidates) {
+    if (Array.isArray(arr)) return arr;
+  }
+  return []; // none found
+}
+
+// ---- Step 1: Build base ocpmRelations from entities (events) ----
+function buildBaseFromEntities(entities) {
+  const events = entities?.entitiesDefinitions?.events || [];
+  const objects = events.map(ev => ({
+    id: ev.id,
+    items: [],
+    relations: [],
+    name: ev.name
+  }));
+  return {
+    ocpmRelations: {
+      events: [],
+      objects
+    }
+  };
+}
+
+// ---- Step 2: Add relations from the O2O sheet ----
+function addRelationsFromSheet(doc, workbook, entities, ids) {
+  const sheet = workbook.Sheets[SHEET_NAME];
+  if (!sheet) {
+    console.warn(`⚠️ Sheet "${SHEET_NAME}" not found. Skipping Excel-based relations.`);
+    return;
+  }
+  const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, blankrows: false, defval: "" });
+  if (!rows.length) {
+    console.warn(`⚠️ Sheet "${SHEET_NAME}" is empty. Skipping Excel-based relations.`);
+    return;
+  }
+
+  const header = rows[0].map(h => String(h).trim());
+  if (!header.length) return;
+  if (isEdgeList(header)) return addEdgesFromRows(doc, rows, entities, ids);
+
+  // Map ocpm objects by normalized name
+  const byName = new Map();
+  for (const obj of doc.ocpmRelations.objects) {
+    byName.set(normalize(obj.name), obj);
+    if (!Array.isArray(obj.relations)) obj.relations = [];
+  }
+
+  // Dedup per object
+  const seenByObj = new Map();
+  for (const obj of doc.ocpmRelations.objects) {
+    const set = new Set(
+      obj.relations.map(r => `${r.sourceEntityId}|${r.targetEntityId}|${r.cardinality}`)
+    );
+    seenByObj.set(obj.id, set);
+  }
+
+  // Process data rows
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    const activityRaw = row[0];
+    const activityNorm = normalize(activityRaw);
+    if (!activityNorm) continue;
+
+    let obj = byName.get(activityNorm);
+    if (!obj) {
+      const soft = activityNorm.replace(/[^a-z0-9]/g, "");
+      const fallback = [...byName.entries()].find(([k]) => k.replace(/[^a-z0-9]/g, "") === soft);
+      if (!fallback) continue;
+      obj = fallback[1];
+    }
+
+    const sources = [];
+    const targets = [];
+
+    for (let c = 1; c < header.length; c++) {
+      const colHeader = String(header[c]).trim();
+      if (!colHeader) continue;
+
+      const v = String(row[c] ?? "").trim().toLowerCase();
+      if (v === "1") sources.push(colHeader);
+      if (v === "n") targets.push(colHeader);
+    }
+
+    if (!sources.length || !targets.length) continue;
+
+    const seen = seenByObj.get(obj.id);
+    for (const s of sources) {
+      for (const t of targets) {
+        const card = "HAS_MANY";
+        const key = `${s}|${t}|${card}`;
+        if (seen.has(key)) continue;
+
+        obj.relations.push({
+          id: ids("o2o", obj.name, s, t, card),
+          sourceEntityId: s,      // names for now (mapped to IDs in Step 3)
+          targetEntityId: t,
+          cardinality: card
+        });
+        seen.add(key);
+      }
+    }
+  }
+}
+
+// ---- Step 2 (edge list): one relation per row, on its owner's entry ----
+function addEdgesFromRows(doc, rows, entities, ids) {
+  const { edges, problems } = parseO2OEdges(rows);
+  // rows without source or target are skipped (a lint warning); the rest is fatal
+  const fatal = problems.filter(p => p.code !== "o2o/incomplete-row");
+  const where = (r, c) => `${SHEET_NAME}!${xlsx.utils.encode_cell({ r, c })}`;
+  if (fatal.length) throw new Error(`${where(fatal[0].row, fatal[0].col)}: ${fatal[0].message}`);
+
+  const objects = new Map(getObjectDefs(entities).map(o => [normalize(o.name), o]));
+  const events = new Map(doc.ocpmRelations.objects.map(o => [normalize(o.name), o]));
+  const objectFor = (edge, key) => {
+    const obj = objects.get(normalize(edge[key]));
+    if (!obj) throw new Error(`${where(edge.row, edge.cols[key])}: "${edge[key]}" is not an A2O object.`);
+    return obj;
+  };
+
+  // entries of object types that own relations come after the event entries
+  const ownerEntry = (edge, source) => {
+    const owner = edge.owner === null ? source : objects.get(normalize(edge.owner));
+    if (owner) {
+      let entry = doc.ocpmRelations.objects.find(o => o.id === owner.id);
+      if (!entry) {
+        entry = { id: owner.id, items: [], relations: [], name: owner.name };
+        doc.ocpmRelations.objects.push(entry);
+      }
+      return entry;
+    }
+    const entry = events.get(normalize(edge.owner));
+    if (!entry) throw new Error(`${where(edge.row, edge.cols.owner)}: owner "${edge.owner}" is neither an A2O object nor a PE2 activity.`);
+    return entry;
+  };
+
+  for (const edge of edges) {
+    const source = objectFor(edge, "source");
+    const target = objectFor(edge, "target");
+    const entry = ownerEntry(edge, source);
+    const card = edge.cardinality;
+    if (entry.relations.some(r => r.sourceEntityId === source.name && r.targetEntityId === target.name && r.cardinality === card)) continue;
+
+    const rel = {
+      id: ids("o2o", entry.name, source.name, target.name, card),
+      sourceEntityId: source.name,  // names for now (mapped to IDs in Step 3)
+      targetEntityId: target.name,
+      cardinality: card
+    };
+    if (edge.min !== null) rel.rangeMin = edge.min;
+    if (edge.max !== null) rel.rangeMax = edge.max;
+    entry.relations.push(rel);
+  }
+}
+
+// ---- Step 3: Replace source/target names with IDs from entities objects ----
+function applyEntityIdMapping(doc, entities) {
+  const objectDefs = getObjectDefs(entities);
+  if (!objectDefs.length) {
+    console.warn("⚠️ No objects array found in entities. Skipping name→ID mapping.");
+    return;
+  }
+
+  // Build name→id map (case/space/underscore-insensitive)
+  const nameToId = new Map();
+  for (const o of objectDefs) {
+    if (!o || !o.name || !o.id) continue;
+    nameToId.set(normalize(o.name), String(o.id));
+  }
+
+  for (const obj of doc.ocpmRelations.objects) {
+    if (!Array.isArray(obj.relations)) continue;
+
+    for (const rel of obj.relations) {
+      const srcId = nameToId.get(normalize(rel.sourceEntityId));
+      const tgtId = nameToId.get(normalize(rel.targetEntityId));
+
+      if (srcId) rel.sourceEntityId = srcId;
+      if (tgtId) rel.targetEntityId = tgtId;
+    }
+  }
+}
+
+function buildObjectObjects(workbook, entities, ids = randomIds) {
+  const doc = buildBaseFromEntities(entities);          // Step 1
+  addRelationsFromSheet(doc, workbook, entities, ids);  // Step 2
+  applyEntityIdMapping(doc, entities);                  // Step 3
+  return doc;
+}
+
+module.exports = { buildObjectObjects };
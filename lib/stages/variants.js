@@ -0,0 +1,227 @@
+// lib/stages/variants.js
+// Builds `variants.items` from the Variant_* sheets and `randomConfigs` from
+// the RandomConfig sheet, and links every item to its PE2 event through
+// entitiesDefinitions.events.
+
+const XLSX = require("xlsx");
+const { randomIds } = require("../ids");
+const { buildTiming, timingColumns, timingCells } = require("../timing");
+const { parseRandomConfigRows, RANDOM_CONFIG_SHEET } = require("../randomConfig");
+const { variantFrequencies } = require("../frequency");
+
+// ---------- Helpers ----------
+function formatVariantName(sheetName) {
+  const parts = sheetName.split("_");
+  return parts.length > 1 ? parts.slice(1).join("_") : sheetName;
+}
+
+// Remove everything except [A-Za-z0-9]
+function sanitizeReferencedName(name) {
+  return String(name).replace(/[^A-Za-z0-9]/g, "");
+}
+
+function getCellNumber(sheet, addr, fallback = 0) {
+  const c = sheet[addr];
+  if (!c || c.v === undefined || c.v === null || String(c.v).trim() === "") return fallback;
+  const n = Number(c.v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Values of one sheet row (1-based, as in "B2") by column index
+function rowValues(sheet, r, lastCol) {
+  const values = [];
+  for (let c = 0; c <= lastCol; c++) {
+    const cell = sheet[XLSX.utils.encode_cell({ r: r - 1, c })];
+    values.push(cell ? cell.v : undefined);
+  }
+  return values;
+}
+
+function parseWorkbookToJson(workbook, ids = randomIds) {
+  const variants = { items: [] };
+  // A2 -> frequency, as a weight or percentage normalized to a share of 100
+  const { shares } = variantFrequencies(workbook);
+
+  workbook.SheetNames.forEach((sheetName) => {
+    if (!sheetName.startsWith("Variant_")) return;
+
+    const sheet = workbook.Sheets[sheetName];
+    const name = formatVariantName(sheetName);
+    const variantObj = {
+      id: ids("variant", name),
+      name,
+      frequency: 0,
+      items: [],
+    };
+
+    variantObj.frequency = shares[variants.items.length].share;
+
+    // Column mapping in each "Variant_*" sheet:
+    // B -> referencedName, C -> startDate, D -> endDate, E -> automation
+    const range = sheet["!ref"] ? XLSX.utils.decode_range(sheet["!ref"]) : { e: { r: -1, c: -1 } };
+    // F.. -> optional timing distribution columns, found by header (lib/timing.js)
+    const timingCols = timingColumns(rowValues(sheet, 1, range.e.c));
+    const hasTiming = Object.keys(timingCols).length > 0;
+    for (let r = 2; r <= range.e.r + 1; r++) {
+      const bAddr = "B" + r;
+      const bCell = sheet[bAddr];
+      if (!bCell || String(bCell.v).trim() === "") continue;
+
+      const referencedName = sanitizeReferencedName(String(bCell.v));
+      let startDate = getCellNumber(sheet, "C" + r, 0);
+      // a blank end is filled in when linking: start + the PE2 duration, else start + 1
+      const dCell = sheet["D" + r];
+      const endBlank = !dCell || dCell.v === undefined || dCell.v === null || String(dCell.v).trim() === "";
+      let endDate = getCellNumber(sheet, "D" + r, 0);
+      let automation = getCellNumber(sheet, "E" + r, 80);
+
+      // 1) automation: multiply by 100; if negative, treat as 0
+      if (!Number.isFinite(automation)) automation = 0;
+      automation = automation < 0 ? 0 : automation * 100;
+
+      // 2) startDate & endDate: if any value is under 1, make it 1
+      if (!Number.isFinite(startDate) || startDate < 1) startDate = 1;
+      if (!Number.isFinite(endDate) || endDate < 1) endDate = 1;
+      if (endBlank) endDate = null;
+
+      // keyed by activity and its occurrence (as lib/sync.js pairs steps), so
+      // inserting a step keeps the stable IDs of the others
+      const occurrence = variantObj.items.filter((it) => it.referencedName === referencedName).length;
+      const item = {
+        id: ids("variant-item", name, referencedName, occurrence),
+        referencedId: "0",     // placeholder; filled in the linking phase
+        activityId: null,
+        automation,
+        startDate,
+        endDate,
+        referencedName,
+      };
+      if (hasTiming) {
+        const timing = buildTiming(timingCells(rowValues(sheet, r, range.e.c), timingCols), `${sheetName} row ${r}`);
+        if (timing) item.timing = timing;
+      }
+      variantObj.items.push(item);
+    }
+
+    variants.items.push(variantObj);
+  });
+
+  return { variants, randomConfigs: parseRandomConfigs(workbook, ids) };
+}
+
+// RandomConfig sheet -> randomConfigs (items linked to PE2 events later)
+function parseRandomConfigs(workbook, ids = randomIds) {
+  const sheet = workbook.Sheets[RANDOM_CONFIG_SHEET];
+  if (!sheet) return [];
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null, blankrows: true, raw: true });
+  const { configs, problems } = parseRandomConfigRows(rows);
+  // non-numeric settings fall back to their defaults (a lint warning); the rest is fatal
+  const fatal = problems.filter((p) => p.code !== "random/invalid-number");
+  if (fatal.length) {
+    const p = fatal[0];
+    throw new Error(`${RANDOM_CONFIG_SHEET}!${XLSX.utils.encode_cell({ r: p.row, c: p.col })}: ${p.message}`);
+  }
+
+  return configs.map((cfg) => ({
+    id: ids("random-config", cfg.name),
+    name: cfg.name,
+    frequency: cfg.frequency,
+    nVariants: cfg.nVariants,
+    minLength: cfg.minLength,
+    maxLength: cfg.maxLength, // null: as many as there are activities
+    items: cfg.activities.map((a, i) => {
+      const referencedName = sanitizeReferencedName(a.activity);
+      return {
+        id: ids("random-config-item", cfg.name, i, referencedName),
+        referencedId: "0", // placeholder; filled in the linking phase
+        activityId: null,
+        referencedName,
+        weight: a.weight,
+        automation: a.automation * 100,
+      };
+    }),
+  }));
+}
+
+// Build lookup { sanitizedName -> eventId } from entities.entitiesDefinitions.events
+function buildEventIndex(entities) {
+  const events =
+    entities?.entitiesDefinitions?.events && Array.isArray(entities.entitiesDefinitions.events)
+      ? entities.entitiesDefinitions.events
+      : [];
+
+  const idx = new Map();
+  for (const ev of events) {
+    const key = sanitizeReferencedName(ev.name || "");
+    if (key) idx.set(key, ev.id);
+  }
+  return idx;
+}
+
+function linkReferencedIds(parsed, entities, ids = randomIds) {
+  const index = buildEventIndex(entities);
+  const durations = new Map(); // sanitized name -> PE2 duration
+  for (const ev of entities?.entitiesDefinitions?.events || []) {
+    const duration = ev.properties?.duration;
+    if (duration !== undefined) durations.set(sanitizeReferencedName(ev.name || ""), duration);
+  }
+
+  for (const variant of parsed.variants.items) {
+    for (const item of variant.items) {
+      if (item.endDate === null) {
+        const duration = durations.get(sanitizeReferencedName(item.referencedName || ""));
+        item.endDate = duration !== undefined ? item.startDate + duration : item.startDate + 1;
+      }
+
+      // normalize field name (in case any upstream used referenceId)
+      const currentRefId = item.referencedId ?? item.referenceId ?? "0";
+
+      if (!currentRefId || currentRefId === "0" || currentRefId === 0) {
+        const key = sanitizeReferencedName(item.referencedName || "");
+        const foundId = index.get(key);
+        item.referencedId = foundId ? foundId : "0"; // keep "0" if not found
+        if ("referenceId" in item) delete item.referenceId;
+      } else {
+        item.referencedId = String(currentRefId);
+        if ("referenceId" in item) delete item.referenceId;
+      }
+    }
+  }
+  linkRandomConfigs(parsed.randomConfigs || [], entities, index, ids);
+  return parsed;
+}
+
+// Random configs must only draw from PE2 activities; an empty list means all of them
+function linkRandomConfigs(randomConfigs, entities, index, ids) {
+  const events = entities?.entitiesDefinitions?.events || [];
+  for (const cfg of randomConfigs) {
+    if (!cfg.items.length) {
+      cfg.items = events.map((ev, i) => {
+        const referencedName = sanitizeReferencedName(ev.name || "");
+        return {
+          id: ids("random-config-item", cfg.name, i, referencedName),
+          referencedId: ev.id,
+          activityId: null,
+          referencedName,
+          weight: 1,
+          automation: ev.automation ?? 0,
+        };
+      });
+    }
+    for (const item of cfg.items) {
+      if (item.referencedId && item.referencedId !== "0") continue;
+      const foundId = index.get(item.referencedName);
+      if (!foundId) {
+        throw new Error(`${RANDOM_CONFIG_SHEET} "${cfg.name}": activity "${item.referencedName}" does not match any PE2 activity.`);
+      }
+      item.referencedId = foundId;
+    }
+    if (cfg.maxLength === null || cfg.maxLength === undefined) cfg.maxLength = cfg.items.length;
+  }
+}
+
+function buildVariants(workbook, entities, ids = randomIds) {
+  return linkReferencedIds(parseWorkbookToJson(workbook, ids), entities, ids);
+}
+
+module.exports = { buildVariants, parseWorkbookToJson, parseRandomConfigs, linkReferencedIds, sanitizeReferencedName };
@@ -0,0 +1,253 @@
+// lib/sync.js
+// Merges a freshly built final.json into the config a dataset already has:
+// objects, events, attributes, variants, random configs and dimensions are
+// matched by name (their steps, items and relations by what they point at),
+// matched entities keep the remote IDs, and the difference is summarized as
+// added / changed / removed so an update no longer swaps every UUID in the
+// dataset.
+
+// ---------- Helpers ----------
+const list = (v) => (Array.isArray(v) ? v : []);
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+// Key-order-insensitive JSON, to tell "changed" from "only re-serialized"
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Replace every string that is a mapped local id with the remote id
+function remapIds(value, idMap) {
+  if (typeof value === "string") return idMap.has(value) ? idMap.get(value) : value;
+  if (Array.isArray(value)) return value.map((v) => remapIds(v, idMap));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = remapIds(v, idMap);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Pair up two lists by key. Repeated keys are paired in order (the second
+ * "CreateOrder" step of a variant matches the second one remotely).
+ * Every pair is recorded in idMap (local id → remote id). remoteKeyOf is
+ * needed when the key resolves ids, which differ between the two sides.
+ */
+function matchBy(localItems, remoteItems, keyOf, idMap, remoteKeyOf = keyOf) {
+  const withOccurrence = (items, key) => {
+    const seen = new Map();
+    return list(items).map((item) => {
+      const k = key(item);
+      const n = seen.get(k) || 0;
+      seen.set(k, n + 1);
+      return { key: `${k}#${n}`, item };
+    });
+  };
+  const remoteByKey = new Map(withOccurrence(remoteItems, remoteKeyOf).map(({ key, item }) => [key, item]));
+  const matched = [];
+  const added = [];
+  for (const { key, item } of withOccurrence(localItems, keyOf)) {
+    const remote = remoteByKey.get(key);
+    if (remote) {
+      remoteByKey.delete(key);
+      matched.push([item, remote]);
+      if (item.id && remote.id) idMap.set(item.id, remote.id);
+    } else {
+      added.push(item);
+    }
+  }
+  return { matched, added, removed: [...remoteByKey.values()] };
+}
+
+// Child lists shared by attributes and case-table dimensions
+function matchDimensionChildren(local, remote, idMap) {
+  matchBy(local.items, remote.items, (i) => norm(i.value), idMap);
+  matchBy(local.distributionItems, remote.distributionItems, (d) => `${d.type}:${norm(d.alias)}`, idMap);
+  matchBy(local.attributeMetadataItems, remote.attributeMetadataItems, (m) => norm(m.columnName), idMap);
+}
+
+function sections(config) {
+  const c = config || {};
+  const ed = c.entitiesDefinitions || {};
+  const ctc = c.caseTableCreator || {};
+  const ocpm = c.ocpmRelations || {};
+  return {
+    objects: list(ed.objects),
+    events: list(ed.events),
+    attributes: list(ed.attributes),
+    variants: list(c.variants && c.variants.items),
+    randomConfigs: list(c.variants && c.variants.randomConfigs),
+    dimensions: [...list(ctc.dimensionList), ...list(ctc.selectedDimensions)],
+    e2o: list(ocpm.events),
+    o2o: list(ocpm.objects),
+    a2o: list(ocpm.attributes),
+  };
+}
+
+// id → name of every named entity, to key relations by what they point at
+function namesById(s) {
+  const names = new Map();
+  for (const e of [...s.objects, ...s.events, ...s.attributes, ...s.variants]) {
+    if (e && e.id) names.set(e.id, e.name);
+  }
+  return names;
+}
+
+const withoutId = ({ id, ...rest }) => rest;
+
+/**
+ * mergeWithRemote(local, remote) -> { config, summary }
+ * - local: the config just built (final.json shape)
+ * - remote: the dataset's current config (or null: nothing to merge)
+ * config is local with the remote IDs of every matched entity; summary has
+ * { added, changed, removed } name lists per kind plus `general` (changed?).
+ */
+function mergeWithRemote(local, remote) {
+  const kinds = ["objects", "events", "attributes", "variants", "randomConfigs", "dimensions", "relations"];
+  const summary = { added: {}, changed: {}, removed: {}, general: false };
+  for (const k of kinds) {
+    summary.added[k] = [];
+    summary.changed[k] = [];
+    summary.removed[k] = [];
+  }
+  const L = sections(local);
+  const R = sections(remote);
+  const idMap = new Map();
+  const byName = (e) => norm(e.name);
+
+  // ---------- Named entities ----------
+  const results = {
+    objects: matchBy(L.objects, R.objects, byName, idMap),
+    events: matchBy(L.events, R.events, byName, idMap),
+    attributes: matchBy(L.attributes, R.attributes, byName, idMap),
+    variants: matchBy(L.variants, R.variants, byName, idMap),
+    randomConfigs: matchBy(L.randomConfigs, R.randomConfigs, byName, idMap),
+    dimensions: matchBy(L.dimensions, R.dimensions, byName, idMap),
+  };
+
+  // ---------- Their children ----------
+  for (const [l, r] of [...results.variants.matched, ...results.randomConfigs.matched]) {
+    matchBy(l.items, r.items, (step) => norm(step.referencedName), idMap);
+  }
+  for (const [l, r] of [...results.attributes.matched, ...results.dimensions.matched]) {
+    matchDimensionChildren(l, r, idMap);
+  }
+
+  // ---------- Relations, keyed by the names they connect ----------
+  const localNames = namesById(L);
+  const remoteNames = namesById(R);
+  const nameOf = (names) => (id) => norm(names.get(id) ?? id);
+  const [inL, inR] = [nameOf(localNames), nameOf(remoteNames)];
+
+  // E2O and O2O entries hang off the event (same id as the event)
+  for (const [l, r] of matchBy(L.e2o, R.e2o, byName, idMap).matched) {
+    matchBy(l.objects, r.objects, (o) => inL(o.ocpmObjectId), idMap, (o) => inR(o.ocpmObjectId));
+  }
+  for (const [l, r] of matchBy(L.o2o, R.o2o, byName, idMap).matched) {
+    matchBy(
+      l.relations,
+      r.relations,
+      (rel) => `${inL(rel.sourceEntityId)}>${inL(rel.targetEntityId)}`,
+      idMap,
+      (rel) => `${inR(rel.sourceEntityId)}>${inR(rel.targetEntityId)}`
+    );
+  }
+
+  const config = remapIds(local, idMap);
+
+  // ---------- Summary ----------
+  for (const k of kinds.slice(0, -1)) {
+    summary.added[k] = results[k].added.map((e) => e.name);
+    summary.removed[k] = results[k].removed.map((e) => e.name);
+    summary.changed[k] = results[k].matched
+      .filter(([l, r]) => canonical(withoutId(remapIds(l, idMap))) !== canonical(withoutId(r)))
+      .map(([l]) => l.name);
+  }
+  summary.general = Boolean(remote) && canonical(local.general) !== canonical(remote.general);
+
+  const mergedRelations = relationEntries(sections(config));
+  const remoteRelations = relationEntries(R);
+  for (const [key, value] of mergedRelations) {
+    if (!remoteRelations.has(key)) summary.added.relations.push(key);
+    else if (value !== remoteRelations.get(key)) summary.changed.relations.push(key);
+  }
+  for (const key of remoteRelations.keys()) {
+    if (!mergedRelations.has(key)) summary.removed.relations.push(key);
+  }
+
+  return { config, summary };
+}
+
+// "e2o Event→Object", "o2o Event: Source→Target", "a2o Attribute→Object"
+// → the details that make a relation "changed"
+function relationEntries(s) {
+  const names = namesById(s);
+  const name = (id) => names.get(id) ?? id;
+  const out = new Map();
+  for (const ev of s.e2o) {
+    for (const o of list(ev.objects)) {
+      out.set(
+        `e2o ${ev.name}→${name(o.ocpmObjectId)}`,
+        canonical({ type: o.type, rangeMin: o.rangeMin, rangeMax: o.rangeMax, qualifier: o.qualifier })
+      );
+    }
+  }
+  for (const ev of s.o2o) {
+    for (const rel of list(ev.relations)) {
+      out.set(
+        `o2o ${ev.name}: ${name(rel.sourceEntityId)}→${name(rel.targetEntityId)}`,
+        canonical({ cardinality: rel.cardinality, rangeMin: rel.rangeMin, rangeMax: rel.rangeMax })
+      );
+    }
+  }
+  for (const at of s.a2o) {
+    for (const id of list(at.targetObjects)) out.set(`a2o ${at.name}→${name(id)}`, "");
+  }
+  return out;
+}
+
+// final.json sections and the summary kinds that live in them
+const SECTIONS = {
+  entitiesDefinitions: ["objects", "events", "attributes"],
+  variants: ["variants", "randomConfigs"],
+  caseTableCreator: ["dimensions"],
+  ocpmRelations: ["relations"],
+};
+
+/** The summary regrouped per final.json section: { [section]: { added, changed, removed } } */
+function summaryBySection(summary) {
+  const out = {};
+  for (const [section, kinds] of Object.entries(SECTIONS)) {
+    out[section] = {};
+    for (const change of ["added", "changed", "removed"]) {
+      out[section][change] = kinds.flatMap((k) => summary[change][k].map((name) => `${k}: ${name}`));
+    }
+  }
+  return out;
+}
+
+/** Printable lines for a merge summary */
+function formatSummary(summary) {
+  const lines = [];
+  for (const [label, symbol, group] of [
+    ["Added", "+", summary.added],
+    ["Changed", "~", summary.changed],
+    ["Removed", "-", summary.removed],
+  ]) {
+    for (const [kind, names] of Object.entries(group)) {
+      if (names.length) lines.push(`  ${symbol} ${label} ${kind} (${names.length}): ${names.join(", ")}`);
+    }
+  }
+  if (summary.general) lines.push("  ~ Changed general settings");
+  if (!lines.length) lines.push("  No changes.");
+  return lines;
+}
+
+module.exports = { mergeWithRemote, formatSummary, summaryBySection, SECTIONS };
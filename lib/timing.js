@@ -0,0 +1,112 @@
+// lib/timing.js
+// Timing distributions for variant steps. A Variant_ row may carry, next to
+// its fixed start/end offsets, a distribution of the step's duration (in the
+// General time unit) so the cases of a variant do not all take the same time:
+//
+//   distribution | min | max | mean | std
+//   fixed        |     |     | 4    |          always 4 (default: end - start)
+//   uniform      | 2   | 6   |      |          anywhere between 2 and 6
+//   normal       | 1   |     | 4    | 1.5      mean 4, std 1.5, never below 1
+//   lognormal    |     | 30  | 4    | 3        right-skewed, mean 4, capped at 30
+//
+// min/max bound every type; min/max alone mean uniform. The result lands on
+// the variant item as `timing: { type, ...parameters }`.
+
+const DISTRIBUTIONS = {
+  fixed: [],
+  uniform: ["min", "max"],
+  normal: ["mean", "std"],
+  lognormal: ["mean", "std"],
+};
+
+const PARAMETERS = ["min", "max", "mean", "std"];
+
+// Header names of the optional Variant_ columns (after A..E), with accepted spellings
+const TIMING_HEADERS = {
+  distribution: ["distribution", "dist", "type"],
+  min: ["min", "minimum"],
+  max: ["max", "maximum"],
+  mean: ["mean", "avg", "average"],
+  std: ["std", "sd", "stddev", "sigma"],
+};
+
+const fold = (s) => String(s ?? "").trim().toLowerCase();
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+/** { distribution: colIndex, min: colIndex, ... } for the columns present in the header row. */
+function timingColumns(headerRow, firstColumn = 5) {
+  const cols = {};
+  (headerRow || []).forEach((h, c) => {
+    if (c < firstColumn) return;
+    for (const [key, names] of Object.entries(TIMING_HEADERS)) {
+      if (cols[key] === undefined && names.includes(fold(h))) cols[key] = c;
+    }
+  });
+  return cols;
+}
+
+/** Raw cell values of a row for the timing columns found by timingColumns. */
+function timingCells(row, cols) {
+  const raw = {};
+  for (const [key, c] of Object.entries(cols)) raw[key] = (row || [])[c];
+  return raw;
+}
+
+/**
+ * Check raw timing values ({ distribution, min, max, mean, std }).
+ * Returns { timing, problems }: timing is null when nothing was given;
+ * problems are { code, message } with the lint codes of lib/lint.js.
+ */
+function parseTiming(raw) {
+  const problems = [];
+  const given = Object.entries(raw || {}).filter(([, v]) => !isBlank(v));
+  if (!given.length) return { timing: null, problems };
+
+  const params = {};
+  for (const key of PARAMETERS) {
+    const v = raw[key];
+    if (isBlank(v)) continue;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0) {
+      problems.push({ code: "variant/invalid-timing", message: `${key} "${v}" is not a number ≥ 0.` });
+    } else {
+      params[key] = n;
+    }
+  }
+
+  let type = fold(raw.distribution);
+  if (!type) type = "min" in params || "max" in params ? "uniform" : "fixed";
+  if (!DISTRIBUTIONS[type]) {
+    problems.push({
+      code: "variant/unknown-distribution",
+      message: `Distribution "${raw.distribution}" is not one of ${Object.keys(DISTRIBUTIONS).join(", ")}.`,
+    });
+    return { timing: null, problems };
+  }
+
+  for (const key of DISTRIBUTIONS[type]) {
+    if (!(key in params)) problems.push({ code: "variant/missing-timing-parameter", message: `${type} needs ${key}.` });
+  }
+  if ("min" in params && "max" in params && params.min > params.max) {
+    problems.push({ code: "variant/invalid-timing", message: `min ${params.min} is above max ${params.max}.` });
+  }
+  if ((type === "normal" || type === "lognormal") && params.std === 0) {
+    problems.push({ code: "variant/invalid-timing", message: `${type} needs std > 0.` });
+  }
+  if (type === "lognormal" && params.mean === 0) {
+    problems.push({ code: "variant/invalid-timing", message: "lognormal needs mean > 0." });
+  }
+
+  const timing = { type: type.toUpperCase() };
+  for (const key of PARAMETERS) if (key in params) timing[key] = params[key];
+  return { timing, problems };
+}
+
+/** parseTiming that throws on the first problem (stages and the builder). */
+function buildTiming(raw, where = "") {
+  const { timing, problems } = parseTiming(raw);
+  if (problems.length) throw new Error(`${where ? `${where}: ` : ""}${problems[0].message}`);
+  return timing;
+}
+
+module.exports = { parseTiming, buildTiming, timingColumns, timingCells, DISTRIBUTIONS, TIMING_HEADERS, PARAMETERS };
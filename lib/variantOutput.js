@@ -0,0 +1,113 @@
+// lib/variantOutput.js
+// Writes generated variants (ddg discover-variants, ddg import-bpmn) either as
+// Variant_ sheets — on their own or replacing those of an input workbook — or
+// as the variants stage output (variants.json).
+
+const fs = require("fs");
+const path = require("path");
+const xlsx = require("xlsx");
+const { loadWorkbook, saveWorkbook } = require("./workbook");
+const { writeJson } = require("./io");
+const { createIds, STRATEGIES } = require("./ids");
+const { toProjectNames } = require("./projectConfig");
+const { buildEntities, sanitizeName } = require("./stages/entities");
+const { buildVariants } = require("./stages/variants");
+
+// Excel allows 31 characters per sheet name
+const MAX_SHEET_NAME = 31;
+
+const OUTPUT_OPTIONS = `  --input <workbook>           workbook to take General, PE2 automation and the other sheets from
+                               (default: the configured input when it exists)
+  --out <path>                 workbook to write (default: variants.xlsx); .json tables or a CSV directory work too
+  --json <file>                write the variants stage output (variants.json) instead of a workbook
+  --ids <strategy>             ID strategy for --json: ${STRATEGIES.join(" | ")} (default: random)
+  --id-namespace <ns>          namespace for stable IDs (default: --name)
+  --name <name>                dataset name for stable IDs (default: workbook file name)
+  --project-config <file>      sheet/header aliases and paths (default: ./ddg.config.json if present)`;
+
+/** The --input workbook (or the configured input when it exists), or null. */
+function loadInput(args, project) {
+  const inputPath = args.input || (fs.existsSync(project.paths.input) ? project.paths.input : null);
+  return { inputPath, input: inputPath ? loadWorkbook(inputPath, project) : null };
+}
+
+/** General Unit of a workbook, upper-cased, or null. */
+function generalUnit(workbook) {
+  const sheet = workbook && workbook.Sheets.General;
+  if (!sheet) return null;
+  const [row] = xlsx.utils.sheet_to_json(sheet);
+  return row && row.Unit ? String(row.Unit).trim().toUpperCase() : null;
+}
+
+// PE2 activity → automation fraction, matched like the variants stage does
+function automationLookup(workbook) {
+  const sheet = workbook && workbook.Sheets.PE2;
+  const byName = new Map();
+  if (sheet) {
+    for (const row of xlsx.utils.sheet_to_json(sheet)) {
+      const n = Number(row.automation);
+      if (row.activity !== undefined && Number.isFinite(n)) byName.set(sanitizeName(row.activity), n);
+    }
+  }
+  return { byName, automationOf: (activity) => byName.get(sanitizeName(activity)) ?? 0.8 };
+}
+
+/**
+ * Variant_ sheets (name, rows) laid out as lib/stages/variants.js reads them:
+ * the frequency in A2, then activity / start / end / automation.
+ * variants: [{ name, frequency, steps: [{ activity, start, end }] }]
+ * automationOf(activity) gives the 0..1 automation (default 0.8).
+ */
+function variantSheets(variants, automationOf = () => 0.8) {
+  return variants.map((v) => {
+    const name = `Variant_${v.name}`;
+    if (name.length > MAX_SHEET_NAME) throw new Error(`Sheet name "${name}" is longer than ${MAX_SHEET_NAME} characters.`);
+    const rows = [["frequency", "activity", "start", "end", "automation"]];
+    v.steps.forEach((step, i) => {
+      rows.push([i === 0 ? v.frequency : null, step.activity, step.start, step.end, automationOf(step.activity)]);
+    });
+    return [name, rows];
+  });
+}
+
+/**
+ * Write the variants per the OUTPUT_OPTIONS above. With an input workbook
+ * the output is that workbook with its Variant_ sheets replaced.
+ * Returns the full path written.
+ */
+function writeVariants(args, { project, input, inputPath, variants }) {
+  const { byName, automationOf } = automationLookup(input);
+  if (input) {
+    const unknown = [...new Set(variants.flatMap((v) => v.steps.map((s) => s.activity)))].filter(
+      (a) => !byName.has(sanitizeName(a))
+    );
+    if (unknown.length) console.warn(`⚠️ Not in PE2 (add them before building): ${unknown.join(", ")}`);
+  }
+
+  const workbook = xlsx.utils.book_new();
+  for (const name of input ? input.SheetNames : []) {
+    if (!name.startsWith("Variant_")) xlsx.utils.book_append_sheet(workbook, input.Sheets[name], name);
+  }
+  for (const [name, rows] of variantSheets(variants, automationOf)) {
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), name);
+  }
+  const stale = workbook.SheetNames.filter((n) => n.startsWith("CaseTable_")).flatMap((n) =>
+    (xlsx.utils.sheet_to_json(workbook.Sheets[n], { header: 1 })[0] || [])
+      .filter((h) => String(h).startsWith("Variant_") && !workbook.Sheets[h])
+      .map((h) => `${n}!${h}`)
+  );
+  if (stale.length) console.warn(`⚠️ CaseTable_ columns of replaced variants (rename them): ${stale.join(", ")}`);
+
+  if (args.json) {
+    const name = args.name || (inputPath ? path.basename(inputPath, path.extname(inputPath)) : "dataset");
+    const ids = createIds({ strategy: args.ids || "random", namespace: args["id-namespace"] || name });
+    const entities = input ? buildEntities(workbook, ids) : {};
+    if (!input) console.warn("⚠️ No --input workbook: variant items keep referencedId \"0\" until linked.");
+    return writeJson(args.json === true ? "variants.json" : String(args.json), buildVariants(workbook, entities, ids));
+  }
+
+  toProjectNames(workbook, project);
+  return saveWorkbook(workbook, args.out || "variants.xlsx");
+}
+
+module.exports = { OUTPUT_OPTIONS, loadInput, generalUnit, variantSheets, writeVariants };
@@ -0,0 +1,153 @@
+// lib/workbook.js
+// Loads the input once so every stage can read its sheets from memory.
+// The input can be an xlsx/ods workbook, a directory of CSV files named after
+// the sheets (General.csv, PE2.csv, A2O.csv, Variant_*.csv, ...) or a JSON
+// document with the same tables; each adapter yields the same in-memory
+// workbook (SheetNames + Sheets), so the stages never see the difference.
+
+const fs = require("fs");
+const path = require("path");
+const xlsx = require("xlsx");
+const { parse } = require("csv-parse/sync");
+const { applyAliases } = require("./projectConfig");
+
+// ---------- Helpers ----------
+
+// CSV and JSON cells arrive as text; read them the way a spreadsheet would:
+// numbers become numbers and empty cells stay empty.
+function toCell(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") return value;
+  const v = value.trim();
+  if (v === "") return null;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(v)) return Number(v);
+  return value;
+}
+
+function bookFromTables(tables) {
+  const wb = xlsx.utils.book_new();
+  for (const [name, rows] of tables) {
+    xlsx.utils.book_append_sheet(wb, xlsx.utils.aoa_to_sheet(rows.map((r) => r.map(toCell))), name);
+  }
+  return wb;
+}
+
+// Main sheets first (as in input.xlsx), then the rest by name
+const SHEET_ORDER = ["General", "PE2", "PE2_Qualifiers", "A2O", "O2O"];
+function bySheetOrder(a, b) {
+  const ia = SHEET_ORDER.indexOf(a);
+  const ib = SHEET_ORDER.indexOf(b);
+  if (ia !== -1 || ib !== -1) return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+  return a.localeCompare(b);
+}
+
+// ---------- Adapters ----------
+
+// xlsx, xls and ods all go through the xlsx reader
+function readSpreadsheet(full) {
+  return xlsx.readFile(full);
+}
+
+function readCsvDirectory(dir) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => path.extname(f).toLowerCase() === ".csv")
+    .map((f) => ({ file: f, name: path.basename(f, path.extname(f)) }))
+    .sort((a, b) => bySheetOrder(a.name, b.name));
+  if (!files.length) throw new Error(`No .csv files in ${dir}`);
+
+  return bookFromTables(
+    files.map(({ file, name }) => {
+      try {
+        const rows = parse(fs.readFileSync(path.join(dir, file), "utf8"), {
+          bom: true,
+          relax_column_count: true,
+          skip_empty_lines: false,
+        });
+        return [name, rows];
+      } catch (e) {
+        throw new Error(`Failed to parse ${file}: ${e.message}`);
+      }
+    })
+  );
+}
+
+/**
+ * JSON input: { "sheets": { "<sheet>": rows } } or the same map at the top
+ * level. rows is either an array of arrays (the first one being the header
+ * row) or an array of objects keyed by header.
+ */
+function readJsonDocument(full) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(full, "utf8"));
+  } catch (e) {
+    throw new Error(`Failed to read/parse ${full}: ${e.message}`);
+  }
+  const sheets = doc && typeof doc.sheets === "object" && !Array.isArray(doc.sheets) ? doc.sheets : doc;
+  if (!sheets || typeof sheets !== "object" || Array.isArray(sheets)) {
+    throw new Error(`${full}: expected an object mapping sheet names to rows.`);
+  }
+
+  const tables = Object.entries(sheets).map(([name, rows]) => {
+    if (!Array.isArray(rows)) throw new Error(`${full}: sheet "${name}" is not an array of rows.`);
+    if (rows.every(Array.isArray)) return [name, rows];
+    // array of objects: header row from the keys, in first-seen order
+    const header = [...new Set(rows.flatMap((r) => Object.keys(r || {})))];
+    return [name, [header, ...rows.map((r) => header.map((h) => (r || {})[h]))]];
+  });
+  return bookFromTables(tables);
+}
+
+function readInput(full) {
+  if (fs.statSync(full).isDirectory()) return readCsvDirectory(full);
+  if (path.extname(full).toLowerCase() === ".json") return readJsonDocument(full);
+  return readSpreadsheet(full);
+}
+
+/**
+ * loadWorkbook(filePath, project?) — project is a loaded ddg.config.json
+ * (lib/projectConfig.js); its sheet and header aliases are renamed to the
+ * names the stages read.
+ */
+function loadWorkbook(filePath, project) {
+  const full = path.resolve(filePath);
+  if (!fs.existsSync(full)) {
+    throw new Error(`Missing input workbook: ${full}`);
+  }
+  const wb = readInput(full);
+  if (project) applyAliases(wb, project);
+  return wb;
+}
+
+// ---------- Writing ----------
+
+/**
+ * saveWorkbook(workbook, target): the inverse of loadWorkbook. A .json target
+ * gets the JSON tables, a path without extension a directory of CSV files,
+ * anything else (.xlsx, .ods) is written by the xlsx writer.
+ * Returns the full path written.
+ */
+function saveWorkbook(workbook, target) {
+  const full = path.resolve(target);
+  const ext = path.extname(full).toLowerCase();
+  const rowsOf = (name) => xlsx.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: null, blankrows: true });
+
+  if (ext === ".json") {
+    const sheets = {};
+    for (const name of workbook.SheetNames) sheets[name] = rowsOf(name);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, JSON.stringify({ sheets }, null, 2), "utf8");
+  } else if (ext === "" || (fs.existsSync(full) && fs.statSync(full).isDirectory())) {
+    fs.mkdirSync(full, { recursive: true });
+    for (const name of workbook.SheetNames) {
+      fs.writeFileSync(path.join(full, `${name}.csv`), xlsx.utils.sheet_to_csv(workbook.Sheets[name]) + "\n", "utf8");
+    }
+  } else {
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    xlsx.writeFile(workbook, full);
+  }
+  return full;
+}
+
+module.exports = { loadWorkbook, saveWorkbook };
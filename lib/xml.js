@@ -0,0 +1,102 @@
+// lib/xml.js
+// A small reader for the well-formed XML the importers deal with (BPMN 2.0,
+// OCEL 2.0): elements, attributes, text, CDATA and the predefined and numeric
+// entities. Declarations, comments, processing instructions and DOCTYPE are
+// skipped; namespaces are kept as written (see localName).
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+// Start tag at a given position (sticky): name, attributes, self-closing slash
+const START_TAG = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1] === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return ENTITIES[e] ?? m;
+  });
+}
+
+/** "bpmn:task" → "task" */
+const localName = (name) => name.slice(name.indexOf(":") + 1);
+
+/**
+ * parseXml(text) -> root element
+ * element: { name, local, attrs, children, text } where text is the
+ * concatenated character data directly inside the element.
+ */
+function parseXml(text) {
+  const root = { name: "#document", local: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  const line = (pos) => text.slice(0, pos).split("\n").length;
+  let pos = 0;
+
+  while (pos < text.length) {
+    const lt = text.indexOf("<", pos);
+    const top = stack[stack.length - 1];
+    if (lt === -1) {
+      top.text += decode(text.slice(pos));
+      break;
+    }
+    if (lt > pos) top.text += decode(text.slice(pos, lt));
+
+    const skipTo = (marker) => {
+      const end = text.indexOf(marker, lt);
+      if (end === -1) throw new Error(`XML line ${line(lt)}: unterminated ${text.slice(lt, lt + 9)}...`);
+      return end + marker.length;
+    };
+    if (text.startsWith("<!--", lt)) {
+      pos = skipTo("-->");
+    } else if (text.startsWith("<![CDATA[", lt)) {
+      const end = skipTo("]]>");
+      top.text += text.slice(lt + 9, end - 3);
+      pos = end;
+    } else if (text.startsWith("<?", lt)) {
+      pos = skipTo("?>");
+    } else if (text.startsWith("<!", lt)) {
+      pos = skipTo(">");
+    } else if (text[lt + 1] === "/") {
+      const end = skipTo(">");
+      const name = text.slice(lt + 2, end - 1).trim();
+      if (stack.length === 1 || top.name !== name) {
+        throw new Error(`XML line ${line(lt)}: </${name}> does not close <${top.name}>.`);
+      }
+      stack.pop();
+      pos = end;
+    } else {
+      START_TAG.lastIndex = lt;
+      const tag = START_TAG.exec(text);
+      if (!tag) throw new Error(`XML line ${line(lt)}: malformed tag ${text.slice(lt, lt + 30)}...`);
+      const attrs = {};
+      for (const [, key, dq, sq] of tag[2].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[key] = decode(dq ?? sq);
+      }
+      const el = { name: tag[1], local: localName(tag[1]), attrs, children: [], text: "" };
+      top.children.push(el);
+      if (!tag[3]) stack.push(el);
+      pos = lt + tag[0].length;
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`XML: <${stack[stack.length - 1].name}> is not closed.`);
+  const [doc] = root.children;
+  if (!doc) throw new Error("XML: no root element.");
+  return doc;
+}
+
+/** Every descendant element (depth first) with the given local name. */
+function findAll(el, local) {
+  const out = [];
+  const walk = (e) => {
+    for (const c of e.children) {
+      if (c.local === local) out.push(c);
+      walk(c);
+    }
+  };
+  walk(el);
+  return out;
+}
+
+/** Direct children with the given local name. */
+const childrenOf = (el, local) => el.children.filter((c) => c.local === local);
+
+module.exports = { parseXml, findAll, childrenOf, localName };
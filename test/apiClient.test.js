@@ -0,0 +1,143 @@
+// test/apiClient.test.js
+// DdgClient against the mock server: which calls are retried, and that the
+// token never shows up in logs or errors.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { DdgClient } = require("../lib/api/client");
+const { ServerError, NetworkError } = require("../lib/api/errors");
+const { startMockServer } = require("../lib/api/mockServer");
+
+const TOKEN = "supersecrettoken123456";
+
+async function withMock(fn) {
+  const mock = await startMockServer({ token: TOKEN });
+  try {
+    await fn(mock);
+  } finally {
+    await mock.close();
+  }
+}
+
+// Client with no real backoff; lines collects its (redacted) log
+function clientFor(mock, opts = {}) {
+  const lines = [];
+  const client = new DdgClient({ domain: mock.url, token: TOKEN, backoffMs: 1, log: (l) => lines.push(l), ...opts });
+  return { client, lines };
+}
+
+const failNext = (mock, failure) =>
+  fetch(`${mock.url}/__mock/fail`, { method: "POST", body: JSON.stringify(failure) });
+
+const calls = (lines, method) => lines.filter((l) => l.startsWith(`→ ${method} `)).length;
+
+test("GET is retried on 5xx", () =>
+  withMock(async (mock) => {
+    const { client, lines } = clientFor(mock);
+    await failNext(mock, { method: "GET", path: "/demo-data-set", status: 503, times: 2 });
+    assert.deepStrictEqual(await client.listDataSets(), []);
+    assert.strictEqual(calls(lines, "GET"), 3);
+  }));
+
+test("GET gives up with a ServerError after the retries", () =>
+  withMock(async (mock) => {
+    const { client, lines } = clientFor(mock, { retries: 1 });
+    await failNext(mock, { method: "GET", path: "/demo-data-set", status: 500, times: 5 });
+    await assert.rejects(client.listDataSets(), ServerError);
+    assert.strictEqual(calls(lines, "GET"), 2);
+  }));
+
+test("starting a job is not retried on 5xx", () =>
+  withMock(async (mock) => {
+    const { client, lines } = clientFor(mock);
+    const { id } = await client.createDataSet("orders", {});
+    lines.length = 0;
+    await failNext(mock, { method: "POST", path: "/demo-data-job", status: 504 });
+    await assert.rejects(client.startJob(id), ServerError);
+    assert.strictEqual(calls(lines, "POST"), 1);
+    assert.strictEqual(mock.state.jobs.length, 0);
+  }));
+
+test("uploading a config is not retried on 5xx", () =>
+  withMock(async (mock) => {
+    const { client, lines } = clientFor(mock);
+    const { id } = await client.createDataSet("orders", {});
+    lines.length = 0;
+    await failNext(mock, { method: "POST", path: "/config-file/upload", status: 502 });
+    await assert.rejects(client.uploadConfig(id, { general: {} }), ServerError);
+    assert.strictEqual(calls(lines, "POST"), 1);
+  }));
+
+test("a POST whose connection was refused is retried", () =>
+  withMock(async (mock) => {
+    let refused = 0;
+    const fetchImpl = (url, init) => {
+      if (init.method === "POST" && refused++ === 0) {
+        return Promise.reject(Object.assign(new TypeError("fetch failed"), { cause: { code: "ECONNREFUSED" } }));
+      }
+      return fetch(url, init);
+    };
+    const { client } = clientFor(mock, { fetch: fetchImpl });
+    const { id } = await client.createDataSet("orders", {});
+    await client.startJob(id);
+    assert.strictEqual(mock.state.jobs.length, 1);
+  }));
+
+test("a POST that may have reached the server is not retried on a network error", () =>
+  withMock(async (mock) => {
+    const { client } = clientFor(mock);
+    const { id } = await client.createDataSet("orders", {});
+    const reset = (url, init) =>
+      init.method === "POST"
+        ? fetch(url, init).then(() => Promise.reject(Object.assign(new TypeError("fetch failed"), { cause: { code: "ECONNRESET" } })))
+        : fetch(url, init);
+    const { client: flaky } = clientFor(mock, { fetch: reset });
+    await assert.rejects(flaky.startJob(id), NetworkError);
+    assert.strictEqual(mock.state.jobs.length, 1);
+  }));
+
+test("createDataSet retries when the dataset was not created", () =>
+  withMock(async (mock) => {
+    const { client } = clientFor(mock);
+    await failNext(mock, { method: "POST", path: "/demo-data-set", status: 503 });
+    const created = await client.createDataSet("orders", { dataPool: "p" });
+    assert.ok(created.id);
+    assert.strictEqual(mock.state.dataSets.length, 1);
+  }));
+
+test("createDataSet uses the dataset a timed-out POST created", () =>
+  withMock(async (mock) => {
+    // the server creates the dataset, the gateway answers 504
+    const gatewayTimeout = async (url, init) => {
+      const res = await fetch(url, init);
+      return init.method === "POST" ? new Response("Gateway Timeout", { status: 504 }) : res;
+    };
+    const { client, lines } = clientFor(mock, { fetch: gatewayTimeout });
+    const dataSet = await client.createDataSet("orders", {});
+    assert.strictEqual(mock.state.dataSets.length, 1);
+    assert.strictEqual(dataSet.id, mock.state.dataSets[0].id);
+    assert.strictEqual(calls(lines, "POST"), 1);
+  }));
+
+test("the token is redacted in logs and errors", () =>
+  withMock(async (mock) => {
+    const echo = (url, init) =>
+      Promise.reject(Object.assign(new TypeError(`fetch failed (${init.headers.Authorization})`), { cause: { code: "ECONNRESET" } }));
+    const { client, lines } = clientFor(mock, { fetch: echo, retries: 1 });
+    const error = await client.getJob("j1").catch((e) => e);
+    assert.ok(error instanceof NetworkError);
+    assert.ok(!error.message.includes(TOKEN), error.message);
+    assert.ok(error.message.includes("Bearer supers...3456"), error.message);
+    assert.ok(lines.length > 0);
+    for (const line of lines) assert.ok(!line.includes(TOKEN), line);
+    assert.strictEqual(client.redactedToken, "supers...3456");
+  }));
+
+test("a wrong token fails without retries and without echoing the token", () =>
+  withMock(async (mock) => {
+    const { client, lines } = clientFor(mock, { token: "wrongtoken-abcdefghij" });
+    const error = await client.listDataSets().catch((e) => e);
+    assert.strictEqual(error.status, 401);
+    assert.strictEqual(calls(lines, "GET"), 1);
+    assert.ok(!error.message.includes("wrongtoken-abcdefghij"));
+  }));
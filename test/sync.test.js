@@ -0,0 +1,136 @@
+// test/sync.test.js
+// mergeWithRemote as deploy uses it: configs built with random IDs are synced
+// with what the mock server holds, then uploaded as the next remote state.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { Dataset } = require("../lib/model");
+const { mergeWithRemote } = require("../lib/sync");
+const { DdgClient } = require("../lib/api/client");
+const { NotFoundError } = require("../lib/api/errors");
+const { startMockServer } = require("../lib/api/mockServer");
+
+const TOKEN = "supersecrettoken123456";
+
+/**
+ * A small dataset: Order and Item, the given event types (all touching
+ * Order), one variant "Happy" stepping through `steps` (default: events).
+ * orderItems: { max } of the Create Order → Item link; o2oMax: Order → Item.
+ */
+function build({ events = ["Create Order", "Approve Order"], steps = events, objects = [], orderItems = { max: 3 }, o2oMax = 5 } = {}) {
+  const ds = new Dataset({ id: "ds", name: "orders" });
+  ds.setGeneral({ startDate: 20240101, endDate: 20241231 });
+  const order = ds.addObjectType("Order");
+  const item = ds.addObjectType("Item");
+  for (const name of objects) ds.addObjectType(name);
+  const byName = new Map(events.map((name) => [name, ds.addEventType(name, { automation: 50 })]));
+  for (const ev of byName.values()) ds.linkEvent(ev, order);
+  const create = byName.get("Create Order");
+  if (create) {
+    ds.linkEvent(create, item, { min: 1, ...orderItems });
+    ds.relateObjects(create, order, item, { min: 1, max: o2oMax });
+  }
+  const happy = ds.addVariant("Happy", { frequency: 100 });
+  steps.forEach((name, i) => happy.step(byName.get(name), { start: i + 1, end: i + 2 }));
+  return ds.toConfig();
+}
+
+async function withRemote(fn) {
+  const mock = await startMockServer({ token: TOKEN });
+  const client = new DdgClient({ domain: mock.url, token: TOKEN, backoffMs: 1, log: () => {} });
+  const { id } = await client.createDataSet("orders", {});
+  // fetch, merge and upload, as ddg deploy does
+  const deploy = async (local) => {
+    const remote = await client.getConfig(id).catch((e) => {
+      if (e instanceof NotFoundError) return null;
+      throw e;
+    });
+    const merged = mergeWithRemote(local, remote);
+    await client.uploadConfig(id, merged.config);
+    return merged;
+  };
+  try {
+    await fn({ deploy, remote: () => client.getConfig(id) });
+  } finally {
+    await mock.close();
+  }
+}
+
+const eventId = (config, name) => config.entitiesDefinitions.events.find((e) => e.name === name).id;
+const happySteps = (config) => config.variants.items.find((v) => v.name === "Happy").items;
+
+test("a first deploy keeps the local IDs and reports everything as added", () =>
+  withRemote(async ({ deploy }) => {
+    const local = build();
+    const { config, summary } = await deploy(local);
+    assert.deepStrictEqual(config, local);
+    assert.deepStrictEqual(summary.added.events, ["CreateOrder", "ApproveOrder"]);
+    assert.deepStrictEqual(summary.removed.events, []);
+    assert.strictEqual(summary.general, false);
+  }));
+
+test("an unchanged rebuild keeps every remote ID", () =>
+  withRemote(async ({ deploy, remote }) => {
+    await deploy(build());
+    const before = await remote();
+    const { config, summary } = await deploy(build());
+    assert.deepStrictEqual(config, before);
+    for (const kind of Object.keys(summary.changed)) {
+      assert.deepStrictEqual([summary.added[kind], summary.changed[kind], summary.removed[kind]], [[], [], []], kind);
+    }
+  }));
+
+test("a renamed event is added and removed; re-adding the old name gives it a new ID", () =>
+  withRemote(async ({ deploy }) => {
+    const first = (await deploy(build())).config;
+    const approveId = eventId(first, "ApproveOrder");
+
+    const renamed = await deploy(build({ events: ["Create Order", "Review Order"] }));
+    assert.deepStrictEqual(renamed.summary.added.events, ["ReviewOrder"]);
+    assert.deepStrictEqual(renamed.summary.removed.events, ["ApproveOrder"]);
+    assert.strictEqual(eventId(renamed.config, "CreateOrder"), eventId(first, "CreateOrder"));
+    assert.notStrictEqual(eventId(renamed.config, "ReviewOrder"), approveId);
+
+    const readded = await deploy(build({ events: ["Create Order", "Review Order", "Approve Order"] }));
+    assert.deepStrictEqual(readded.summary.added.events, ["ApproveOrder"]);
+    assert.deepStrictEqual(readded.summary.removed.events, []);
+    assert.notStrictEqual(eventId(readded.config, "ApproveOrder"), approveId);
+    assert.strictEqual(eventId(readded.config, "ReviewOrder"), eventId(renamed.config, "ReviewOrder"));
+  }));
+
+test("a repeated step is matched by occurrence", () =>
+  withRemote(async ({ deploy }) => {
+    const first = (await deploy(build())).config;
+    const [create, approve] = happySteps(first).map((s) => s.id);
+
+    const { config, summary } = await deploy(build({ steps: ["Create Order", "Approve Order", "Approve Order"] }));
+    const steps = happySteps(config);
+    assert.deepStrictEqual(steps.slice(0, 2).map((s) => s.id), [create, approve]);
+    assert.ok(![create, approve].includes(steps[2].id));
+    assert.deepStrictEqual(summary.changed.variants, ["Happy"]);
+
+    // reordered steps keep their IDs; the second Approve Order is gone
+    const again = (await deploy(build({ steps: ["Approve Order", "Create Order"] }))).config;
+    assert.deepStrictEqual(happySteps(again).map((s) => s.id), [approve, create]);
+  }));
+
+test("changed E2O and O2O ranges are reported as changed relations", () =>
+  withRemote(async ({ deploy }) => {
+    await deploy(build());
+    const { summary } = await deploy(build({ orderItems: { max: 7 }, o2oMax: 9 }));
+    assert.deepStrictEqual(summary.changed.relations.sort(), ["e2o CreateOrder→Item", "o2o CreateOrder: Order→Item"]);
+    assert.deepStrictEqual(summary.added.relations, []);
+    assert.deepStrictEqual(summary.removed.relations, []);
+  }));
+
+test("entities only the remote has are reported as removed and not uploaded again", () =>
+  withRemote(async ({ deploy, remote }) => {
+    await deploy(build({ objects: ["Invoice"], events: ["Create Order", "Approve Order", "Send Invoice"] }));
+    const { config, summary } = await deploy(build());
+    assert.deepStrictEqual(summary.removed.objects, ["Invoice"]);
+    assert.deepStrictEqual(summary.removed.events, ["SendInvoice"]);
+    assert.ok(summary.removed.relations.includes("e2o SendInvoice→Order"));
+    const uploaded = await remote();
+    assert.deepStrictEqual(uploaded, config);
+    assert.ok(!uploaded.entitiesDefinitions.objects.some((o) => o.name === "Invoice"));
+  }));